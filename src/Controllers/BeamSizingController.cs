@@ -3,6 +3,7 @@
 
 using Microsoft.AspNetCore.Mvc;
 using BeamSizing;
+using BeamSizing.Data;
 
 namespace BeamCalculator.Api.Controllers
 {
@@ -10,6 +11,9 @@ namespace BeamCalculator.Api.Controllers
     [Route("api/[controller]")]
     public class BeamSizingController : ControllerBase
     {
+        // Upper bound on points per sweep request
+        private const int MaxSweepPoints = 200;
+
         private readonly ILogger<BeamSizingController> _logger;
 
         public BeamSizingController(ILogger<BeamSizingController> logger)
@@ -118,7 +122,7 @@ namespace BeamCalculator.Api.Controllers
         }
 
         /// <summary>
-        /// Perform complete beam sizing analysis with top 5 candidates
+        /// Perform complete beam sizing analysis with the top candidates (5 by default)
         /// USED BY: Frontend main analysis functionality
         /// </summary>
         [HttpPost("analyze")]
@@ -142,15 +146,37 @@ namespace BeamCalculator.Api.Controllers
                     freestanding: request.Freestanding,
                     capped: request.Capped,
                     bridgeSpan: request.SupportCenters, // Use supportCenters for bridgeSpan
-                    hoistSpeed: request.HoistSpeed
+                    hoistSpeed: request.HoistSpeed,
+                    criteria: DesignCriteria.Resolve(request.DesignCriteria)
                 );
 
-                // Calculate K-factors and ECL
+                // A second crane on the runway is checked against the same runway before any analysis
+                var secondCrane = SecondCrane.Validate(request.SecondCrane, config);
+
+                // Calculate K-factors and the ECL of the crane arrangement governing the beam
                 var kFactors = BeamSizing.BeamCalculator.FindKFactors(config);
-                double calculatedECL = kFactors.k1 * config.MaxWheelLoad;
+                double calculatedECL = BeamSizing.BeamCalculator.FindCraneArrangements(config, secondCrane)
+                    .First(arrangement => arrangement.GovernsBeam).ECL;
+
+                // User-defined sections compete with the catalog beams, within the candidate filter
+                var customSections = CustomSection.ValidateLibrary(request.CustomSections);
+                var filter = CandidateFilter.Validate(request.CandidateFilter);
+
+                // Resolve a manually selected beam before any analysis so bad designations return 400
+                var manualBeam = string.IsNullOrWhiteSpace(request.SelectedDesignation)
+                    ? null
+                    : BeamSizing.BeamCalculator.ResolveSelectedBeam(config, request.SelectedDesignation, customSections);
+
+                // Get the top beam candidates (5 unless the filter asks for more or fewer)
+                var topBeams = DataLoader.FindTopAdequateBeams(calculatedECL, config.SupportCenters, config.Capped, filter.Count, customSections, filter);
+
+                // Perform full analysis with the selected beam (manual choice or top candidate)
+                var results = BeamSizing.BeamCalculator.PerformFullAnalysis(config, manualBeam, customSections, filter, secondCrane);
 
-                // Get top 5 beam candidates
-                var topBeams = DataLoader.FindTopAdequateBeams(calculatedECL, config.SupportCenters, config.Capped, 5);
+                // Checks for the lightest adequate beam, so the client can flag regressions of a manual choice
+                var recommendedResults = results.IsManualSelection
+                    ? BeamSizing.BeamCalculator.PerformFullAnalysis(config, null, customSections, filter, secondCrane)
+                    : null;
 
                 // Create detailed beam candidates with their capacities
                 var beamCandidates = topBeams.Select(beam => new
@@ -158,14 +184,12 @@ namespace BeamCalculator.Api.Controllers
                     designation = beam.Designation,
                     weight = beam.Weight,
                     depth = beam.Depth,
-                    capacity = DataLoader.GetInterpolatedLoadCapacity(beam.Designation, config.SupportCenters, config.Capped),
-                    utilization = (calculatedECL / DataLoader.GetInterpolatedLoadCapacity(beam.Designation, config.SupportCenters, config.Capped)) * 100.0,
-                    isSelected = beam == topBeams.FirstOrDefault()
+                    capacity = DataLoader.GetCandidateCapacity(beam, config.SupportCenters, config.Capped),
+                    utilization = (calculatedECL / DataLoader.GetCandidateCapacity(beam, config.SupportCenters, config.Capped)) * 100.0,
+                    isSelected = beam.Designation == results.SelectedBeam?.Designation,
+                    isCustom = beam is CustomSection
                 }).ToList();
 
-                // Perform full analysis with the top beam (if available)
-                var results = BeamSizing.BeamCalculator.PerformFullAnalysis(config);
-
                 var processingTime = (DateTime.UtcNow - startTime).TotalMilliseconds;
 
                 _logger.LogInformation("Beam analysis completed for capacity {Capacity} lbs, span {Span} ft, found {Count} candidates",
@@ -174,6 +198,7 @@ namespace BeamCalculator.Api.Controllers
                 return Ok(new
                 {
                     results = results,
+                    recommendedResults = recommendedResults,
                     calculatedECL = calculatedECL,
                     kFactors = new { k1 = kFactors.k1, k2 = kFactors.k2 },
                     beamCandidates = beamCandidates,
@@ -229,11 +254,17 @@ namespace BeamCalculator.Api.Controllers
                     freestanding: request.Freestanding,
                     capped: request.Capped,
                     bridgeSpan: request.SupportCenters, // Use supportCenters for bridgeSpan
-                    hoistSpeed: request.HoistSpeed
+                    hoistSpeed: request.HoistSpeed,
+                    criteria: DesignCriteria.Resolve(request.DesignCriteria)
                 );
+                var secondCrane = SecondCrane.Validate(request.SecondCrane, config);
 
                 var isValid = BeamSizing.BeamCalculator.ValidateConfiguration(config);
 
+                // ECL of the crane arrangement governing the beam, for ranking beam options
+                double calculatedECL = BeamSizing.BeamCalculator.FindCraneArrangements(config, secondCrane)
+                    .First(arrangement => arrangement.GovernsBeam).ECL;
+
                 return Ok(new
                 {
                     isValid = isValid,
@@ -243,8 +274,12 @@ namespace BeamCalculator.Api.Controllers
                         totalBeamWeight = config.WeightBeam,
                         maxWheelLoad = config.MaxWheelLoad,
                         impactFactor = config.ImpactFactor,
-                        wheelbaseSpanRatio = config.WheelbaseSpanRatio
-                    }
+                        wheelbaseSpanRatio = config.WheelbaseSpanRatio,
+                        lateralLoad = config.LateralLoad,
+                        longitudinalLoad = config.LongitudinalLoad
+                    },
+                    calculatedECL = calculatedECL,
+                    designCriteria = config.Criteria
                 });
             }
             catch (ArgumentOutOfRangeException ex)
@@ -265,18 +300,54 @@ namespace BeamCalculator.Api.Controllers
 
         /// <summary>
         /// Get available beam options for given requirements with detailed information
-        /// USED BY: Frontend beam selection functionality
+        /// USED BY: API clients ranking catalog beams without custom sections
         /// </summary>
         [HttpGet("beams")]
         public ActionResult<object> GetBeamOptions(
             [FromQuery] double ecl,
             [FromQuery] double span,
             [FromQuery] bool capped = false,
-            [FromQuery] int limit = 5)
+            [FromQuery] int limit = 5,
+            [FromQuery] double? minDepth = null,
+            [FromQuery] double? maxDepth = null,
+            [FromQuery] double? maxWeight = null,
+            [FromQuery] string? excludedDesignations = null,
+            [FromQuery] bool stockOnly = false,
+            [FromQuery] string? stockDesignations = null)
+        {
+            // Designation lists are comma-separated in the query string
+            return FindBeamOptions(new BeamOptionsRequest
+            {
+                Ecl = ecl,
+                Span = span,
+                Capped = capped,
+                CandidateFilter = new CandidateFilter
+                {
+                    MinDepth = minDepth,
+                    MaxDepth = maxDepth,
+                    MaxWeight = maxWeight,
+                    ExcludedDesignations = CandidateFilter.ParseDesignations(excludedDesignations),
+                    StockOnly = stockOnly,
+                    StockDesignations = CandidateFilter.ParseDesignations(stockDesignations),
+                    Count = limit
+                }
+            });
+        }
+
+        /// <summary>
+        /// Get beam options for given requirements, ranking custom sections with the catalog beams
+        /// USED BY: Frontend beam selection functionality
+        /// </summary>
+        [HttpPost("beams")]
+        public ActionResult<object> FindBeamOptions([FromBody] BeamOptionsRequest request)
         {
             try
             {
-                var beams = DataLoader.FindTopAdequateBeams(ecl, span, capped, limit);
+                // User-defined sections compete with the catalog beams, within the candidate filter
+                var customSections = CustomSection.ValidateLibrary(request.CustomSections);
+                var filter = CandidateFilter.Validate(request.CandidateFilter);
+
+                var beams = DataLoader.FindTopAdequateBeams(request.Ecl, request.Span, request.Capped, filter.Count, customSections, filter);
 
                 // Add capacity and utilization information
                 var detailedBeams = beams.Select(beam => new
@@ -284,26 +355,255 @@ namespace BeamCalculator.Api.Controllers
                     designation = beam.Designation,
                     weight = beam.Weight,
                     depth = beam.Depth,
-                    capacity = DataLoader.GetInterpolatedLoadCapacity(beam.Designation, span, capped),
-                    utilization = (ecl / DataLoader.GetInterpolatedLoadCapacity(beam.Designation, span, capped)) * 100.0,
-                    margin = DataLoader.GetInterpolatedLoadCapacity(beam.Designation, span, capped) - ecl
+                    capacity = DataLoader.GetCandidateCapacity(beam, request.Span, request.Capped),
+                    utilization = (request.Ecl / DataLoader.GetCandidateCapacity(beam, request.Span, request.Capped)) * 100.0,
+                    margin = DataLoader.GetCandidateCapacity(beam, request.Span, request.Capped) - request.Ecl,
+                    isCustom = beam is CustomSection
                 }).ToList();
 
                 return Ok(new
                 {
-                    requiredECL = ecl,
-                    span = span,
-                    capped = capped,
+                    requiredECL = request.Ecl,
+                    span = request.Span,
+                    capped = request.Capped,
                     beams = detailedBeams,
                     count = detailedBeams.Count
                 });
             }
+            catch (ArgumentOutOfRangeException ex)
+            {
+                _logger.LogWarning(ex, "Invalid beam options request");
+                return BadRequest(new
+                {
+                    error = "Invalid beam options request",
+                    details = ex.Message,
+                    parameter = ex.ParamName
+                });
+            }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Error getting beam options for ECL={ECL}, span={Span}", ecl, span);
+                _logger.LogError(ex, "Error getting beam options for ECL={ECL}, span={Span}", request.Ecl, request.Span);
                 return StatusCode(500, new { error = "Failed to get beam options", details = ex.Message });
             }
         }
+
+        /// <summary>
+        /// Find the lightest adequate beam at each point of a support centers or rated capacity range
+        /// USED BY: Frontend parametric sweep chart and table
+        /// </summary>
+        [HttpPost("sweep")]
+        public ActionResult<object> SweepBeams([FromBody] BeamSweepRequest request)
+        {
+            try
+            {
+                var startTime = DateTime.UtcNow;
+
+                if (request.Parameter != "supportCenters" && request.Parameter != "ratedCapacity")
+                    throw new ArgumentOutOfRangeException("parameter",
+                        "Sweep parameter must be supportCenters or ratedCapacity");
+
+                if (request.Step <= 0)
+                    throw new ArgumentOutOfRangeException("step", "Sweep step must be positive");
+
+                if (request.Max < request.Min)
+                    throw new ArgumentOutOfRangeException("max", "Sweep maximum cannot be less than the minimum");
+
+                // Count as a double so a huge range or tiny step cannot overflow past the limit
+                double rangePoints = Math.Floor((request.Max - request.Min) / request.Step + 1e-9) + 1;
+                if (rangePoints > MaxSweepPoints)
+                    throw new ArgumentOutOfRangeException("step",
+                        $"Sweep is limited to {MaxSweepPoints} points; increase the step");
+
+                int pointCount = (int)rangePoints;
+
+                bool sweepSpan = request.Parameter == "supportCenters";
+                var customSections = CustomSection.ValidateLibrary(request.CustomSections);
+                var filter = CandidateFilter.Validate(request.CandidateFilter);
+
+                // Design criteria apply to every point, so invalid criteria fail the whole sweep
+                var criteria = DesignCriteria.Resolve(request.DesignCriteria);
+
+                // Configuration for one sweep value; validation errors are reported per point
+                BeamSizerConfig CreatePointConfig(double value) => new BeamSizerConfig(
+                    ratedCapacity: sweepSpan ? request.RatedCapacity : value,
+                    weightHoistTrolley: request.WeightHoistTrolley,
+                    girderWeight: request.GirderWeight,
+                    panelWeight: request.PanelWeight,
+                    endTruckWeight: request.EndTruckWeight,
+                    numCols: request.NumCols,
+                    railHeight: request.RailHeight,
+                    wheelBase: request.WheelBase,
+                    supportCenters: sweepSpan ? value : request.SupportCenters,
+                    freestanding: request.Freestanding,
+                    capped: request.Capped,
+                    bridgeSpan: sweepSpan ? value : request.SupportCenters, // Use supportCenters for bridgeSpan
+                    hoistSpeed: request.HoistSpeed,
+                    criteria: criteria
+                );
+
+                var points = new List<object>();
+                for (int i = 0; i < pointCount; i++)
+                {
+                    double value = request.Min + i * request.Step;
+
+                    BeamSizerConfig config;
+                    SecondCrane? secondCrane;
+                    try
+                    {
+                        config = CreatePointConfig(value);
+                        secondCrane = SecondCrane.Validate(request.SecondCrane, config);
+                    }
+                    catch (ArgumentOutOfRangeException ex)
+                    {
+                        points.Add(new { value = value, designation = (string?)null, weight = (double?)null, depth = (double?)null,
+                                         capacity = (double?)null, ecl = (double?)null, utilization = (double?)null, error = ex.Message });
+                        continue;
+                    }
+
+                    double ecl = BeamSizing.BeamCalculator.FindCraneArrangements(config, secondCrane)
+                        .First(arrangement => arrangement.GovernsBeam).ECL;
+
+                    // Same lookup as AnalyzeBeam, so each point matches the recommended beam of a single analysis
+                    var lightest = DataLoader.FindTopAdequateBeams(ecl, config.SupportCenters, config.Capped, 5, customSections, filter).FirstOrDefault();
+                    if (lightest == null)
+                    {
+                        points.Add(new { value = value, designation = (string?)null, weight = (double?)null, depth = (double?)null,
+                                         capacity = (double?)null, ecl = (double?)ecl, utilization = (double?)null, error = "No adequate beam found" });
+                        continue;
+                    }
+
+                    double capacity = DataLoader.GetCandidateCapacity(lightest, config.SupportCenters, config.Capped);
+                    points.Add(new
+                    {
+                        value = value,
+                        designation = (string?)lightest.Designation,
+                        weight = (double?)lightest.Weight,
+                        depth = (double?)lightest.Depth,
+                        capacity = (double?)capacity,
+                        ecl = (double?)ecl,
+                        utilization = (double?)((ecl / capacity) * 100.0),
+                        error = (string?)null
+                    });
+                }
+
+                var processingTime = (DateTime.UtcNow - startTime).TotalMilliseconds;
+
+                _logger.LogInformation("Sweep of {Parameter} from {Min} to {Max} completed with {Count} points",
+                    request.Parameter, request.Min, request.Max, pointCount);
+
+                return Ok(new
+                {
+                    parameter = request.Parameter,
+                    min = request.Min,
+                    max = request.Max,
+                    step = request.Step,
+                    capped = request.Capped,
+                    designCriteria = criteria,
+                    points = points,
+                    metadata = new
+                    {
+                        processingTimeMs = processingTime,
+                        timestamp = DateTime.UtcNow,
+                        pointCount = pointCount
+                    }
+                });
+            }
+            catch (ArgumentOutOfRangeException ex)
+            {
+                _logger.LogWarning(ex, "Invalid sweep parameters");
+                return BadRequest(new
+                {
+                    error = "Invalid sweep",
+                    details = ex.Message,
+                    parameter = ex.ParamName
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error performing parametric sweep");
+                return StatusCode(500, new
+                {
+                    error = "Sweep failed",
+                    details = ex.Message
+                });
+            }
+        }
+
+        /// <summary>
+        /// List every catalog section of one beam system with its properties and capacity-vs-span table
+        /// USED BY: Section catalog page
+        /// </summary>
+        [HttpGet("sections")]
+        public ActionResult<object> GetSections([FromQuery] bool capped = false)
+        {
+            try
+            {
+                var sections = DataLoader.GetCatalog(capped).Select(beam =>
+                {
+                    var cappedBeam = beam as CappedBeamProperties;
+                    return new
+                    {
+                        designation = beam.Designation,
+                        channel = cappedBeam?.Channel,
+                        depth = beam.Depth,
+                        weight = beam.Weight,
+                        area = beam.Area,
+                        webThickness = beam.WebThickness,
+                        flangeWidth = beam.FlangeWidth,
+                        flangeThickness = beam.FlangeThickness,
+                        flangeArea = beam.FlangeArea,
+                        i = beam.I,
+                        s = beam.S,
+                        radiusOfGyration = beam.RadiusOfGyration,
+                        flangeGage = beam.FlangeGage,
+                        width = cappedBeam?.Width,
+                        scUpper = cappedBeam?.ScUpper,
+                        slLower = cappedBeam?.SlLower,
+                        torsionalConstant = cappedBeam?.TorsionalConstant,
+                        capacities = DataLoader.GetCapacityTable(beam.Designation, capped)
+                    };
+                }).ToList();
+
+                return Ok(new
+                {
+                    capped = capped,
+                    spans = sections.SelectMany(section => section.capacities.Keys).Distinct().OrderBy(span => span),
+                    sections = sections,
+                    count = sections.Count
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error listing {System} sections", capped ? "capped" : "uncapped");
+                return StatusCode(500, new { error = "Failed to list sections", details = ex.Message });
+            }
+        }
+
+        /// <summary>
+        /// Export the beam property, capacity and K-factor tables as JSON
+        /// USED BY: Client-side calculation engine (snapshot in wwwroot/data/beam-tables.json)
+        /// </summary>
+        [HttpGet("beam-tables")]
+        public ActionResult<object> GetBeamTables()
+        {
+            try
+            {
+                return Ok(new
+                {
+                    uncappedBeams = UncappedBeamData.UncappedBeams,
+                    cappedBeams = CappedBeamData.CappedBeams,
+                    uncappedCapacities = UncappedCapacityData.LoadCapacities,
+                    cappedCapacities = CappedCapacityData.LoadCapacities,
+                    kFactors = KFactorData.Table.Select(row => new { ratio = row.ratio, k1 = row.k1, k2 = row.k2 }),
+                    timestamp = DateTime.UtcNow
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error exporting beam tables");
+                return StatusCode(500, new { error = "Failed to export beam tables", details = ex.Message });
+            }
+        }
     }
 
     /// <summary>
@@ -323,5 +623,66 @@ namespace BeamCalculator.Api.Controllers
         public bool Freestanding { get; set; }
         public bool Capped { get; set; }
         public double HoistSpeed { get; set; } = 0;
+
+        /// <summary>
+        /// Optional designation of a manually chosen beam; checks run against it instead of the lightest candidate
+        /// </summary>
+        public string? SelectedDesignation { get; set; }
+
+        /// <summary>
+        /// Optional user-defined sections (with their own capacity tables) to include as candidates
+        /// </summary>
+        public List<CustomSection>? CustomSections { get; set; }
+
+        /// <summary>
+        /// Optional limits on the ranked candidates (depth, weight, exclusions, stock) and their count
+        /// </summary>
+        public CandidateFilter? CandidateFilter { get; set; }
+
+        /// <summary>
+        /// Optional second crane sharing the runway; the beam and columns are then designed for the
+        /// governing crane arrangement
+        /// </summary>
+        public SecondCrane? SecondCrane { get; set; }
+
+        /// <summary>
+        /// Optional CMAA service class and design-criteria profile (load percentages, impact rule,
+        /// deflection limits, allowable stress); the standard profile applies when omitted
+        /// </summary>
+        public DesignCriteria? DesignCriteria { get; set; }
+    }
+
+    /// <summary>
+    /// Request model for ranked beam options: the required ECL on a span, with optional custom sections and filter
+    /// </summary>
+    public class BeamOptionsRequest
+    {
+        public double Ecl { get; set; }
+        public double Span { get; set; }
+        public bool Capped { get; set; }
+
+        /// <summary>
+        /// Optional user-defined sections (with their own capacity tables) to include as candidates
+        /// </summary>
+        public List<CustomSection>? CustomSections { get; set; }
+
+        /// <summary>
+        /// Optional limits on the ranked candidates (depth, weight, exclusions, stock) and their count
+        /// </summary>
+        public CandidateFilter? CandidateFilter { get; set; }
+    }
+
+    /// <summary>
+    /// Request model for a parametric sweep: a base configuration plus the range of one parameter
+    /// </summary>
+    public class BeamSweepRequest : BeamAnalysisRequest
+    {
+        /// <summary>
+        /// Swept input: "supportCenters" (ft) or "ratedCapacity" (lbs)
+        /// </summary>
+        public string Parameter { get; set; } = "supportCenters";
+        public double Min { get; set; }
+        public double Max { get; set; }
+        public double Step { get; set; }
     }
-}
\ No newline at end of file
+}
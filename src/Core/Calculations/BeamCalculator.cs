@@ -18,25 +18,255 @@ namespace BeamSizing
         }
 
         /// <summary>
-        /// Find the lightest adequate beam for the given configuration.
+        /// Loads of every way the cranes can occupy the runway: the configured crane alone and, with a
+        /// second crane, that crane alone and both cranes with their bumpers touching. A single crane
+        /// takes its ECL from the K-factor table and its column share from its two wheels straddling the
+        /// column. Both cranes together take the largest simple-span moment of all four wheels
+        /// (ECL = 4M / L) and the largest reaction of a column between two spans, and add their lateral
+        /// and longitudinal loads. The largest ECL governs the beam and the largest column reaction
+        /// governs the column and foundation loads; ties go to the single crane.
+        /// USED BY: PerformFullAnalysis, BeamSizingController.AnalyzeBeam and SweepBeams
+        /// </summary>
+        public static List<CraneArrangement> FindCraneArrangements(BeamSizerConfig config, SecondCrane? secondCrane = null)
+        {
+            var arrangements = new List<CraneArrangement> { CreateSingleCraneArrangement(config, 1) };
+
+            if (secondCrane != null)
+            {
+                var second = secondCrane.CreateConfig(config);
+                arrangements.Add(CreateSingleCraneArrangement(second, 2));
+                arrangements.Add(CreateCombinedArrangement(config, second, secondCrane.BumperDistance));
+            }
+
+            // A relative margin keeps rounding noise from making an equal arrangement govern
+            static bool Exceeds(double value, double governing) => value > governing + 1e-9 * Math.Abs(governing);
+            static double ColumnReaction(CraneArrangement arrangement) => arrangement.ColumnVertical + arrangement.ColumnImpact;
+
+            arrangements.Aggregate((governing, next) => Exceeds(next.ECL, governing.ECL) ? next : governing).GovernsBeam = true;
+            arrangements.Aggregate((governing, next) =>
+                Exceeds(ColumnReaction(next), ColumnReaction(governing)) ? next : governing).GovernsColumns = true;
+
+            return arrangements;
+        }
+
+        /// <summary>
+        /// One crane on the runway (the only arrangement without a second crane)
+        /// </summary>
+        private static CraneArrangement CreateSingleCraneArrangement(BeamSizerConfig config, int crane)
+        {
+            var kFactors = FindKFactors(config);
+            double wheelShare = 1.0 - config.WheelBase / (2.0 * config.SupportCenters);
+            var wheels = new List<(double position, double load)>
+            {
+                (0.0, config.MaxWheelLoad),
+                (config.WheelBase, config.MaxWheelLoad)
+            };
+            double shift = MaxSpanMoment(wheels, config.SupportCenters).shift;
+
+            return new CraneArrangement
+            {
+                Name = $"Crane {crane}",
+                Cranes = new List<int> { crane },
+                ECL = kFactors.k1 * config.MaxWheelLoad,
+                MaxWheelLoad = config.MaxWheelLoad,
+                ColumnVertical = wheelShare * CraneVerticalLoad(config),
+                ColumnImpact = wheelShare * CraneImpactLoad(config),
+                LateralLoad = config.LateralLoad,
+                LongitudinalLoad = config.LongitudinalLoad,
+                CraneWeight = config.RatedCapacity + config.WeightBeam + config.WeightHoistTrolley,
+                WheelPositions = wheels.Select(wheel => wheel.position + shift).ToList(),
+                WheelLoads = wheels.Select(wheel => wheel.load).ToList()
+            };
+        }
+
+        /// <summary>
+        /// Both cranes with their bumpers touching: crane 1's wheels, then crane 2's from the
+        /// bumper-to-bumper distance on
+        /// </summary>
+        private static CraneArrangement CreateCombinedArrangement(BeamSizerConfig first, BeamSizerConfig second, double bumperDistance)
+        {
+            double span = first.SupportCenters;
+            double secondStart = first.WheelBase + bumperDistance;
+            var wheels = new List<(double position, double load)>
+            {
+                (0.0, first.MaxWheelLoad),
+                (first.WheelBase, first.MaxWheelLoad),
+                (secondStart, second.MaxWheelLoad),
+                (secondStart + second.WheelBase, second.MaxWheelLoad)
+            };
+
+            var (moment, shift) = MaxSpanMoment(wheels, span);
+            double reactionShift = MaxColumnReactionShift(wheels, span);
+
+            // Share of each crane's load on this runway (its two wheels) carried by the column
+            double CraneShare(int firstWheel) =>
+                (ColumnInfluence(wheels[firstWheel].position + reactionShift, span) +
+                 ColumnInfluence(wheels[firstWheel + 1].position + reactionShift, span)) / 2.0;
+            double firstShare = CraneShare(0);
+            double secondShare = CraneShare(2);
+
+            return new CraneArrangement
+            {
+                Name = "Cranes 1 + 2",
+                Cranes = new List<int> { 1, 2 },
+                ECL = 4.0 * moment / span,
+                MaxWheelLoad = Math.Max(first.MaxWheelLoad, second.MaxWheelLoad),
+                ColumnVertical = firstShare * CraneVerticalLoad(first) + secondShare * CraneVerticalLoad(second),
+                ColumnImpact = firstShare * CraneImpactLoad(first) + secondShare * CraneImpactLoad(second),
+                LateralLoad = first.LateralLoad + second.LateralLoad,
+                LongitudinalLoad = first.LongitudinalLoad + second.LongitudinalLoad,
+                CraneWeight = (first.RatedCapacity + first.WeightBeam + first.WeightHoistTrolley) +
+                              (second.RatedCapacity + second.WeightBeam + second.WeightHoistTrolley),
+                WheelPositions = wheels.Select(wheel => wheel.position + shift).ToList(),
+                WheelLoads = wheels.Select(wheel => wheel.load).ToList()
+            };
+        }
+
+        /// <summary>
+        /// Bridge, trolley and rated load of one crane on one runway, without impact (lbs)
+        /// </summary>
+        private static double CraneVerticalLoad(BeamSizerConfig config) =>
+            config.RatedCapacity + config.WeightHoistTrolley + config.WeightBeam / 2.0;
+
+        /// <summary>
+        /// Vertical impact on the rated load of one crane (lbs)
+        /// </summary>
+        private static double CraneImpactLoad(BeamSizerConfig config) =>
+            (config.ImpactFactor - 1.0) * config.RatedCapacity;
+
+        /// <summary>
+        /// Largest simple-span moment (lb-ft) of wheel loads rolling across a span, and the shift (ft)
+        /// of the wheel positions where it occurs. The moment under a wheel peaks with the span center
+        /// midway between that wheel and the resultant of the wheels on the span, or where a wheel
+        /// enters or leaves the span, so every such position is checked.
+        /// </summary>
+        private static (double moment, double shift) MaxSpanMoment(IReadOnlyList<(double position, double load)> wheels, double span)
+        {
+            var shifts = new List<double>();
+            foreach (var wheel in wheels)
+            {
+                shifts.Add(-wheel.position);
+                shifts.Add(span - wheel.position);
+            }
+
+            for (int first = 0; first < wheels.Count; first++)
+            {
+                for (int last = first; last < wheels.Count; last++)
+                {
+                    double total = 0.0;
+                    double moment = 0.0;
+                    for (int i = first; i <= last; i++)
+                    {
+                        total += wheels[i].load;
+                        moment += wheels[i].load * wheels[i].position;
+                    }
+
+                    double resultant = moment / total;
+                    for (int critical = first; critical <= last; critical++)
+                    {
+                        shifts.Add((span - wheels[critical].position - resultant) / 2.0);
+                    }
+                }
+            }
+
+            double maxMoment = 0.0;
+            double maxShift = shifts[0];
+            foreach (double shift in shifts)
+            {
+                double moment = SpanMoment(wheels, span, shift);
+                if (moment > maxMoment)
+                {
+                    maxMoment = moment;
+                    maxShift = shift;
+                }
+            }
+
+            return (maxMoment, maxShift);
+        }
+
+        /// <summary>
+        /// Largest moment under a wheel (lb-ft) of a simply supported span with the wheels shifted by shift (ft)
+        /// </summary>
+        private static double SpanMoment(IReadOnlyList<(double position, double load)> wheels, double span, double shift)
+        {
+            const double tolerance = 1e-9;
+            var onSpan = wheels
+                .Select(wheel => (x: wheel.position + shift, wheel.load))
+                .Where(wheel => wheel.x >= -tolerance && wheel.x <= span + tolerance)
+                .ToList();
+
+            double leftReaction = onSpan.Sum(wheel => wheel.load * (span - wheel.x)) / span;
+            double maxMoment = 0.0;
+            foreach (var wheel in onSpan)
+            {
+                double moment = leftReaction * wheel.x -
+                                onSpan.Where(other => other.x < wheel.x).Sum(other => other.load * (wheel.x - other.x));
+                maxMoment = Math.Max(maxMoment, moment);
+            }
+
+            return maxMoment;
+        }
+
+        /// <summary>
+        /// Shift (ft) of the wheel positions giving the largest reaction at a column (at 0) between two
+        /// spans. The reaction is linear between positions where a wheel is over this column or the next
+        /// one, so only those are checked.
+        /// </summary>
+        private static double MaxColumnReactionShift(IReadOnlyList<(double position, double load)> wheels, double span)
+        {
+            double maxReaction = -1.0;
+            double maxShift = 0.0;
+            foreach (var wheel in wheels)
+            {
+                foreach (double column in new[] { 0.0, -span, span })
+                {
+                    double shift = column - wheel.position;
+                    double reaction = wheels.Sum(other => other.load * ColumnInfluence(other.position + shift, span));
+                    if (reaction > maxReaction)
+                    {
+                        maxReaction = reaction;
+                        maxShift = shift;
+                    }
+                }
+            }
+
+            return maxShift;
+        }
+
+        /// <summary>
+        /// Share of a wheel load at x (ft from the column) carried by the column between two simple spans
+        /// </summary>
+        private static double ColumnInfluence(double x, double span) => Math.Max(0.0, 1.0 - Math.Abs(x) / span);
+
+        /// <summary>
+        /// Find the lightest adequate beam for the ECL of the governing crane arrangement.
         /// Returns both the selected beam and top candidates to avoid duplicate searches
         /// </summary>
-        public static (BeamProperties selectedBeam, List<BeamProperties> topCandidates) FindBeamSizeWithCandidates(BeamSizerConfig config, double k1)
+        public static (BeamProperties selectedBeam, List<BeamProperties> topCandidates) FindBeamSizeWithCandidates(
+            BeamSizerConfig config, double ecl, IReadOnlyList<CustomSection>? customSections = null,
+            CandidateFilter? filter = null)
         {
-            double ECL = k1 * config.MaxWheelLoad;
             double bridgeSpan = config.BridgeSpan;
 
-            Console.WriteLine($"DEBUG: FindBeamSizeWithCandidates using BridgeSpan = {bridgeSpan:F1} ft, ECL = {ECL:F0} lbs");
+            Console.WriteLine($"DEBUG: FindBeamSizeWithCandidates using BridgeSpan = {bridgeSpan:F1} ft, ECL = {ecl:F0} lbs");
 
             // Get top candidates - this is the SINGLE call that does all the work
-            var topBeams = DataLoader.FindTopAdequateBeams(ECL, bridgeSpan, config.Capped, 5);
+            var topBeams = DataLoader.FindTopAdequateBeams(ecl, bridgeSpan, config.Capped, filter?.Count ?? 5, customSections, filter);
 
             var selectedBeam = topBeams.FirstOrDefault();
 
+            // The filter is user input: report it against the filter rather than as a failed analysis
+            if (selectedBeam == null && filter != null && filter.IsRestrictive)
+            {
+                throw new ArgumentOutOfRangeException("candidateFilter",
+                    $"No adequate beam passes the candidate filters for ECL={ecl:F0} lbs and span={bridgeSpan:F1} ft. " +
+                    "Relax the depth, weight, excluded or stock limits.");
+            }
+
             if (selectedBeam == null)
             {
                 throw new InvalidOperationException(
-                    $"No adequate beam found for ECL={ECL:F0} lbs and span={bridgeSpan:F1} ft. " +
+                    $"No adequate beam found for ECL={ecl:F0} lbs and span={bridgeSpan:F1} ft. " +
                     $"Consider using a {(config.Capped ? "larger" : "capped")} beam system or reducing loads.");
             }
 
@@ -46,11 +276,13 @@ namespace BeamSizing
             Console.WriteLine("\nTop Beam Candidates (sorted by weight only):");
             foreach (var beam in topBeams)
             {
-                double beamCapacity = DataLoader.GetInterpolatedLoadCapacity(beam.Designation, bridgeSpan, config.Capped);
-                double utilizationPercent = (ECL / beamCapacity) * 100;
+                double beamCapacity = DataLoader.GetCandidateCapacity(beam, bridgeSpan, config.Capped);
+                double utilizationPercent = (ecl / beamCapacity) * 100;
 
                 // Get table values for engineering validation
-                var tableInfo = GetBeamTableValidation(beam.Designation, bridgeSpan, config.Capped);
+                var tableInfo = beam is CustomSection
+                    ? "Custom section capacity table"
+                    : GetBeamTableValidation(beam.Designation, bridgeSpan, config.Capped);
 
                 Console.WriteLine($"  • {beam.Designation} — {beam.Weight:F1} lbs/ft, I = {beam.I:F0} in⁴, S = {beam.S:F0} in³");
                 Console.WriteLine($"    Table Data: {tableInfo}");
@@ -62,67 +294,146 @@ namespace BeamSizing
         }
 
         /// <summary>
-        /// Check lateral deflection limit (L/450).
+        /// Resolve a manually selected beam designation for the configured beam system.
+        /// USED BY: BeamSizingController.AnalyzeBeam when the user picks a candidate
+        /// </summary>
+        public static BeamProperties ResolveSelectedBeam(BeamSizerConfig config, string designation,
+            IReadOnlyList<CustomSection>? customSections = null)
+        {
+            var beam = customSections?.FirstOrDefault(c => c.Capped == config.Capped && c.Designation == designation.Trim())
+                       ?? DataLoader.FindBeamByDesignation(designation, config.Capped);
+
+            if (beam == null)
+            {
+                throw new ArgumentOutOfRangeException("selectedDesignation",
+                    $"Beam {designation} was not found in the {(config.Capped ? "capped" : "uncapped")} beam database");
+            }
+
+            return beam;
+        }
+
+        /// <summary>
+        /// Check lateral deflection limit (L/450 standard, from the design criteria) under the lateral load of the governing crane arrangement.
         /// Uses pre-calculated values from config where possible.
         /// </summary>
-        public static bool CheckLateralDeflection(BeamSizerConfig config, BeamProperties beam)
+        public static StructuralCheck CheckLateralDeflection(BeamSizerConfig config, BeamProperties beam, double lateralLoad)
         {
-            if (beam == null) return false;
+            if (beam == null) throw new ArgumentNullException(nameof(beam));
 
-            double beamDeflection = (config.LateralLoad * Math.Pow(config.RailHeightInches, 3)) /
+            double beamDeflection = (lateralLoad * Math.Pow(config.RailHeightInches, 3)) /
                                    (3.0 * 29000000.0 * beam.I);
-            double allowableDeflection = config.RailHeightInches / 450.0;
+            double allowableDeflection = config.RailHeightInches / config.Criteria.LateralDeflectionLimit;
 
-            return beamDeflection < allowableDeflection;
+            return new StructuralCheck(beamDeflection, allowableDeflection, "in", $"L/{config.Criteria.LateralDeflectionLimit:0.##}");
         }
 
         /// <summary>
-        /// Check longitudinal deflection limit (L/500).
+        /// Check longitudinal deflection limit (L/500 standard, from the design criteria) under the longitudinal load of the governing crane arrangement.
         /// Uses pre-calculated values from config where possible.
         /// </summary>
-        public static bool CheckLongitudinalDeflection(BeamSizerConfig config, BeamProperties beam)
+        public static StructuralCheck CheckLongitudinalDeflection(BeamSizerConfig config, BeamProperties beam, double longitudinalLoad)
         {
-            if (beam == null) return false;
+            if (beam == null) throw new ArgumentNullException(nameof(beam));
 
-            double beamDeflection = (config.LongitudinalLoad * Math.Pow(config.RailHeightInches, 3)) /
+            double beamDeflection = (longitudinalLoad * Math.Pow(config.RailHeightInches, 3)) /
                                    (3.0 * 29000000.0 * beam.I);
-            double allowableDeflection = config.RailHeightInches / 500.0;
+            double allowableDeflection = config.RailHeightInches / config.Criteria.LongitudinalDeflectionLimit;
 
-            return beamDeflection < allowableDeflection;
+            return new StructuralCheck(beamDeflection, allowableDeflection, "in", $"L/{config.Criteria.LongitudinalDeflectionLimit:0.##}");
         }
 
         /// <summary>
-        /// Check bending stress limit (24,000 psi).
+        /// Check bending stress limit (24,000 psi standard, from the design criteria) under the lateral load of the governing crane arrangement.
         /// Uses pre-calculated values from config where possible.
         /// </summary>
-        public static bool CheckBendingStress(BeamSizerConfig config, BeamProperties beam)
+        public static StructuralCheck CheckBendingStress(BeamSizerConfig config, BeamProperties beam, double lateralLoad)
         {
-            if (beam == null) return false;
+            if (beam == null) throw new ArgumentNullException(nameof(beam));
 
-            double beamStress = (config.LateralLoad * config.RailHeightInches) / beam.S;
-            double allowableStress = 24000;
+            double beamStress = (lateralLoad * config.RailHeightInches) / beam.S;
+            double allowableStress = config.Criteria.AllowableStress;
 
-            return beamStress < allowableStress;
+            return new StructuralCheck(beamStress, allowableStress, "psi", "Fb");
         }
 
         /// <summary>
         /// Check axial unity check.
         /// Uses pre-calculated values from config where possible.
         /// </summary>
-        public static bool CheckAxialUnity(BeamSizerConfig config, double axialLoad)
+        public static StructuralCheck CheckAxialUnity(BeamSizerConfig config, double axialLoad)
         {
             // Unity check: fa/Fa + fe/Fe < 1.0
             double unityRatio = (axialLoad / 24000.0) + (config.EffectiveLength / 43.2);
             Console.WriteLine($"DEBUG: Unity ratio is {unityRatio:F3}");
-            return unityRatio < 1.0;
+            return new StructuralCheck(unityRatio, 1.0, "", "fa/Fa + fe/Fe");
+        }
+
+        /// <summary>
+        /// Reactions at each column of one runway line, each with the cranes of the arrangement that
+        /// governs the columns at that column and the trolleys at the near end of the bridge. Simple
+        /// spans between columns: a single crane with its wheels straddling the column puts
+        /// 1 - WheelBase / (2 * SupportCenters) of its load on this runway (2 * MaxWheelLoad) on it.
+        /// The arrangement's full lateral and longitudinal loads act at rail height on the column,
+        /// as in the column and foundation moments.
+        /// </summary>
+        public static List<ColumnReaction> CalculateColumnReactions(BeamSizerConfig config, BeamProperties beam, CraneArrangement loads)
+        {
+            double lateral = loads.LateralLoad / 1000.0;
+            double longitudinal = loads.LongitudinalLoad / 1000.0;
+
+            var reactions = new List<ColumnReaction>();
+            for (int column = 1; column <= config.NumCols; column++)
+            {
+                bool isEnd = column == 1 || column == config.NumCols;
+                double tributaryLength = isEnd ? config.SupportCenters / 2.0 : config.SupportCenters;
+
+                var reaction = new ColumnReaction
+                {
+                    Column = column,
+                    Position = (column - 1) * config.SupportCenters,
+                    IsEndColumn = isEnd,
+                    TributaryLength = tributaryLength,
+                    Dead = beam.Weight * tributaryLength / 1000.0,
+                    CraneVertical = loads.ColumnVertical / 1000.0,
+                    Impact = loads.ColumnImpact / 1000.0,
+                    Lateral = lateral,
+                    Longitudinal = longitudinal,
+                    LateralMoment = lateral * config.RailHeight,
+                    LongitudinalMoment = longitudinal * config.RailHeight
+                };
+
+                foreach (var combination in LoadCombination.Standard)
+                {
+                    reaction.Combinations.Add(new CombinedReaction
+                    {
+                        Combination = combination.Name,
+                        Method = combination.Method,
+                        Vertical = combination.Dead * reaction.Dead +
+                                   combination.CraneVertical * (reaction.CraneVertical + reaction.Impact),
+                        Lateral = combination.Lateral * reaction.Lateral,
+                        Longitudinal = combination.Longitudinal * reaction.Longitudinal,
+                        LateralMoment = combination.Lateral * reaction.LateralMoment,
+                        LongitudinalMoment = combination.Longitudinal * reaction.LongitudinalMoment
+                    });
+                }
+
+                reactions.Add(reaction);
+            }
+
+            return reactions;
         }
 
         /// <summary>
         /// Perform complete beam sizing analysis using pure functions.
         /// MAIN ENTRY POINT - Called by BeamSizerService.PerformAnalysis()
         /// Now uses pre-calculated values from config to eliminate duplication.
+        /// When selectedBeamOverride is given, all checks run against that beam instead
+        /// of the lightest adequate candidate. Custom sections join the candidate search,
+        /// and the candidate filter limits which beams it may recommend. With a second crane,
+        /// the beam is sized and the columns loaded by the governing crane arrangements.
         /// </summary>
-        public static BeamSizingResults PerformFullAnalysis(BeamSizerConfig config)
+        public static BeamSizingResults PerformFullAnalysis(BeamSizerConfig config, BeamProperties? selectedBeamOverride = null,
+            IReadOnlyList<CustomSection>? customSections = null, CandidateFilter? filter = null, SecondCrane? secondCrane = null)
         {
             var results = new BeamSizingResults();
 
@@ -136,6 +447,7 @@ namespace BeamSizing
                 // Store configuration values in results
                 results.WheelbaseSpanRatio = config.WheelbaseSpanRatio;
                 results.ImpactFactor = config.ImpactFactor;
+                results.DesignCriteria = config.Criteria;
 
                 // Store beam weight components
                 results.GirderWeight = config.GirderWeight;
@@ -143,34 +455,55 @@ namespace BeamSizing
                 results.EndTruckWeight = config.EndTruckWeight;
                 results.TotalBeamWeight = config.WeightBeam;
 
+                // Crane arrangements: the one with the largest ECL sizes the beam, the one with the
+                // largest column reaction loads the columns
+                results.CraneArrangements = FindCraneArrangements(config, secondCrane);
+                var beamLoads = results.CraneArrangements.First(arrangement => arrangement.GovernsBeam);
+                var columnLoads = results.CraneArrangements.First(arrangement => arrangement.GovernsColumns);
+                results.ECL = beamLoads.ECL;
+
                 // Step 2: Single call gets both selected beam and candidates
                 Console.WriteLine($"DEBUG: bridgeSpan in config is {config.BridgeSpan:F1} ft");
 
-                var (selectedBeam, topCandidates) = FindBeamSizeWithCandidates(config, kFactors.k1);
+                var (recommendedBeam, topCandidates) = FindBeamSizeWithCandidates(config, beamLoads.ECL, customSections, filter);
+                var selectedBeam = selectedBeamOverride ?? recommendedBeam;
                 results.SelectedBeam = selectedBeam;
                 results.TopBeamCandidates = topCandidates;
+                results.IsManualSelection = selectedBeamOverride != null &&
+                                            selectedBeamOverride.Designation != recommendedBeam.Designation;
 
-                // Step 3: Calculate loads (using pre-calculated values from config)
-                results.MaxWheelLoad = config.MaxWheelLoad;
+                if (results.IsManualSelection)
+                {
+                    Console.WriteLine($"DEBUG: Manual selection {selectedBeam.Designation} overrides recommended {recommendedBeam.Designation}");
+                }
+
+                // Step 3: Calculate loads (crane loads from the arrangement governing the columns)
+                results.MaxWheelLoad = results.CraneArrangements.Max(arrangement => arrangement.MaxWheelLoad);
                 results.RunwayBeamWeight = config.CalculateRunwayBeamWeight(selectedBeam);
-                results.LateralLoad = config.LateralLoad;
-                results.LongitudinalLoad = config.LongitudinalLoad;
+                results.LateralLoad = columnLoads.LateralLoad;
+                results.LongitudinalLoad = columnLoads.LongitudinalLoad;
 
                 // Step 4: Calculate moments (using config methods)
-                results.ColumnMoment = config.CalculateColumnMoment();
-                results.FoundationMoment = config.CalculateFoundationMoment();
+                results.ColumnMoment = config.CalculateColumnMoment(results.LateralLoad);
+                results.FoundationMoment = config.CalculateFoundationMoment(results.LongitudinalLoad);
                 results.LateralOTM = BeamSizerConfig.ConvertToOTM(results.ColumnMoment);
                 results.LongitudinalOTM = BeamSizerConfig.ConvertToOTM(results.FoundationMoment);
 
                 // Step 5: Calculate foundation loads (using config methods)
-                results.MaxVerticalLoad = config.CalculateMaxVerticalLoad(results.RunwayBeamWeight);
+                results.MaxVerticalLoad = BeamSizerConfig.CalculateMaxVerticalLoad(columnLoads.CraneWeight, results.RunwayBeamWeight);
                 results.ColumnLoadFoundation = BeamSizerConfig.CalculateColumnLoadFoundation(results.MaxVerticalLoad);
+                results.ColumnReactions = CalculateColumnReactions(config, selectedBeam, columnLoads);
 
                 // Step 6: Perform structural checks (simplified with pre-calculated values)
-                results.LateralDeflectionPass = CheckLateralDeflection(config, selectedBeam);
-                results.LongitudinalDeflectionPass = CheckLongitudinalDeflection(config, selectedBeam);
-                results.StressCheckPass = CheckBendingStress(config, selectedBeam);
-                results.AxialCheckPass = CheckAxialUnity(config, results.MaxVerticalLoad);
+                results.LateralDeflectionCheck = CheckLateralDeflection(config, selectedBeam, results.LateralLoad);
+                results.LongitudinalDeflectionCheck = CheckLongitudinalDeflection(config, selectedBeam, results.LongitudinalLoad);
+                results.StressCheck = CheckBendingStress(config, selectedBeam, results.LateralLoad);
+                results.AxialCheck = CheckAxialUnity(config, results.MaxVerticalLoad);
+
+                results.LateralDeflectionPass = results.LateralDeflectionCheck.Pass;
+                results.LongitudinalDeflectionPass = results.LongitudinalDeflectionCheck.Pass;
+                results.StressCheckPass = results.StressCheck.Pass;
+                results.AxialCheckPass = results.AxialCheck.Pass;
 
                 // Step 7: Set overall result
                 results.OverallPass = results.LateralDeflectionPass &&
@@ -180,6 +513,11 @@ namespace BeamSizing
 
                 return results;
             }
+            catch (ArgumentOutOfRangeException)
+            {
+                // Input errors keep their parameter so the controller can return 400
+                throw;
+            }
             catch (Exception ex)
             {
                 throw new InvalidOperationException($"Analysis failed: {ex.Message}", ex);
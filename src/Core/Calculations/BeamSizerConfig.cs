@@ -29,6 +29,7 @@ namespace BeamSizing
         public bool Capped { get; }                 // Use capped beam system
         public double BridgeSpan { get; }           // Distance between runway beams (Beam span) (ft)
         public double HoistSpeed { get; }           // (ft/min)
+        public DesignCriteria Criteria { get; }     // Load percentages, impact rule and check limits
 
         // Computed properties - calculated once during construction
         public double ImpactFactor { get; }
@@ -36,8 +37,8 @@ namespace BeamSizing
         public double WheelbaseSpanRatio { get; }
 
         // NEW: Pre-calculated loads that depend only on user input
-        public double LateralLoad { get; }          // 20% of (crane capacity + hoist/trolley weight)
-        public double LongitudinalLoad { get; }     // 10% of max wheel load
+        public double LateralLoad { get; }          // Criteria % (20% standard) of (crane capacity + hoist/trolley weight)
+        public double LongitudinalLoad { get; }     // Criteria % (10% standard) of max wheel load
         public double RailHeightInches { get; }     // Rail height converted to inches
         public double EffectiveLengthFactor { get; } // Factor for freestanding vs braced columns
         public double EffectiveLength { get; }      // Rail height * effective length factor
@@ -45,6 +46,7 @@ namespace BeamSizing
         /// <summary>
         /// Creates a new immutable Beam sizing configuration.
         /// All validation and calculations occur during construction.
+        /// Without design criteria, the standard profile applies.
         /// </summary>
         public BeamSizerConfig(
             double ratedCapacity,
@@ -59,7 +61,8 @@ namespace BeamSizing
             bool freestanding,
             bool capped,
             double bridgeSpan,
-            double hoistSpeed = 0)
+            double hoistSpeed = 0,
+            DesignCriteria? criteria = null)
         {
             // Calculate total Beam weight from components
             double weightBeam = girderWeight + panelWeight + endTruckWeight;
@@ -83,17 +86,18 @@ namespace BeamSizing
             Capped = capped;
             BridgeSpan = bridgeSpan;
             HoistSpeed = hoistSpeed;
+            Criteria = criteria ?? DesignCriteria.Resolve(null);
 
             // Calculate derived values once
-            ImpactFactor = CalculateImpactFactor(hoistSpeed);
+            ImpactFactor = Criteria.CalculateImpactFactor(hoistSpeed);
             WheelbaseSpanRatio = wheelBase / supportCenters;
             MaxWheelLoad = ((ImpactFactor * ratedCapacity) / 2.0) +
                           (weightHoistTrolley / 2.0) +
                           (weightBeam / 4.0);
 
             // NEW: Calculate loads that depend only on user input
-            LateralLoad = 0.2 * (ratedCapacity + weightHoistTrolley);
-            LongitudinalLoad = 0.1 * MaxWheelLoad;
+            LateralLoad = Criteria.LateralLoadPercent / 100.0 * (ratedCapacity + weightHoistTrolley);
+            LongitudinalLoad = Criteria.LongitudinalLoadPercent / 100.0 * MaxWheelLoad;
             RailHeightInches = railHeight * 12.0;
             EffectiveLengthFactor = freestanding ? 2.0 : 0.5;
             EffectiveLength = railHeight * EffectiveLengthFactor;
@@ -103,14 +107,14 @@ namespace BeamSizing
         }
 
         /// <summary>
-        /// Calculate column moment from lateral load (depends only on config values)
+        /// Calculate column moment from a lateral load at rail height (this crane's or the governing crane arrangement's)
         /// </summary>
-        public double CalculateColumnMoment() => RailHeightInches * LateralLoad;
+        public double CalculateColumnMoment(double lateralLoad) => RailHeightInches * lateralLoad;
 
         /// <summary>
-        /// Calculate foundation moment from longitudinal load (depends only on config values)
+        /// Calculate foundation moment from a longitudinal load at rail height
         /// </summary>
-        public double CalculateFoundationMoment() => RailHeightInches * LongitudinalLoad;
+        public double CalculateFoundationMoment(double longitudinalLoad) => RailHeightInches * longitudinalLoad;
 
         /// <summary>
         /// Calculate runway beam weight for a given beam (depends on config + beam)
@@ -123,10 +127,11 @@ namespace BeamSizing
         }
 
         /// <summary>
-        /// Calculate maximum vertical load on runway system (depends on config + runway beam weight)
+        /// Calculate maximum vertical load on runway system from the crane weight (capacity, crane and
+        /// hoist/trolley weights of the governing crane arrangement) and the runway beam weight
         /// </summary>
-        public double CalculateMaxVerticalLoad(double runwayBeamWeight) =>
-            RatedCapacity + WeightBeam + WeightHoistTrolley + runwayBeamWeight;
+        public static double CalculateMaxVerticalLoad(double craneWeight, double runwayBeamWeight) =>
+            craneWeight + runwayBeamWeight;
 
         /// <summary>
         /// Calculate column load on foundation (static calculation)
@@ -189,7 +194,7 @@ namespace BeamSizing
 
             // Additional validation for ratios and combinations
             if (wheelBase > supportCenters)
-                throw new ArgumentException(
+                throw new ArgumentOutOfRangeException(nameof(wheelBase),
                     "Wheelbase cannot be greater than support centers");
 
             if (railHeight < 8)
@@ -197,18 +202,6 @@ namespace BeamSizing
                     "Rail height should be at least 8 feet for practical Beam operation");
         }
 
-        /// <summary>
-        /// Calculates impact factor based on hoist speed.
-        /// </summary>
-        private static double CalculateImpactFactor(double hoistSpeed)
-        {
-            // Default impact factor when no hoist speed is specified
-            if (hoistSpeed <= 0)
-                return 1.15;
-            else
-                return (0.005 * hoistSpeed) + 1;
-        }
-
         /// <summary>
         /// Gets a formatted analysis summary for debugging and validation.
         /// </summary>
@@ -228,6 +221,7 @@ namespace BeamSizing
                   Beam System: {(Capped ? "Capped" : "Uncapped")}
                   Column Type: {(Freestanding ? "Freestanding" : "Braced")}
                   Hoist Speed: {(HoistSpeed > 0 ? $"{HoistSpeed} ft/min" : "Default")}
+                  Design Criteria: {Criteria.Name}{(Criteria.ServiceClass != null ? $", CMAA Class {Criteria.ServiceClass}" : "")}
                   Beam Weight Components:
                     Girder: {GirderWeight:N0} lbs
                     Panel: {PanelWeight:N0} lbs
@@ -28,6 +28,11 @@ namespace BeamSizing
         /// </summary>
         public BeamProperties? SelectedBeam { get; set; }
 
+        /// <summary>
+        /// True when the selected beam was chosen manually instead of the lightest adequate candidate
+        /// </summary>
+        public bool IsManualSelection { get; set; }
+
         /// <summary>
         /// Top 5 beams for ECL
         /// </summary>
@@ -47,13 +52,13 @@ namespace BeamSizing
 
         /// <summary>
         /// Lateral load on columns (lbs)
-        /// 20% of (crane capacity + hoist/trolley weight)
+        /// Design criteria % (20% standard) of (crane capacity + hoist/trolley weight)
         /// </summary>
         public double LateralLoad { get; set; }
 
         /// <summary>
         /// Longitudinal load on columns (lbs)
-        /// 10% of maximum wheel load
+        /// Design criteria % (10% standard) of maximum wheel load
         /// </summary>
         public double LongitudinalLoad { get; set; }
         #endregion
@@ -90,21 +95,32 @@ namespace BeamSizing
         /// Column load transmitted to foundation (kips)
         /// </summary>
         public double ColumnLoadFoundation { get; set; }
+
+        /// <summary>
+        /// Reactions at each column along one runway line, with ASD/LRFD combinations
+        /// </summary>
+        public List<ColumnReaction> ColumnReactions { get; set; } = new List<ColumnReaction>();
+
+        /// <summary>
+        /// Crane arrangements on the runway (one without a second crane), flagged with the ones
+        /// governing the beam and the columns
+        /// </summary>
+        public List<CraneArrangement> CraneArrangements { get; set; } = new List<CraneArrangement>();
         #endregion
 
         #region Structural Check Results
         /// <summary>
-        /// Lateral deflection check result (L/450 limit)
+        /// Lateral deflection check result (design criteria limit, L/450 standard)
         /// </summary>
         public bool LateralDeflectionPass { get; set; }
 
         /// <summary>
-        /// Longitudinal deflection check result (L/500 limit)
+        /// Longitudinal deflection check result (design criteria limit, L/500 standard)
         /// </summary>
         public bool LongitudinalDeflectionPass { get; set; }
 
         /// <summary>
-        /// Bending stress check result (24,000 psi limit)
+        /// Bending stress check result (design criteria allowable, 24,000 psi standard)
         /// </summary>
         public bool StressCheckPass { get; set; }
 
@@ -117,13 +133,33 @@ namespace BeamSizing
         /// Overall design adequacy (all checks must pass)
         /// </summary>
         public bool OverallPass { get; set; }
+
+        /// <summary>
+        /// Lateral deflection vs. its limit (inches)
+        /// </summary>
+        public StructuralCheck? LateralDeflectionCheck { get; set; }
+
+        /// <summary>
+        /// Longitudinal deflection vs. its limit (inches)
+        /// </summary>
+        public StructuralCheck? LongitudinalDeflectionCheck { get; set; }
+
+        /// <summary>
+        /// Bending stress vs. the allowable stress of the design criteria
+        /// </summary>
+        public StructuralCheck? StressCheck { get; set; }
+
+        /// <summary>
+        /// Axial interaction sum vs. unity
+        /// </summary>
+        public StructuralCheck? AxialCheck { get; set; }
         #endregion
 
         #region Detailed Analysis Values (for debugging/validation)
         /// <summary>
-        /// Equivalent Concentrated Load used for beam selection (lbs)
+        /// Equivalent Concentrated Load used for beam selection, from the crane arrangement governing the beam (lbs)
         /// </summary>
-        public double ECL => K1 * MaxWheelLoad;
+        public double ECL { get; set; }
 
         /// <summary>
         /// Wheelbase to span ratio used for K-factor lookup
@@ -135,6 +171,11 @@ namespace BeamSizing
         /// </summary>
         public double ImpactFactor { get; set; }
 
+        /// <summary>
+        /// Service class and design-criteria profile the analysis was checked against
+        /// </summary>
+        public DesignCriteria? DesignCriteria { get; set; }
+
         /// <summary>
         /// Analysis timestamp
         /// </summary>
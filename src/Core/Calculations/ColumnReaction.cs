@@ -0,0 +1,132 @@
+// ColumnReaction.cs - Per-column foundation reactions and their ASD/LRFD load combinations
+
+using System;
+using System.Collections.Generic;
+
+namespace BeamSizing
+{
+    /// <summary>
+    /// Load factors of one combination. Crane vertical static (Cvs) and impact (Cvi) share a factor;
+    /// lateral (Css) and longitudinal (Cls) crane forces are never combined with each other.
+    /// </summary>
+    public class LoadCombination
+    {
+        public LoadCombination(string name, string method, double dead, double craneVertical, double lateral, double longitudinal)
+        {
+            Name = name;
+            Method = method;
+            Dead = dead;
+            CraneVertical = craneVertical;
+            Lateral = lateral;
+            Longitudinal = longitudinal;
+        }
+
+        /// <summary>
+        /// Combination as written, e.g. "1.2D + 1.6(Cvs + Cvi)"
+        /// </summary>
+        public string Name { get; }
+
+        /// <summary>
+        /// "ASD" or "LRFD"
+        /// </summary>
+        public string Method { get; }
+
+        public double Dead { get; }
+        public double CraneVertical { get; }
+        public double Lateral { get; }
+        public double Longitudinal { get; }
+
+        /// <summary>
+        /// Standard crane runway combinations (ASCE 7 with crane loads as in AISC Design Guide 7)
+        /// </summary>
+        public static IReadOnlyList<LoadCombination> Standard { get; } = new List<LoadCombination>
+        {
+            new LoadCombination("D", "ASD", 1.0, 0.0, 0.0, 0.0),
+            new LoadCombination("D + Cvs + Cvi", "ASD", 1.0, 1.0, 0.0, 0.0),
+            new LoadCombination("D + Cvs + Cvi + Css", "ASD", 1.0, 1.0, 1.0, 0.0),
+            new LoadCombination("D + Cvs + Cvi + Cls", "ASD", 1.0, 1.0, 0.0, 1.0),
+            new LoadCombination("1.4D", "LRFD", 1.4, 0.0, 0.0, 0.0),
+            new LoadCombination("1.2D + 1.6(Cvs + Cvi)", "LRFD", 1.2, 1.6, 0.0, 0.0),
+            new LoadCombination("1.2D + 1.6(Cvs + Cvi + Css)", "LRFD", 1.2, 1.6, 1.6, 0.0),
+            new LoadCombination("1.2D + 1.6(Cvs + Cvi + Cls)", "LRFD", 1.2, 1.6, 0.0, 1.6)
+        };
+    }
+
+    /// <summary>
+    /// Reactions at the base of one column for one load combination (kips, kip-ft)
+    /// </summary>
+    public class CombinedReaction
+    {
+        public string Combination { get; set; } = string.Empty;
+        public string Method { get; set; } = string.Empty;
+        public double Vertical { get; set; }
+        public double Lateral { get; set; }
+        public double Longitudinal { get; set; }
+        public double LateralMoment { get; set; }
+        public double LongitudinalMoment { get; set; }
+    }
+
+    /// <summary>
+    /// Unfactored reactions at the base of one runway column with the crane at that column and the
+    /// trolley at the near end of the bridge. Forces in kips, moments in kip-ft, lengths in feet.
+    /// </summary>
+    public class ColumnReaction
+    {
+        /// <summary>
+        /// Column number along the runway (1 = first column)
+        /// </summary>
+        public int Column { get; set; }
+
+        /// <summary>
+        /// Distance from the first column (ft)
+        /// </summary>
+        public double Position { get; set; }
+
+        public bool IsEndColumn { get; set; }
+
+        /// <summary>
+        /// Runway beam length carried by the column (ft)
+        /// </summary>
+        public double TributaryLength { get; set; }
+
+        /// <summary>
+        /// D: runway beam self weight over the tributary length (kips)
+        /// </summary>
+        public double Dead { get; set; }
+
+        /// <summary>
+        /// Cvs: bridge, trolley and rated load without impact (kips)
+        /// </summary>
+        public double CraneVertical { get; set; }
+
+        /// <summary>
+        /// Cvi: vertical impact on the rated load (kips)
+        /// </summary>
+        public double Impact { get; set; }
+
+        /// <summary>
+        /// Css: lateral crane force at rail height (kips)
+        /// </summary>
+        public double Lateral { get; set; }
+
+        /// <summary>
+        /// Cls: longitudinal crane force at rail height (kips)
+        /// </summary>
+        public double Longitudinal { get; set; }
+
+        /// <summary>
+        /// Base moment of the lateral force (kip-ft)
+        /// </summary>
+        public double LateralMoment { get; set; }
+
+        /// <summary>
+        /// Base moment of the longitudinal force (kip-ft)
+        /// </summary>
+        public double LongitudinalMoment { get; set; }
+
+        /// <summary>
+        /// Factored reactions for each standard combination
+        /// </summary>
+        public List<CombinedReaction> Combinations { get; set; } = new List<CombinedReaction>();
+    }
+}
@@ -0,0 +1,79 @@
+// CraneArrangement.cs - Cranes that can load the runway together and the loads they produce
+
+using System.Collections.Generic;
+
+namespace BeamSizing
+{
+    /// <summary>
+    /// One way the cranes can load the runway: a single crane, or both cranes with their bumpers
+    /// touching. Loads in lbs; wheel positions in feet.
+    /// </summary>
+    public class CraneArrangement
+    {
+        /// <summary>
+        /// "Crane 1", "Crane 2" or "Cranes 1 + 2"
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Cranes in the arrangement (1 = the configured crane, 2 = the second crane)
+        /// </summary>
+        public List<int> Cranes { get; set; } = new List<int>();
+
+        /// <summary>
+        /// Equivalent Concentrated Load on one span of runway beam (lbs)
+        /// </summary>
+        public double ECL { get; set; }
+
+        /// <summary>
+        /// Largest wheel load of the cranes (lbs)
+        /// </summary>
+        public double MaxWheelLoad { get; set; }
+
+        /// <summary>
+        /// Cvs: crane vertical load on one column with the wheels placed for the largest reaction (lbs)
+        /// </summary>
+        public double ColumnVertical { get; set; }
+
+        /// <summary>
+        /// Cvi: vertical impact on that column in the same position (lbs)
+        /// </summary>
+        public double ColumnImpact { get; set; }
+
+        /// <summary>
+        /// Lateral load of the cranes together (lbs)
+        /// </summary>
+        public double LateralLoad { get; set; }
+
+        /// <summary>
+        /// Longitudinal load of the cranes together (lbs)
+        /// </summary>
+        public double LongitudinalLoad { get; set; }
+
+        /// <summary>
+        /// Rated capacity, crane and hoist/trolley weights of the cranes together (lbs)
+        /// </summary>
+        public double CraneWeight { get; set; }
+
+        /// <summary>
+        /// Wheel positions at the largest span moment, in feet from the left support of the span
+        /// (wheels off the span fall outside 0 to L); two wheels per crane in the order of Cranes
+        /// </summary>
+        public List<double> WheelPositions { get; set; } = new List<double>();
+
+        /// <summary>
+        /// Load of each wheel in WheelPositions (lbs)
+        /// </summary>
+        public List<double> WheelLoads { get; set; } = new List<double>();
+
+        /// <summary>
+        /// True for the arrangement with the largest ECL, used to size the beam
+        /// </summary>
+        public bool GovernsBeam { get; set; }
+
+        /// <summary>
+        /// True for the arrangement with the largest column reaction, used for column and foundation loads
+        /// </summary>
+        public bool GovernsColumns { get; set; }
+    }
+}
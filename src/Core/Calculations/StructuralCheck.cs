@@ -0,0 +1,56 @@
+// StructuralCheck.cs - Computed value, allowable limit and unity ratio for one structural check
+
+using System;
+
+namespace BeamSizing
+{
+    /// <summary>
+    /// Result of a single structural check. The check passes while Value stays below Limit,
+    /// so Ratio shows how close the design is to failing (1.0 = at the limit).
+    /// </summary>
+    public class StructuralCheck
+    {
+        public StructuralCheck(double value, double limit, string unit, string criterion)
+        {
+            Value = value;
+            Limit = limit;
+            Unit = unit;
+            Criterion = criterion;
+        }
+
+        /// <summary>
+        /// Computed demand (deflection in inches, stress in psi, or the unity sum)
+        /// </summary>
+        public double Value { get; }
+
+        /// <summary>
+        /// Allowable value in the same unit as Value
+        /// </summary>
+        public double Limit { get; }
+
+        /// <summary>
+        /// Unit of Value and Limit ("in", "psi", or empty for unity checks)
+        /// </summary>
+        public string Unit { get; }
+
+        /// <summary>
+        /// Design criterion the limit comes from, e.g. "L/450" or "Fb"
+        /// </summary>
+        public string Criterion { get; }
+
+        /// <summary>
+        /// Unity ratio Value / Limit
+        /// </summary>
+        public double Ratio => Value / Limit;
+
+        /// <summary>
+        /// Remaining capacity as a fraction of the limit (negative when the check fails)
+        /// </summary>
+        public double Margin => 1.0 - Ratio;
+
+        /// <summary>
+        /// True when the computed value is below the limit
+        /// </summary>
+        public bool Pass => Value < Limit;
+    }
+}
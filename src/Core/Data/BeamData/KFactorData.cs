@@ -40,6 +40,12 @@ namespace BeamSizing.Data
             (1.00, 1.000, 1.000)
         };
 
+        /// <summary>
+        /// Read-only view of the K-factor table
+        /// USED BY: BeamSizingController.GetBeamTables for the client-side engine export
+        /// </summary>
+        public static IReadOnlyList<(double ratio, double k1, double k2)> Table => KFactorTable;
+
         /// <summary>
         /// Get K-factors for a given wheelbase to support centers ratio (A/L ratio)
         /// Uses linear interpolation between table values for accuracy
@@ -71,7 +71,9 @@ namespace BeamSizing
             double requiredCapacity,
             double spanLength,
             bool capped = false,
-            int topN = 5)
+            int topN = 5,
+            IReadOnlyList<CustomSection>? customSections = null,
+            CandidateFilter? filter = null)
         {
             Console.WriteLine($"DEBUG: FindTopAdequateBeams called with ECL = {requiredCapacity:F0} lbs, span = {spanLength:F1} ft, capped = {capped}");
 
@@ -102,6 +104,10 @@ namespace BeamSizing
 
             foreach (var beam in sortedBeams)
             {
+                // Filtered-out beams never count toward the candidates (or the early exit below)
+                if (filter != null && !filter.Allows(beam))
+                    continue;
+
                 // OPTIMIZATION 2: Skip beams that don't have capacity data for this span range
                 if (!spanIndex.TryGetValue(beam.Designation, out var availableSpans))
                     continue;
@@ -126,6 +132,23 @@ namespace BeamSizing
                 }
             }
 
+            // User-defined sections of the same beam system compete on weight like catalog beams.
+            // Their tables may be sparse, so no span range pre-filter: capacity is 0 outside the table.
+            foreach (var custom in (customSections ?? Array.Empty<CustomSection>()).Where(c => c.Capped == capped))
+            {
+                if (filter != null && !filter.Allows(custom))
+                    continue;
+
+                double customCapacity = custom.GetInterpolatedCapacity(spanLength);
+                if (customCapacity >= requiredCapacity)
+                {
+                    double utilization = (requiredCapacity / customCapacity) * 100.0;
+                    adequateBeams.Add((custom, customCapacity, utilization));
+
+                    Console.WriteLine($"DEBUG: {custom.Designation} (custom) - Capacity: {customCapacity:F0} lbs, Utilization: {utilization:F1}%");
+                }
+            }
+
             var result = adequateBeams
                 .OrderBy(x => x.beam.Weight) // Final sort by weight
                 .Take(topN)
@@ -225,6 +248,38 @@ namespace BeamSizing
             return interpolatedCapacity;
         }
 
+        /// <summary>
+        /// Capacity of a candidate beam: custom sections use their own table, catalog beams the capacity data
+        /// USED BY: BeamCalculator.FindBeamSizeWithCandidates and BeamSizingController candidate details
+        /// </summary>
+        public static double GetCandidateCapacity(BeamProperties beam, double spanLength, bool capped = false)
+        {
+            return beam is CustomSection custom
+                ? custom.GetInterpolatedCapacity(spanLength)
+                : GetInterpolatedLoadCapacity(beam.Designation, spanLength, capped);
+        }
+
+        /// <summary>
+        /// Every catalog beam of one system, lightest first
+        /// USED BY: BeamSizingController.GetSections (section catalog page)
+        /// </summary>
+        public static IReadOnlyList<BeamProperties> GetCatalog(bool capped = false)
+        {
+            return capped ? _sortedCappedBeams.Value : _sortedUncappedBeams.Value;
+        }
+
+        /// <summary>
+        /// Tabulated capacity (lbs) by span (ft) for one beam; empty when the beam has no data
+        /// USED BY: BeamSizingController.GetSections (section catalog page)
+        /// </summary>
+        public static SortedDictionary<int, int> GetCapacityTable(string designation, bool capped = false)
+        {
+            var sourceData = capped ? CappedCapacityData.LoadCapacities : UncappedCapacityData.LoadCapacities;
+            return sourceData.TryGetValue(designation, out var capacities)
+                ? new SortedDictionary<int, int>(capacities)
+                : new SortedDictionary<int, int>();
+        }
+
         /// <summary>
         /// OPTIMIZED: Get beam capacity - O(1) instead of nested loops
         /// USED BY: GetInterpolatedLoadCapacity for exact span lookups
@@ -235,6 +290,19 @@ namespace BeamSizing
             return lookup.TryGetValue((designation, span), out var capacity) ? capacity : 0;
         }
 
+        /// <summary>
+        /// Look up a beam by designation in the capped or uncapped database
+        /// USED BY: BeamCalculator.ResolveSelectedBeam for manual beam selection
+        /// </summary>
+        public static BeamProperties? FindBeamByDesignation(string designation, bool capped = false)
+        {
+            if (string.IsNullOrWhiteSpace(designation))
+                return null;
+
+            var lookup = capped ? CappedBeams : UncappedBeams;
+            return lookup.TryGetValue(designation.Trim(), out var beam) ? beam : null;
+        }
+
         /// <summary>
         /// Get table validation information for engineering review - UNCHANGED
         /// USED BY: Engineering validation and debugging
@@ -0,0 +1,137 @@
+// CandidateFilter.cs
+// Limits on which beams may be ranked as candidates (headroom, weight, exclusions, shop stock)
+
+using System;
+using System.Collections.Generic;
+using System.Linq;
+
+namespace BeamSizing
+{
+    /// <summary>
+    /// Restricts the beams DataLoader.FindTopAdequateBeams may return. Beams that fail the
+    /// filter are skipped before ranking, so the lightest remaining adequate beam is recommended.
+    /// </summary>
+    public class CandidateFilter
+    {
+        /// <summary>
+        /// Largest candidate count a request may ask for
+        /// </summary>
+        public const int MaxCount = 20;
+
+        /// <summary>
+        /// Minimum section depth (in); sections without a depth are excluded when set
+        /// </summary>
+        public double? MinDepth { get; set; }
+
+        /// <summary>
+        /// Maximum section depth (in), e.g. from headroom; sections without a depth are excluded when set
+        /// </summary>
+        public double? MaxDepth { get; set; }
+
+        /// <summary>
+        /// Maximum beam weight (lbs/ft)
+        /// </summary>
+        public double? MaxWeight { get; set; }
+
+        /// <summary>
+        /// Designations never offered as candidates (case-insensitive)
+        /// </summary>
+        public List<string> ExcludedDesignations { get; set; } = new List<string>();
+
+        /// <summary>
+        /// True to offer only the designations in StockDesignations
+        /// </summary>
+        public bool StockOnly { get; set; }
+
+        /// <summary>
+        /// Designations the shop has in stock (case-insensitive)
+        /// </summary>
+        public List<string> StockDesignations { get; set; } = new List<string>();
+
+        /// <summary>
+        /// Number of candidates to rank
+        /// </summary>
+        public int Count { get; set; } = 5;
+
+        /// <summary>
+        /// True when any limit can remove a beam (the count alone does not)
+        /// </summary>
+        public bool IsRestrictive =>
+            MinDepth.HasValue || MaxDepth.HasValue || MaxWeight.HasValue ||
+            ExcludedDesignations.Count > 0 || StockOnly;
+
+        /// <summary>
+        /// True when the beam may be ranked as a candidate
+        /// </summary>
+        public bool Allows(BeamProperties beam)
+        {
+            if ((MinDepth.HasValue || MaxDepth.HasValue) && beam.Depth <= 0)
+                return false;
+
+            if (MinDepth.HasValue && beam.Depth < MinDepth.Value)
+                return false;
+
+            if (MaxDepth.HasValue && beam.Depth > MaxDepth.Value)
+                return false;
+
+            if (MaxWeight.HasValue && beam.Weight > MaxWeight.Value)
+                return false;
+
+            if (ExcludedDesignations.Contains(beam.Designation, StringComparer.OrdinalIgnoreCase))
+                return false;
+
+            if (StockOnly && !StockDesignations.Contains(beam.Designation, StringComparer.OrdinalIgnoreCase))
+                return false;
+
+            return true;
+        }
+
+        /// <summary>
+        /// Check a request's filter; returns it with trimmed designation lists, or the default (top 5, no limits).
+        /// USED BY: BeamSizingController.AnalyzeBeam, FindBeamOptions and SweepBeams
+        /// </summary>
+        public static CandidateFilter Validate(CandidateFilter? filter)
+        {
+            filter ??= new CandidateFilter();
+
+            filter.ExcludedDesignations = NormalizeDesignations(filter.ExcludedDesignations);
+            filter.StockDesignations = NormalizeDesignations(filter.StockDesignations);
+
+            if (filter.Count < 1 || filter.Count > MaxCount)
+                throw new ArgumentOutOfRangeException("candidateFilter",
+                    $"Candidate count must be between 1 and {MaxCount}");
+
+            if (filter.MinDepth <= 0 || filter.MaxDepth <= 0)
+                throw new ArgumentOutOfRangeException("candidateFilter", "Depth limits must be positive");
+
+            if (filter.MinDepth > filter.MaxDepth)
+                throw new ArgumentOutOfRangeException("candidateFilter", "Minimum depth cannot exceed the maximum depth");
+
+            if (filter.MaxWeight <= 0)
+                throw new ArgumentOutOfRangeException("candidateFilter", "Maximum weight must be positive");
+
+            if (filter.StockOnly && filter.StockDesignations.Count == 0)
+                throw new ArgumentOutOfRangeException("candidateFilter",
+                    "Stock-only mode needs at least one stock designation");
+
+            return filter;
+        }
+
+        /// <summary>
+        /// Split a comma-separated query value into designations (GET /beams)
+        /// </summary>
+        public static List<string> ParseDesignations(string? designations)
+        {
+            return NormalizeDesignations((designations ?? string.Empty).Split(','));
+        }
+
+        private static List<string> NormalizeDesignations(IEnumerable<string>? designations)
+        {
+            return (designations ?? Enumerable.Empty<string>())
+                .Select(d => d?.Trim() ?? string.Empty)
+                .Where(d => d.Length > 0)
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .ToList();
+        }
+    }
+}
@@ -0,0 +1,97 @@
+// CustomSection.cs
+// User-defined (custom or shop-stock) section with its own capacity table
+
+using System;
+using System.Collections.Generic;
+using System.Linq;
+
+namespace BeamSizing
+{
+    /// <summary>
+    /// Section defined by the user rather than the beam database. It carries its own
+    /// capacity-vs-span table so it can be ranked against the catalog beams in an analysis.
+    /// </summary>
+    public class CustomSection : BeamProperties
+    {
+        /// <summary>
+        /// True for a capped (W + channel) section; only offered to analyses of the same beam system
+        /// </summary>
+        public bool Capped { get; set; }
+
+        /// <summary>
+        /// Cap channel designation for capped sections (e.g., "12x20.7")
+        /// </summary>
+        public string Channel { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Allowable Equivalent Concentrated Load (lbs) by span (ft)
+        /// </summary>
+        public Dictionary<int, double> Capacities { get; set; } = new Dictionary<int, double>();
+
+        /// <summary>
+        /// Capacity at a span, interpolated the same way as DataLoader.GetInterpolatedLoadCapacity.
+        /// Returns 0 outside the tabulated spans.
+        /// </summary>
+        public double GetInterpolatedCapacity(double spanLength)
+        {
+            if (spanLength <= 0 || Capacities.Count == 0)
+                return 0;
+
+            int exactSpan = (int)Math.Round(spanLength);
+            if (Math.Abs(spanLength - exactSpan) < 0.001 &&
+                Capacities.TryGetValue(exactSpan, out var exactCapacity) && exactCapacity > 0)
+            {
+                return exactCapacity;
+            }
+
+            var spans = Capacities.Keys.OrderBy(s => s).ToList();
+            if (spanLength < spans.First() || spanLength > spans.Last())
+                return 0;
+
+            int lowerSpan = spans.Where(s => s <= spanLength).Max();
+            int upperSpan = spans.Where(s => s >= spanLength).Min();
+
+            if (lowerSpan == upperSpan)
+                return Capacities[lowerSpan];
+
+            double interpolationFactor = (spanLength - lowerSpan) / (upperSpan - lowerSpan);
+            return Capacities[lowerSpan] + interpolationFactor * (Capacities[upperSpan] - Capacities[lowerSpan]);
+        }
+
+        /// <summary>
+        /// Check a request's custom sections; returns them ready for DataLoader.FindTopAdequateBeams.
+        /// USED BY: BeamSizingController.AnalyzeBeam, FindBeamOptions and SweepBeams
+        /// </summary>
+        public static IReadOnlyList<CustomSection> ValidateLibrary(IEnumerable<CustomSection>? sections)
+        {
+            var library = sections?.ToList() ?? new List<CustomSection>();
+            var designations = new HashSet<string>();
+
+            foreach (var section in library)
+            {
+                section.Designation = section.Designation?.Trim() ?? string.Empty;
+
+                if (section.Designation.Length == 0)
+                    throw new ArgumentOutOfRangeException("customSections", "Custom section designation is required");
+
+                if (!designations.Add($"{section.Capped}:{section.Designation}"))
+                    throw new ArgumentOutOfRangeException("customSections",
+                        $"Custom section {section.Designation} is defined more than once");
+
+                if (DataLoader.FindBeamByDesignation(section.Designation, section.Capped) != null)
+                    throw new ArgumentOutOfRangeException("customSections",
+                        $"Custom section {section.Designation} has the same designation as a catalog beam");
+
+                if (section.Weight <= 0 || section.I <= 0 || section.S <= 0)
+                    throw new ArgumentOutOfRangeException("customSections",
+                        $"Custom section {section.Designation} needs a positive weight, I and S");
+
+                if (section.Capacities.Count == 0 || section.Capacities.Any(c => c.Key <= 0 || c.Value <= 0))
+                    throw new ArgumentOutOfRangeException("customSections",
+                        $"Custom section {section.Designation} needs a capacity table with positive spans and capacities");
+            }
+
+            return library;
+        }
+    }
+}
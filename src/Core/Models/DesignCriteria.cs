@@ -0,0 +1,208 @@
+// DesignCriteria.cs
+// Crane service class and the design-criteria profile (load percentages, impact rule, check limits)
+
+using System;
+using System.Collections.Generic;
+using System.Linq;
+
+namespace BeamSizing
+{
+    /// <summary>
+    /// Load factors and check limits an analysis is designed to, from a named profile or a custom
+    /// owner specification, with the CMAA service class of the crane. Resolved criteria are
+    /// recorded in the results so every export states what the design was checked against.
+    /// </summary>
+    public class DesignCriteria
+    {
+        public const string StandardProfile = "standard";
+        public const string CustomProfile = "custom";
+
+        /// <summary>
+        /// Impact from hoist speed: 0.5% of rated capacity per ft/min, ImpactPercent without a hoist speed
+        /// </summary>
+        public const string HoistSpeedImpact = "hoistSpeed";
+
+        /// <summary>
+        /// Impact of ImpactPercent of rated capacity whatever the hoist speed
+        /// </summary>
+        public const string FixedImpact = "fixed";
+
+        /// <summary>
+        /// CMAA 70/74 crane service classes
+        /// </summary>
+        public static readonly IReadOnlyDictionary<string, string> ServiceClasses = new Dictionary<string, string>
+        {
+            ["A"] = "Standby or infrequent service",
+            ["B"] = "Light service",
+            ["C"] = "Moderate service",
+            ["D"] = "Heavy service",
+            ["E"] = "Severe service",
+            ["F"] = "Continuous severe service"
+        };
+
+        /// <summary>
+        /// Profile each service class is designed to when a request names the class but no profile
+        /// </summary>
+        public static readonly IReadOnlyDictionary<string, string> ServiceClassProfiles = new Dictionary<string, string>
+        {
+            ["A"] = StandardProfile,
+            ["B"] = StandardProfile,
+            ["C"] = StandardProfile,
+            ["D"] = "heavy",
+            ["E"] = "severe",
+            ["F"] = "severe"
+        };
+
+        /// <summary>
+        /// CMAA service class (A-F), or null when not specified
+        /// </summary>
+        public string? ServiceClass { get; set; }
+
+        /// <summary>
+        /// Profile key: "standard", "heavy", "severe" or "custom"; a request without one takes its
+        /// service class's profile, or standard
+        /// </summary>
+        public string? Profile { get; set; }
+
+        /// <summary>
+        /// Profile name as reported; a custom profile may carry the owner specification's name
+        /// </summary>
+        public string? Name { get; set; }
+
+        public double LateralLoadPercent { get; set; } = 20;            // % of (rated capacity + hoist/trolley weight)
+        public double LongitudinalLoadPercent { get; set; } = 10;       // % of max wheel load
+        public string ImpactRule { get; set; } = HoistSpeedImpact;       // "hoistSpeed" or "fixed"
+        public double ImpactPercent { get; set; } = 15;                 // % of rated capacity
+        public double LateralDeflectionLimit { get; set; } = 450;       // L/n
+        public double LongitudinalDeflectionLimit { get; set; } = 500;  // L/n
+        public double AllowableStress { get; set; } = 24000;            // Fb (psi)
+
+        /// <summary>
+        /// Description of the service class (e.g. "Heavy service"), or null
+        /// </summary>
+        public string? ServiceClassName =>
+            ServiceClass != null && ServiceClasses.TryGetValue(ServiceClass, out var name) ? name : null;
+
+        /// <summary>
+        /// Built-in profiles; "standard" holds the limits used before profiles existed
+        /// </summary>
+        public static IReadOnlyList<DesignCriteria> Profiles => new List<DesignCriteria>
+        {
+            new DesignCriteria { Profile = StandardProfile, Name = "Standard" },
+            new DesignCriteria
+            {
+                Profile = "heavy",
+                Name = "Heavy service",
+                LateralDeflectionLimit = 600,
+                LongitudinalDeflectionLimit = 600,
+                AllowableStress = 22000
+            },
+            new DesignCriteria
+            {
+                Profile = "severe",
+                Name = "Severe service",
+                ImpactRule = FixedImpact,
+                ImpactPercent = 25,
+                LateralDeflectionLimit = 800,
+                LongitudinalDeflectionLimit = 800,
+                AllowableStress = 20000
+            }
+        };
+
+        /// <summary>
+        /// Impact factor on rated capacity for a hoist speed (ft/min, 0 when not given)
+        /// </summary>
+        public double CalculateImpactFactor(double hoistSpeed)
+        {
+            if (ImpactRule == HoistSpeedImpact && hoistSpeed > 0)
+                return (0.005 * hoistSpeed) + 1;
+
+            return 1 + ImpactPercent / 100.0;
+        }
+
+        /// <summary>
+        /// Criteria of a request: the named profile's values with the request's service class, or the
+        /// request's own values for a custom profile. Without a profile the service class picks one
+        /// (A-C standard, D heavy, E-F severe); no criteria means the standard profile.
+        /// USED BY: BeamSizingController.AnalyzeBeam, ValidateConfiguration and SweepBeams
+        /// </summary>
+        public static DesignCriteria Resolve(DesignCriteria? request)
+        {
+            if (request == null)
+                return Profiles[0];
+
+            string? serviceClass = string.IsNullOrWhiteSpace(request.ServiceClass)
+                ? null
+                : request.ServiceClass.Trim().ToUpperInvariant();
+            if (serviceClass != null && !ServiceClasses.ContainsKey(serviceClass))
+                throw new ArgumentOutOfRangeException("designCriteria.serviceClass",
+                    "Service class must be one of A, B, C, D, E or F");
+
+            string profile = !string.IsNullOrWhiteSpace(request.Profile)
+                ? request.Profile.Trim().ToLowerInvariant()
+                : serviceClass != null ? ServiceClassProfiles[serviceClass] : StandardProfile;
+            if (profile != CustomProfile)
+            {
+                var named = Profiles.FirstOrDefault(p => p.Profile == profile)
+                    ?? throw new ArgumentOutOfRangeException("designCriteria.profile",
+                        $"Unknown design criteria profile '{request.Profile}'");
+                named.ServiceClass = serviceClass;
+                return named;
+            }
+
+            ValidateCustom(request);
+
+            return new DesignCriteria
+            {
+                ServiceClass = serviceClass,
+                Profile = CustomProfile,
+                Name = string.IsNullOrWhiteSpace(request.Name) ? "Custom" : request.Name.Trim(),
+                LateralLoadPercent = request.LateralLoadPercent,
+                LongitudinalLoadPercent = request.LongitudinalLoadPercent,
+                ImpactRule = request.ImpactRule,
+                ImpactPercent = request.ImpactPercent,
+                LateralDeflectionLimit = request.LateralDeflectionLimit,
+                LongitudinalDeflectionLimit = request.LongitudinalDeflectionLimit,
+                AllowableStress = request.AllowableStress
+            };
+        }
+
+        /// <summary>
+        /// Validates the values of a custom profile and throws descriptive exceptions for invalid values.
+        /// </summary>
+        private static void ValidateCustom(DesignCriteria criteria)
+        {
+            if (criteria.Name != null && criteria.Name.Trim().Length > 60)
+                throw new ArgumentOutOfRangeException("designCriteria.name",
+                    "Profile name cannot be longer than 60 characters");
+
+            if (criteria.LateralLoadPercent <= 0 || criteria.LateralLoadPercent > 100)
+                throw new ArgumentOutOfRangeException("designCriteria.lateralLoadPercent",
+                    "Lateral load must be between 0 and 100% of capacity plus hoist/trolley weight");
+
+            if (criteria.LongitudinalLoadPercent <= 0 || criteria.LongitudinalLoadPercent > 100)
+                throw new ArgumentOutOfRangeException("designCriteria.longitudinalLoadPercent",
+                    "Longitudinal load must be between 0 and 100% of the max wheel load");
+
+            if (criteria.ImpactRule != HoistSpeedImpact && criteria.ImpactRule != FixedImpact)
+                throw new ArgumentOutOfRangeException("designCriteria.impactRule",
+                    "Impact rule must be hoistSpeed or fixed");
+
+            if (criteria.ImpactPercent < 0 || criteria.ImpactPercent > 100)
+                throw new ArgumentOutOfRangeException("designCriteria.impactPercent",
+                    "Impact must be between 0 and 100% of capacity");
+
+            if (criteria.LateralDeflectionLimit < 100 || criteria.LateralDeflectionLimit > 2000)
+                throw new ArgumentOutOfRangeException("designCriteria.lateralDeflectionLimit",
+                    "Lateral deflection limit must be between L/100 and L/2000");
+
+            if (criteria.LongitudinalDeflectionLimit < 100 || criteria.LongitudinalDeflectionLimit > 2000)
+                throw new ArgumentOutOfRangeException("designCriteria.longitudinalDeflectionLimit",
+                    "Longitudinal deflection limit must be between L/100 and L/2000");
+
+            if (criteria.AllowableStress <= 0 || criteria.AllowableStress > 50000)
+                throw new ArgumentOutOfRangeException("designCriteria.allowableStress",
+                    "Allowable stress must be between 0 and 50,000 psi");
+        }
+    }
+}
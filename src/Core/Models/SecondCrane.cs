@@ -0,0 +1,77 @@
+// SecondCrane.cs
+// Second bridge crane sharing the runway with the configured crane
+
+using System;
+
+namespace BeamSizing
+{
+    /// <summary>
+    /// A second crane on the same runway with its own capacity, weights and wheelbase. Runway
+    /// geometry, column type, hoist speed and design criteria are those of the first crane's configuration.
+    /// </summary>
+    public class SecondCrane
+    {
+        public double RatedCapacity { get; set; }        // P (lbs)
+        public double WeightHoistTrolley { get; set; }   // H (lbs)
+        public double GirderWeight { get; set; }         // (lbs)
+        public double PanelWeight { get; set; }          // (lbs)
+        public double EndTruckWeight { get; set; }       // (lbs)
+        public double WheelBase { get; set; }            // (ft)
+
+        /// <summary>
+        /// Minimum bumper-to-bumper distance between the cranes (ft). The nearest wheels of the two
+        /// cranes are taken this far apart, ignoring end truck overhang, which is conservative.
+        /// </summary>
+        public double BumperDistance { get; set; }
+
+        /// <summary>
+        /// Configuration of this crane on the first crane's runway. Invalid inputs throw with the
+        /// parameter prefixed by "secondCrane." so clients can point at the second crane's field.
+        /// </summary>
+        public BeamSizerConfig CreateConfig(BeamSizerConfig runway)
+        {
+            try
+            {
+                return new BeamSizerConfig(
+                    ratedCapacity: RatedCapacity,
+                    weightHoistTrolley: WeightHoistTrolley,
+                    girderWeight: GirderWeight,
+                    panelWeight: PanelWeight,
+                    endTruckWeight: EndTruckWeight,
+                    numCols: runway.NumCols,
+                    railHeight: runway.RailHeight,
+                    wheelBase: WheelBase,
+                    supportCenters: runway.SupportCenters,
+                    freestanding: runway.Freestanding,
+                    capped: runway.Capped,
+                    bridgeSpan: runway.BridgeSpan,
+                    hoistSpeed: runway.HoistSpeed,
+                    criteria: runway.Criteria
+                );
+            }
+            catch (ArgumentOutOfRangeException ex)
+            {
+                string message = ex.Message.Replace($" (Parameter '{ex.ParamName}')", string.Empty);
+                throw new ArgumentOutOfRangeException($"secondCrane.{ex.ParamName}", $"Second crane: {message}");
+            }
+        }
+
+        /// <summary>
+        /// Check a request's second crane against the runway; returns it, or null for a single crane.
+        /// USED BY: BeamSizingController.AnalyzeBeam, ValidateConfiguration and SweepBeams
+        /// </summary>
+        public static SecondCrane? Validate(SecondCrane? crane, BeamSizerConfig runway)
+        {
+            if (crane == null)
+                return null;
+
+            crane.CreateConfig(runway);
+
+            if (crane.BumperDistance < 0)
+                throw new ArgumentOutOfRangeException("secondCrane.bumperDistance",
+                    "Second crane: Bumper-to-bumper distance cannot be negative");
+
+            return crane;
+        }
+    }
+}
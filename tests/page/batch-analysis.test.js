@@ -0,0 +1,135 @@
+// Unit tests: CSV parsing and batch row checks in wwwroot/js/batch-analysis.js.
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+
+const { loadPageScripts } = require('./load-page-scripts');
+
+// Design criteria come from the form; the batch rows take them as they are
+const CRITERIA = { serviceClass: 'C', designProfile: 'standard' };
+
+const page = loadPageScripts(['units.js', 'form-validation.js', 'batch-analysis.js'], {
+    getDesignCriteriaFormData: () => ({ ...CRITERIA })
+});
+const MAX_BATCH_ROWS = vm.runInContext('MAX_BATCH_ROWS', page);
+
+const HEADER = 'name,ratedCapacity,weightHoistTrolley,girderWeight,panelWeight,endTruckWeight,railHeight,wheelBase,supportCenters,numCols';
+const ROW = 'Bay 1,10000,1200,3000,800,1000,20,10,30,5';
+
+// Copy of a sandbox value, so deepEqual does not compare prototypes from another realm
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function batch(...lines) {
+    return lines.join('\n');
+}
+
+test('csv: cells are trimmed, blank lines dropped and rows keep their line numbers', () => {
+    assert.deepEqual(plain(page.parseCsv('\uFEFFa, b ,c\r\n\r\n1,2,3\n  \n4,,6')), [
+        { line: 1, cells: ['a', 'b', 'c'] },
+        { line: 3, cells: ['1', '2', '3'] },
+        { line: 5, cells: ['4', '', '6'] }
+    ]);
+});
+
+test('csv: quoted cells hold commas, doubled quotes and line breaks', () => {
+    const rows = page.parseCsv('name,note\n"Bay 1, north","12"" cap"\n"Bay 2","two\nlines"\nBay 3,last');
+
+    assert.deepEqual(plain(rows), [
+        { line: 1, cells: ['name', 'note'] },
+        { line: 2, cells: ['Bay 1, north', '12" cap'] },
+        { line: 3, cells: ['Bay 2', 'two\nlines'] },
+        { line: 5, cells: ['Bay 3', 'last'] }
+    ]);
+});
+
+test('csv: empty and missing text has no rows', () => {
+    assert.deepEqual(plain(page.parseCsv('')), []);
+    assert.deepEqual(plain(page.parseCsv(null)), []);
+    assert.deepEqual(plain(page.parseCsv('\n\n')), []);
+});
+
+test('batch: a row becomes a configuration with the form criteria and default flags', () => {
+    const [row] = page.parseBatchCsv(batch(`${HEADER},Capped,hoistSpeed`, `${ROW},yes,`));
+
+    assert.equal(row.line, 2);
+    assert.equal(row.name, 'Bay 1');
+    assert.equal(row.error, null);
+    assert.deepEqual(plain(row.config), {
+        hoistSpeed: 0,
+        runwayLength: null,
+        ...CRITERIA,
+        freestanding: false,
+        capped: true,
+        twoCranes: false,
+        ratedCapacity: 10000,
+        weightHoistTrolley: 1200,
+        girderWeight: 3000,
+        panelWeight: 800,
+        endTruckWeight: 1000,
+        railHeight: 20,
+        wheelBase: 10,
+        supportCenters: 30,
+        numCols: 5
+    });
+});
+
+test('batch: quoted numbers may use thousands separators', () => {
+    const [row] = page.parseBatchCsv(batch(HEADER, 'Bay 1,"30,000",1200,3000,800,1000,20,10,30,5'));
+
+    assert.equal(row.error, null);
+    assert.equal(row.config.ratedCapacity, 30000);
+});
+
+test('batch: unknown columns are rejected by name', () => {
+    assert.throws(() => page.parseBatchCsv(batch(`${HEADER},spanFt,notes`, `${ROW},30,x`)),
+        { message: 'Unknown column(s): spanFt, notes' });
+});
+
+test('batch: missing required columns are rejected by name', () => {
+    const header = HEADER.replace(',wheelBase', '').replace(',numCols', '');
+    assert.throws(() => page.parseBatchCsv(batch(header, 'Bay 1,10000,1200,3000,800,1000,20,30')),
+        { message: 'Missing column(s): wheelBase, numCols' });
+});
+
+test('batch: a file needs a header and at least one row', () => {
+    const message = 'The file needs a header row and at least one configuration';
+    assert.throws(() => page.parseBatchCsv(''), { message: message });
+    assert.throws(() => page.parseBatchCsv(HEADER), { message: message });
+});
+
+test('batch: the row limit is inclusive', () => {
+    const rows = count => Array.from({ length: count }, () => ROW);
+
+    assert.equal(page.parseBatchCsv(batch(HEADER, ...rows(MAX_BATCH_ROWS))).length, MAX_BATCH_ROWS);
+    assert.throws(() => page.parseBatchCsv(batch(HEADER, ...rows(MAX_BATCH_ROWS + 1))),
+        { message: `A batch is limited to ${MAX_BATCH_ROWS} rows` });
+});
+
+test('batch: bad cells mark their own row with the offending column', () => {
+    const rows = page.parseBatchCsv(batch(`${HEADER},capped`,
+        `${ROW},maybe`,
+        'Bay 2,10000,heavy,3000,800,1000,20,10,30,5,no',
+        'Bay 3,10000,1200,3000,800,1000,20,10,30,2.5,no',
+        'Bay 4,,1200,3000,800,1000,20,10,30,5,no',
+        `${ROW},no`));
+
+    assert.deepEqual(plain(rows.map(row => [row.line, row.parameter, row.error])), [
+        [2, 'capped', 'capped "maybe" is not yes or no'],
+        [3, 'weightHoistTrolley', 'Hoist + trolley weight "heavy" is not a number'],
+        [4, 'numCols', 'Number of columns must be a whole number'],
+        [5, 'ratedCapacity', 'Rated capacity is required'],
+        [6, null, null]
+    ]);
+});
+
+test('batch: second crane columns are required only by rows with two cranes', () => {
+    const rows = page.parseBatchCsv(batch(`${HEADER},twoCranes`, `${ROW},no`, `${ROW},yes`));
+
+    assert.equal(rows[0].error, null);
+    assert.equal(rows[1].parameter, 'crane2RatedCapacity');
+    assert.equal(rows[1].error, 'Crane 2 rated capacity is required');
+});
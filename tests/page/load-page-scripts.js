@@ -0,0 +1,21 @@
+// Load page scripts from wwwroot/js (plain browser globals, no exports) into a sandbox for unit tests.
+// Page functions a test does not exercise, such as form readers, can be stubbed through `globals`.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT_DIR = path.join(__dirname, '..', '..', 'wwwroot', 'js');
+
+/**
+ * Run the scripts in order in one context, as the page does; returns the context
+ */
+function loadPageScripts(files, globals = {}) {
+    const context = vm.createContext({ console: console, ...globals });
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(SCRIPT_DIR, file), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+module.exports = { loadPageScripts };
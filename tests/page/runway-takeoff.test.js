@@ -0,0 +1,103 @@
+// Unit tests: runway segments and the material takeoff / cost estimate in wwwroot/js/runway-takeoff.js.
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPageScripts } = require('./load-page-scripts');
+
+const page = loadPageScripts(['runway-takeoff.js']);
+
+const CAPPED_CONFIG = { runwayLength: 100, supportCenters: 30, numCols: 5, capped: true, railHeight: 20 };
+const CAPPED_BEAM = { designation: 'W18x35+C12x20.7', weight: 55.7 };
+
+// Copy of a sandbox value, so deepEqual does not compare prototypes from another realm
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function assertClose(actual, expected, where) {
+    assert.ok(Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected)), `${where}: ${actual} is not ${expected}`);
+}
+
+function pricing(overrides = {}) {
+    return { steelRate: 1, channelRate: 1.5, sectionRates: {}, columnPrices: { 16: 1000, 24: 1500 }, ...overrides };
+}
+
+test('segments: whole bays when the length is a multiple of the support centers', () => {
+    assert.deepEqual(plain(page.getRunwaySegments(90, 30)), [{ length: 30, count: 3 }]);
+});
+
+test('segments: a shorter closing bay takes up the remainder', () => {
+    assert.deepEqual(plain(page.getRunwaySegments(100, 30)),
+        [{ length: 30, count: 3 }, { length: 10, count: 1 }]);
+});
+
+test('segments: float noise in the length does not add a sliver bay', () => {
+    const segments = page.getRunwaySegments(3 * 10.1, 10.1);
+    assert.equal(segments.length, 1);
+    assert.equal(segments[0].count, 3);
+});
+
+test('segments: a runway shorter than one bay is a single closing bay', () => {
+    assert.deepEqual(plain(page.getRunwaySegments(20, 30)), [{ length: 20, count: 1 }]);
+});
+
+test('takeoff: steel, channel and columns for both runway lines', () => {
+    const takeoff = page.calculateRunwayTakeoff(CAPPED_CONFIG, CAPPED_BEAM, null);
+
+    assert.equal(takeoff.runwayLength, 100);
+    assert.equal(takeoff.runwayLengthEntered, true);
+    assert.deepEqual(plain(takeoff.segments.map(segment => [segment.length, segment.count])), [[30, 6], [10, 2]]);
+    assertClose(takeoff.segments[1].weight, 557, 'closing segment weight');
+    assertClose(takeoff.shapeSteelWeight, 35 * 200, 'shape steel');
+    assertClose(takeoff.channelWeight, 20.7 * 200, 'channel');
+    assertClose(takeoff.totalSteelWeight, 55.7 * 200, 'total steel');
+    assertClose(takeoff.totalTons, 55.7 * 200 / 2000, 'tons');
+    assert.equal(takeoff.columnsPerSide, 5);
+    assert.equal(takeoff.columnCount, 10);
+    assert.equal(takeoff.totalCost, null);
+});
+
+test('takeoff: runway length defaults to the run covered by the columns', () => {
+    const takeoff = page.calculateRunwayTakeoff({ ...CAPPED_CONFIG, runwayLength: null }, CAPPED_BEAM, null);
+
+    assert.equal(takeoff.runwayLength, 120);
+    assert.equal(takeoff.runwayLengthEntered, false);
+    assert.equal(takeoff.columnsPerSide, 5);
+});
+
+test('cost: steel rate on the shape and channel rate on the cap', () => {
+    const takeoff = page.calculateRunwayTakeoff(CAPPED_CONFIG, CAPPED_BEAM, pricing());
+
+    assertClose(takeoff.steelCost, 35 * 200, 'steel cost');
+    assertClose(takeoff.channelCost, 1.5 * 20.7 * 200, 'channel cost');
+    assert.equal(takeoff.columnPrice, 1500);
+    assert.equal(takeoff.columnCost, 15000);
+    assertClose(takeoff.totalCost, 7000 + 6210 + 15000, 'total cost');
+});
+
+test('cost: a section rate prices the whole section, cap included', () => {
+    const takeoff = page.calculateRunwayTakeoff(CAPPED_CONFIG, CAPPED_BEAM,
+        pricing({ sectionRates: { 'W18x35+C12x20.7': 0.9 } }));
+
+    assertClose(takeoff.steelCost, 0.9 * 55.7 * 200, 'steel cost');
+    assert.equal(takeoff.channelCost, 0);
+    assertClose(takeoff.totalCost, 0.9 * 55.7 * 200 + 15000, 'total cost');
+});
+
+test('cost: no steel or section rate leaves the steel and total cost unpriced', () => {
+    const takeoff = page.calculateRunwayTakeoff(CAPPED_CONFIG, CAPPED_BEAM, pricing({ steelRate: null }));
+
+    assert.equal(takeoff.steelCost, null);
+    assert.equal(takeoff.totalCost, null);
+    assert.equal(takeoff.columnCost, 15000);
+});
+
+test('cost: no column band at or above the rail height leaves the columns unpriced', () => {
+    const takeoff = page.calculateRunwayTakeoff({ ...CAPPED_CONFIG, railHeight: 30 }, CAPPED_BEAM, pricing());
+
+    assert.equal(takeoff.columnPrice, null);
+    assert.equal(takeoff.columnCost, null);
+    assertClose(takeoff.totalCost, 7000 + 6210, 'total cost');
+});
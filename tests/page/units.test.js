@@ -0,0 +1,95 @@
+// Unit tests: US customary / SI conversion in wwwroot/js/units.js.
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+
+const { loadPageScripts } = require('./load-page-scripts');
+
+const page = loadPageScripts(['units.js']);
+const QUANTITIES = vm.runInContext('UNIT_QUANTITIES', page);
+
+// Representative US values: whole and fractional, small and large
+const SAMPLE_VALUES = [0, 1, 0.95, 17.7, 35, 510, 30000, 123456.789];
+
+function setUnitSystem(system) {
+    vm.runInContext(`unitSystem = ${JSON.stringify(system)}`, page);
+}
+
+function assertClose(actual, expected, where) {
+    assert.ok(Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected)), `${where}: ${actual} is not ${expected}`);
+}
+
+test('convert: US to SI multiplies by the factor and SI to US divides', () => {
+    assertClose(page.convertUnits(1000, 'force', 'us', 'si'), 4.4482216152605, 'force');
+    assertClose(page.convertUnits(20, 'length', 'us', 'si'), 6096, 'length');
+    assertClose(page.convertUnits(6096, 'length', 'si', 'us'), 20, 'length back');
+    assertClose(page.convertUnits(36000, 'stress', 'us', 'si'), 248.2112625552, 'stress');
+});
+
+test('convert: the same system and non-numbers pass through unchanged', () => {
+    assert.equal(page.convertUnits(1234.5, 'force', 'si', 'si'), 1234.5);
+    assert.equal(page.convertUnits(1234.5, 'force', 'us', 'us'), 1234.5);
+    [null, undefined, '', '25', NaN, Infinity].forEach(value => {
+        assert.equal(page.convertUnits(value, 'force', 'us', 'si'), value, `${value} passes through`);
+    });
+});
+
+test('convert: derived factors agree with the base length and force factors', () => {
+    const factor = quantity => QUANTITIES[quantity].factor;
+
+    assertClose(factor('forceKips'), factor('force') * 1000, 'kips');
+    assertClose(factor('inertia'), factor('smallLength') ** 4, 'in⁴');
+    assertClose(factor('modulus'), factor('smallLength') ** 3, 'in³');
+    assertClose(factor('area'), factor('smallLength') ** 2, 'in²');
+    assertClose(factor('moment'), factor('forceKips') * factor('length') / 1000, 'kip-ft');
+    assertClose(factor('momentLbIn'), factor('force') * factor('smallLength') / 1000, 'lb-in');
+    assertClose(factor('linearWeight'), factor('mass') / (factor('length') / 1000), 'lbs/ft');
+    assertClose(factor('pricePerMass'), 1 / factor('mass'), '$/lb');
+});
+
+test('round trip: every quantity reads back the exact US value in SI mode', () => {
+    setUnitSystem('si');
+    try {
+        Object.keys(QUANTITIES).forEach(quantity => {
+            SAMPLE_VALUES.forEach(value => {
+                assert.equal(page.fromDisplayUnits(page.toDisplayUnits(value, quantity), quantity), value, `${quantity} ${value}`);
+            });
+        });
+    } finally {
+        setUnitSystem('us');
+    }
+});
+
+test('round trip: SI entries convert to US values without float noise', () => {
+    setUnitSystem('si');
+    try {
+        assert.equal(page.fromDisplayUnits(6096, 'length'), 20);
+        assert.equal(page.fromDisplayUnits(25.4, 'smallLength'), 1);
+        assert.equal(page.fromDisplayUnits(0.3048, 'speed'), 1);
+        assert.equal(page.fromDisplayUnits(null, 'force'), null);
+        assert.equal(page.fromDisplayUnits('', 'force'), '');
+    } finally {
+        setUnitSystem('us');
+    }
+});
+
+test('US mode: display values and labels are the US ones', () => {
+    SAMPLE_VALUES.forEach(value => {
+        assert.equal(page.toDisplayUnits(value, 'force'), value);
+        assert.equal(page.fromDisplayUnits(value, 'force'), value);
+    });
+    assert.equal(page.labelWithUnit('Rated Capacity', 'force'), 'Rated Capacity (lbs)');
+});
+
+test('SI mode: labels switch to the SI units', () => {
+    setUnitSystem('si');
+    try {
+        assert.equal(page.unitLabel('length'), 'mm');
+        assert.equal(page.labelWithUnit('Moment', 'moment'), 'Moment (kN·m)');
+        assert.equal(page.isMetricUnits(), true);
+    } finally {
+        setUnitSystem('us');
+    }
+});
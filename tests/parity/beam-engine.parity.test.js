@@ -0,0 +1,91 @@
+// Parity tests: wwwroot/js/beam-engine.js against BeamCalculator.PerformFullAnalysis
+// and the controller endpoints built on it (/analyze, /validate, /beams, /sweep).
+// Expected values in fixtures/csharp-results.json come from the C# API
+// (see generate-fixtures.js). Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const BeamEngine = require('../../wwwroot/js/beam-engine.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const TOLERANCE = 1e-9;
+
+BeamEngine.setTables(JSON.parse(fs.readFileSync(path.join(ROOT, 'wwwroot', 'data', 'beam-tables.json'), 'utf8')));
+
+// Engine functions named differently from their endpoint
+const ENGINE_FUNCTIONS = { beams: 'getBeamOptions' };
+
+const cases = JSON.parse(fs.readFileSync(path.join(__dirname, 'cases.json'), 'utf8'));
+const fixtures = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'csharp-results.json'), 'utf8'));
+
+/**
+ * Compare two JSON values, allowing relative floating point tolerance on numbers
+ */
+function assertClose(actual, expected, where) {
+    if (typeof expected === 'number') {
+        assert.equal(typeof actual, 'number', `${where}: expected a number`);
+        const scale = Math.max(1, Math.abs(expected));
+        assert.ok(Math.abs(actual - expected) <= TOLERANCE * scale,
+            `${where}: ${actual} differs from C# value ${expected}`);
+        return;
+    }
+
+    if (expected === null || typeof expected !== 'object') {
+        assert.equal(actual, expected, where);
+        return;
+    }
+
+    if (Array.isArray(expected)) {
+        assert.ok(Array.isArray(actual), `${where}: expected an array`);
+        assert.equal(actual.length, expected.length, `${where}: length`);
+        expected.forEach((item, index) => assertClose(actual[index], item, `${where}[${index}]`));
+        return;
+    }
+
+    Object.keys(expected).forEach(key => assertClose(actual?.[key], expected[key], `${where}.${key}`));
+}
+
+test('fixtures cover every parity case', () => {
+    assert.deepEqual(fixtures.map(f => f.name), cases.map(c => c.name));
+});
+
+cases.forEach((testCase, index) => {
+    const fixture = fixtures[index];
+    const endpoint = testCase.endpoint || 'analyze';
+    const run = () => BeamEngine[ENGINE_FUNCTIONS[endpoint] || endpoint](testCase.request);
+
+    test(`parity: ${testCase.name}`, () => {
+        if (fixture.status === 200) {
+            assertClose(run(), fixture.response, 'response');
+        } else if (fixture.status === 400) {
+            assert.throws(run, error => {
+                assert.equal(error.name, 'ConfigurationError');
+                assert.equal(error.paramName, fixture.response.parameter);
+                assert.equal(error.message, fixture.response.details);
+                return true;
+            });
+        } else {
+            assert.throws(run, error => {
+                assert.equal(error.message, fixture.response.details);
+                return true;
+            });
+        }
+    });
+});
+
+test('K-factor interpolation rounds like .NET Math.Round', () => {
+    assert.deepEqual(BeamEngine.getKFactors(0), { k1: 2, k2: 2 });
+    assert.deepEqual(BeamEngine.getKFactors(1.5), { k1: 1, k2: 1 });
+    assert.deepEqual(BeamEngine.getKFactors(7 / 30), { k1: 1.561, k2: 1.767 });
+});
+
+test('validate mirrors /validate calculated values', () => {
+    const result = BeamEngine.validate(cases[0].request);
+    assert.equal(result.isValid, true);
+    assert.equal(result.calculatedValues.totalBeamWeight, 6000);
+    assertClose(result.calculatedValues.maxWheelLoad, 1.15 * 10000 / 2 + 1700 / 2 + 6000 / 4, 'maxWheelLoad');
+    assertClose(result.calculatedValues.wheelbaseSpanRatio, 7 / 45, 'wheelbaseSpanRatio');
+});
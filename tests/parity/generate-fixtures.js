@@ -0,0 +1,53 @@
+// Regenerates the C# reference results used by the parity tests.
+// Each case is POSTed to its endpoint (default /analyze).
+// Start the API (dotnet run), then:
+//   API_URL=http://localhost:5265/api/beamsizing node tests/parity/generate-fixtures.js
+
+const fs = require('fs');
+const path = require('path');
+
+const API_URL = process.env.API_URL || 'http://localhost:5265/api/beamsizing';
+const CASES_PATH = path.join(__dirname, 'cases.json');
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'csharp-results.json');
+
+/**
+ * Drop values that change on every run (timestamps, timings) and the /validate text summary,
+ * which the engine does not port
+ */
+function stripVolatile(body) {
+    const copy = JSON.parse(JSON.stringify(body));
+    delete copy.metadata;
+    delete copy.timestamp;
+    delete copy.configSummary;
+    if (copy.results) delete copy.results.analysisDate;
+    if (copy.recommendedResults) delete copy.recommendedResults.analysisDate;
+    return copy;
+}
+
+async function main() {
+    const cases = JSON.parse(fs.readFileSync(CASES_PATH, 'utf8'));
+    const fixtures = [];
+
+    for (const testCase of cases) {
+        const response = await fetch(`${API_URL}/${testCase.endpoint || 'analyze'}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(testCase.request)
+        });
+
+        fixtures.push({
+            name: testCase.name,
+            status: response.status,
+            response: stripVolatile(await response.json())
+        });
+        console.log(`${response.status}  ${testCase.name}`);
+    }
+
+    fs.writeFileSync(FIXTURE_PATH, JSON.stringify(fixtures, null, 2) + '\n');
+    console.log(`Wrote ${fixtures.length} fixtures to ${FIXTURE_PATH}`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,276 @@
+// Analysis History - every analysis run this session, with input/result diffs and restore
+
+// Runs kept for the session; the oldest drop off first
+const HISTORY_LIMIT = 200;
+
+// Yes/no inputs in the run diff (numeric inputs come from FIELD_RULES)
+const HISTORY_FLAGS = {
+    freestanding: 'Freestanding columns',
+    capped: 'Capped system',
+    twoCranes: 'Two cranes'
+};
+
+let analysisHistory = [];
+let nextHistoryId = 1;
+let historySelection = [];
+
+/**
+ * A run in the shape COMPARISON_ROWS reads, plus the run's candidates, candidate filter and custom sections
+ */
+function getHistoryScenario(run) {
+    const candidates = run.analysis.beamCandidates || [];
+    return {
+        config: run.config,
+        beam: candidates[run.beamIndex] || candidates[0] || {},
+        results: run.analysis.results,
+        calculatedECL: run.analysis.calculatedECL,
+        kFactors: run.analysis.kFactors || {},
+        candidates: candidates,
+        candidateFilter: run.candidateFilter || null,
+        customSections: run.customSections || [],
+        manualSelection: Boolean(run.analysis.manuallySelectedBeam)
+    };
+}
+
+/**
+ * Rows compared between two runs: inputs, K-factors and candidates, then the scenario comparison
+ * rows from the design criteria on (criteria, ECL, checks and foundation loads)
+ */
+function getHistoryDiffRows() {
+    // Custom criteria inputs are compared through the criteria each run was checked against
+    const inputRows = Object.entries(FIELD_RULES).filter(([, rule]) => !rule.designCriteria).map(([field, rule]) => ({
+        label: rule.label,
+        quantity: rule.quantity,
+        unit: rule.unit || '',
+        digits: rule.quantity === 'force' || rule.integer ? 0 : 1,
+        get: s => s.config[field]
+    }));
+    const flagRows = Object.entries(HISTORY_FLAGS).map(([field, label]) => ({
+        label: label,
+        unit: '',
+        get: s => s.config[field] ? 'Yes' : 'No'
+    }));
+    const designCriteria = COMPARISON_ROWS.findIndex(row => row.section === 'Design Criteria');
+
+    return [
+        { section: 'Inputs' },
+        ...inputRows,
+        ...flagRows,
+        { label: 'Beam Selection', unit: '', get: s => s.manualSelection ? 'Manual' : 'Automatic' },
+        { section: 'K-Factors and Candidates' },
+        { label: 'K1', unit: '', digits: 3, get: s => s.kFactors.k1 },
+        { label: 'K2', unit: '', digits: 3, get: s => s.kFactors.k2 },
+        { label: 'Candidate Filter', unit: '', get: s => describeCandidateFilter(s.candidateFilter) || 'None' },
+        { label: 'Custom Sections', unit: '', get: s => s.customSections.map(section => section.designation).join(', ') || 'None' },
+        { label: 'Candidates Shown', unit: '', digits: 0, get: s => s.candidates.length },
+        { label: 'Top Candidates', unit: '', get: s => s.candidates.slice(0, 5).map(beam => beam.designation).join(', ') },
+        ...COMPARISON_ROWS.slice(designCriteria)
+    ];
+}
+
+/**
+ * Short label of a run: number and time
+ */
+function getHistoryRunLabel(run) {
+    return `#${run.id} ${new Date(run.runAt).toLocaleTimeString()}`;
+}
+
+/**
+ * Key inputs of a run for the history list
+ */
+function getHistoryKeyInputs(config) {
+    return [
+        formatQuantity(config.ratedCapacity, 'force'),
+        `L ${formatQuantity(config.supportCenters, 'length')}`,
+        `A ${formatQuantity(config.wheelBase, 'length')}`,
+        `${config.numCols} columns`,
+        config.capped ? 'capped' : 'uncapped',
+        ...(config.twoCranes ? ['2 cranes'] : [])
+    ].join(', ');
+}
+
+/**
+ * Everything that makes a run distinct: its request (form, candidate filter, custom sections and beam)
+ * and its results, without the timestamps that differ between identical runs
+ */
+function getHistoryRunKey(run) {
+    const { analysisDate, ...results } = run.analysis.results;
+    return JSON.stringify([run.config, run.candidateFilter, run.customSections, run.beamIndex, results, run.analysis.beamCandidates]);
+}
+
+/**
+ * Add the current analysis to the history (called after every completed run). A run identical to the
+ * last one (same request and results) replaces it instead of adding a duplicate row.
+ */
+function recordAnalysisHistory() {
+    if (!currentAnalysisResults?.results) return;
+
+    // Deep copies so later analyses cannot mutate a recorded run
+    const run = {
+        runAt: new Date().toISOString(),
+        config: JSON.parse(JSON.stringify(currentConfiguration)),
+        candidateFilter: getCandidateFilter(),
+        customSections: getAnalysisCustomSections(),
+        analysis: JSON.parse(JSON.stringify(currentAnalysisResults)),
+        beamIndex: selectedBeamIndex
+    };
+
+    const last = analysisHistory[analysisHistory.length - 1];
+    if (last && getHistoryRunKey(last) === getHistoryRunKey(run)) {
+        analysisHistory[analysisHistory.length - 1] = { id: last.id, ...run };
+    } else {
+        analysisHistory.push({ id: nextHistoryId++, ...run });
+    }
+
+    if (analysisHistory.length > HISTORY_LIMIT) {
+        analysisHistory = analysisHistory.slice(-HISTORY_LIMIT);
+        historySelection = historySelection.filter(id => analysisHistory.some(run => run.id === id));
+    }
+
+    renderAnalysisHistory();
+}
+
+/**
+ * Tick or untick a run for comparison; ticking a third run drops the earliest ticked one
+ */
+function toggleHistorySelection(id, selected) {
+    historySelection = historySelection.filter(selectedId => selectedId !== id);
+    if (selected) {
+        historySelection = [...historySelection, id].slice(-2);
+    }
+    renderAnalysisHistory();
+}
+
+/**
+ * Load a past run back into the form and results
+ */
+async function restoreHistoryRun(id) {
+    const run = analysisHistory.find(entry => entry.id === id);
+    if (!run) {
+        showError('❌ Run not found in the history');
+        return;
+    }
+
+    // The restored results are edited in place by later selections, so keep the recorded run untouched
+    const copy = JSON.parse(JSON.stringify(run));
+    restoreAnalysis(copy.config, copy.analysis, copy.beamIndex);
+    await validateForm();
+    showSuccess(`↩️ Restored run ${getHistoryRunLabel(run)}`);
+}
+
+/**
+ * Remove every recorded run
+ */
+function clearAnalysisHistory() {
+    analysisHistory = [];
+    historySelection = [];
+    renderAnalysisHistory();
+}
+
+/**
+ * Render the run list (newest first) and the diff of the two ticked runs
+ */
+function renderAnalysisHistory() {
+    const container = document.getElementById('analysisHistory');
+    if (!container) return;
+
+    if (analysisHistory.length === 0) {
+        container.innerHTML = '<p class="comparison-empty">No runs yet. Every analysis this session is listed here.</p>';
+        renderHistoryDiff();
+        return;
+    }
+
+    container.innerHTML = `
+        <table class="beam-candidates-table history-table">
+            <thead>
+                <tr>
+                    <th>Compare</th>
+                    <th>Run</th>
+                    <th>Key Inputs</th>
+                    <th>Beam</th>
+                    <th>Status</th>
+                    <th>Action</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${[...analysisHistory].reverse().map(run => {
+                    const scenario = getHistoryScenario(run);
+                    const selected = historySelection.includes(run.id);
+                    return `
+                        <tr class="${selected ? 'selected' : ''}">
+                            <td><input type="checkbox" ${selected ? 'checked' : ''}
+                                       onchange="toggleHistorySelection(${run.id}, this.checked)" aria-label="Compare run ${run.id}"></td>
+                            <td>${escapeHtml(getHistoryRunLabel(run))}</td>
+                            <td class="history-inputs">${escapeHtml(getHistoryKeyInputs(run.config))}</td>
+                            <td>${escapeHtml(scenario.results.selectedBeam?.designation || scenario.beam.designation || '-')}</td>
+                            <td>${getStatus(scenario.results.overallPass, scenario.results.overallPass ? 'ACCEPTABLE' : 'INADEQUATE')}</td>
+                            <td><button class="beam-select-btn" onclick="restoreHistoryRun(${run.id})">Restore</button></td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+    renderHistoryDiff();
+}
+
+/**
+ * Changed rows between the two ticked runs (older run first), grouped under their sections
+ */
+function renderHistoryDiff() {
+    const container = document.getElementById('historyDiff');
+    if (!container) return;
+
+    const runs = historySelection
+        .map(id => analysisHistory.find(run => run.id === id))
+        .filter(Boolean)
+        .sort((a, b) => a.id - b.id);
+
+    if (runs.length < 2) {
+        container.innerHTML = analysisHistory.length > 1 ?
+            '<p class="comparison-empty">Tick two runs to see what changed between them.</p>' : '';
+        return;
+    }
+
+    const scenarios = runs.map(getHistoryScenario);
+    let section = null;
+    let rowsHTML = '';
+    let changed = 0;
+
+    getHistoryDiffRows().forEach(row => {
+        if (row.section) {
+            section = row.section;
+            return;
+        }
+
+        const values = scenarios.map(scenario => getComparisonValue(row, scenario));
+        if (values[0] === values[1]) return;
+
+        // Section headings only above sections with a change
+        if (section) {
+            rowsHTML += `<tr class="comparison-section"><td colspan="3">${section}</td></tr>`;
+            section = null;
+        }
+        changed++;
+        rowsHTML += `
+            <tr class="comparison-changed">
+                <td class="comparison-label">${getComparisonLabel(row)}</td>
+                <td>${formatComparisonValue(row, scenarios[0])}</td>
+                <td class="comparison-diff">${formatComparisonValue(row, scenarios[1])}</td>
+            </tr>
+        `;
+    });
+
+    container.innerHTML = changed === 0 ?
+        `<p class="comparison-empty">Runs ${runs.map(run => `#${run.id}`).join(' and ')} have the same inputs and results.</p>` : `
+        <table class="comparison-table history-diff-table">
+            <thead>
+                <tr>
+                    <th>${changed} change(s)</th>
+                    ${runs.map(run => `<th>${escapeHtml(getHistoryRunLabel(run))}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>${rowsHTML}</tbody>
+        </table>
+    `;
+}
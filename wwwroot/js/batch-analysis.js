@@ -0,0 +1,389 @@
+// Batch Analysis - run /analyze for every row of an uploaded CSV of crane configurations
+
+// Analyses in flight at once, and the largest file accepted
+const BATCH_CONCURRENCY = 4;
+const MAX_BATCH_ROWS = 500;
+
+// CSV columns besides the numeric FIELD_RULES fields: yes/no flags and an optional row label.
+// Design criteria come from the form, so their fields are not columns.
+const BATCH_FLAGS = ['freestanding', 'capped', 'twoCranes'];
+const BATCH_NAME_COLUMN = 'name';
+const BATCH_FIELDS = Object.keys(FIELD_RULES).filter(field => !FIELD_RULES[field].designCriteria);
+
+// Foundation loads shown for each row: result key, label, quantity and US number style
+const BATCH_FOUNDATION_LOADS = [
+    { key: 'columnLoadFoundation', label: 'Column Load', quantity: 'forceKips', style: 'decimal' },
+    { key: 'lateralOTM', label: 'Lateral OTM', quantity: 'moment', style: 'decimal' },
+    { key: 'longitudinalOTM', label: 'Longitudinal OTM', quantity: 'moment', style: 'decimal' },
+    { key: 'maxVerticalLoad', label: 'Max Vertical Load', quantity: 'force', style: 'integer' }
+];
+
+let currentBatch = null;
+
+/**
+ * Split CSV text into rows of trimmed cells (quoted cells may hold commas, quotes and line breaks).
+ * Blank lines are dropped; each row keeps its 1-based line number.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endCell = () => {
+        row.push(cell.trim());
+        cell = '';
+    };
+    const endRow = () => {
+        endCell();
+        if (row.some(value => value !== '')) rows.push({ line: rowLine, cells: row });
+        row = [];
+        rowLine = line;
+    };
+
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            endCell();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            line++;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) endRow();
+
+    return rows;
+}
+
+/**
+ * Parse one yes/no cell; blank is false
+ */
+function parseBatchFlag(text) {
+    const value = text.toLowerCase();
+    if (['', 'false', 'no', 'n', '0'].includes(value)) return false;
+    if (['true', 'yes', 'y', '1', 'x'].includes(value)) return true;
+    return null;
+}
+
+/**
+ * Read the CSV into batch rows of { line, name, config, error, parameter }. Column names are the
+ * getFormData() fields (any case) in US units; a row whose cells do not parse carries its error.
+ * Throws when a column is unknown, a required one is missing, or the file has no rows.
+ */
+function parseBatchCsv(text) {
+    const [header, ...records] = parseCsv(text);
+    if (!header || records.length === 0) {
+        throw new Error('The file needs a header row and at least one configuration');
+    }
+    if (records.length > MAX_BATCH_ROWS) {
+        throw new Error(`A batch is limited to ${MAX_BATCH_ROWS} rows`);
+    }
+
+    const knownFields = [...BATCH_FIELDS, ...BATCH_FLAGS, BATCH_NAME_COLUMN];
+    const columns = header.cells.map(name => knownFields.find(field => field.toLowerCase() === name.toLowerCase()));
+
+    const unknown = header.cells.filter((name, index) => !columns[index]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown column(s): ${unknown.join(', ')}`);
+    }
+    // Second crane columns are only needed by rows with twoCranes set (checked per row)
+    const missing = BATCH_FIELDS.filter(field =>
+        !FIELD_RULES[field].optional && !FIELD_RULES[field].secondCrane && !columns.includes(field));
+    if (missing.length > 0) {
+        throw new Error(`Missing column(s): ${missing.join(', ')}`);
+    }
+
+    // Every row is checked against the design criteria on the form
+    const criteria = getDesignCriteriaFormData();
+
+    return records.map(record => {
+        const row = { line: record.line, name: '', config: { hoistSpeed: 0, runwayLength: null, ...criteria }, error: null, parameter: null };
+        BATCH_FLAGS.forEach(flag => { row.config[flag] = false; });
+
+        columns.forEach((field, index) => {
+            const text = record.cells[index] ?? '';
+            if (field === BATCH_NAME_COLUMN) {
+                row.name = text;
+            } else if (BATCH_FLAGS.includes(field)) {
+                row.config[field] = parseBatchFlag(text);
+                if (row.config[field] === null && !row.error) {
+                    row.error = `${field} "${text}" is not yes or no`;
+                    row.parameter = field;
+                }
+            } else if (text !== '') {
+                row.config[field] = Number(text.replace(/,/g, ''));
+                if (!Number.isFinite(row.config[field]) && !row.error) {
+                    row.error = `${FIELD_RULES[field].label} "${text}" is not a number`;
+                    row.parameter = field;
+                }
+            } else if (field !== 'hoistSpeed') {
+                row.config[field] = null;
+            }
+        });
+
+        if (!row.error) {
+            const [parameter, message] = Object.entries(getClientErrors(row.config))[0] || [];
+            if (message) {
+                row.error = message;
+                row.parameter = parameter;
+            }
+        }
+
+        return row;
+    });
+}
+
+/**
+ * Analyze one row, keeping the response or the error message and offending parameter
+ */
+async function analyzeBatchRow(row) {
+    if (row.error) return;
+
+    try {
+        row.data = await requestAnalysis(row.config);
+    } catch (error) {
+        row.error = cleanServerMessage(error.message);
+        row.parameter = error.parameter || error.paramName || null;
+    }
+}
+
+/**
+ * Analyze every row with at most BATCH_CONCURRENCY requests in flight, reporting each completed row
+ */
+async function runBatchRows(rows, onProgress) {
+    let next = 0;
+    let done = 0;
+
+    const worker = async () => {
+        while (next < rows.length) {
+            const row = rows[next++];
+            await analyzeBatchRow(row);
+            onProgress(++done, rows.length);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, rows.length) }, worker));
+}
+
+/**
+ * Show batch progress as a bar and a row count
+ */
+function updateBatchProgress(done, total) {
+    const progress = document.getElementById('batchProgress');
+    progress.max = total;
+    progress.value = done;
+    document.getElementById('batchProgressText').textContent = `${done} / ${total} rows`;
+}
+
+/**
+ * Run the batch for CSV text (the uploaded file's content)
+ */
+async function runBatchAnalysis(text, fileName = 'batch.csv') {
+    if (!isEngineAvailable()) {
+        showError('❌ No API connection available');
+        return;
+    }
+
+    const button = document.getElementById('batchRunBtn');
+    button.disabled = true;
+
+    try {
+        const rows = parseBatchCsv(text);
+        document.getElementById('batchProgressBar').style.display = 'flex';
+        updateBatchProgress(0, rows.length);
+
+        await runBatchRows(rows, updateBatchProgress);
+        currentBatch = { fileName: fileName, rows: rows, runDate: new Date().toISOString() };
+        renderBatchResults(currentBatch);
+
+        const failed = rows.filter(row => row.error).length;
+        showSuccess(`✅ Batch complete: ${rows.length - failed} analyzed, ${failed} flagged`);
+    } catch (error) {
+        showError(`❌ Batch failed: ${error.message}`);
+        console.error('Batch error:', error);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Read the chosen CSV file and run it
+ */
+async function runBatchFromFile() {
+    const file = document.getElementById('batchFile').files[0];
+    if (!file) {
+        showError('Choose a CSV file of crane configurations first.');
+        return;
+    }
+    await runBatchAnalysis(await file.text(), file.name);
+}
+
+/**
+ * Download a CSV with every column and the current configuration as its first row
+ */
+function downloadBatchTemplate() {
+    const config = getFormData();
+    const fields = [BATCH_NAME_COLUMN, ...Object.keys(config).filter(field => !DESIGN_CRITERIA_FIELDS[field])];
+    const values = fields.map(field => field === BATCH_NAME_COLUMN ? 'Bay 1' :
+        BATCH_FLAGS.includes(field) ? (config[field] ? 'yes' : 'no') : config[field]);
+    downloadFile(convertToCSV([fields, values]), 'beam-batch-template.csv', 'text/csv;charset=utf-8;');
+}
+
+/**
+ * Selected beam of an analyzed row and its utilization from the candidates
+ */
+function getBatchSelection(row) {
+    const beam = row.data?.results?.selectedBeam;
+    const candidate = (row.data?.beamCandidates || []).find(item => item.designation === beam?.designation);
+    return { beam: beam, utilization: candidate?.utilization };
+}
+
+/**
+ * Grid of every row: selected beam, utilization, checks and foundation loads, or the row's error and parameter
+ */
+function renderBatchResults(batch) {
+    const container = document.getElementById('batchResults');
+    const columnCount = 4 + STRUCTURAL_CHECKS.length + BATCH_FOUNDATION_LOADS.length;
+
+    let tableHTML = `
+        <table class="beam-candidates-table batch-table">
+            <thead>
+                <tr>
+                    <th>Line</th>
+                    <th>Name</th>
+                    <th>Beam</th>
+                    <th>Utilization</th>
+                    ${STRUCTURAL_CHECKS.map(check => `<th>${check.label}</th>`).join('')}
+                    ${BATCH_FOUNDATION_LOADS.map(load => `<th>${load.label}<br>(${unitLabel(load.quantity)})</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+    `;
+
+    batch.rows.forEach(row => {
+        const lead = `<td>${row.line}</td><td>${escapeHtml(row.name)}</td>`;
+        if (row.error) {
+            tableHTML += `
+                <tr class="batch-row-error">
+                    ${lead}
+                    <td colspan="${columnCount - 2}">
+                        ${escapeHtml(row.error)}${row.parameter ? ` <span class="batch-parameter">${escapeHtml(row.parameter)}</span>` : ''}
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        const results = row.data.results;
+        const { beam, utilization } = getBatchSelection(row);
+        tableHTML += `
+            <tr class="${results.overallPass ? '' : 'batch-row-inadequate'}">
+                ${lead}
+                <td><strong>${escapeHtml(beam?.designation || 'None')}</strong></td>
+                <td><span class="${getUtilizationClass(utilization)}">${Number.isFinite(utilization) ? `${utilization.toFixed(1)}%` : '-'}</span></td>
+                ${STRUCTURAL_CHECKS.map(check => `<td>${getStatus(results[check.key],
+                    results[check.checkKey] ? formatNumber(results[check.checkKey].ratio, 'ratio') : null)}</td>`).join('')}
+                ${BATCH_FOUNDATION_LOADS.map(load => `<td>${formatQuantityValue(results[load.key], load.quantity, load.style)}</td>`).join('')}
+            </tr>
+        `;
+    });
+
+    tableHTML += '</tbody></table>';
+    container.innerHTML = tableHTML;
+}
+
+/**
+ * Batch sheet: each row's inputs followed by its results or error
+ */
+function createBatchSheet(batch) {
+    const analyzed = batch.rows.find(row => row.data);
+    const inputLabel = field => FIELD_RULES[field].quantity ?
+        labelWithUnit(FIELD_RULES[field].label, FIELD_RULES[field].quantity) : FIELD_RULES[field].label;
+
+    const rows = [
+        [{ value: 'BATCH ANALYSIS', style: 'title' }],
+        ['File', batch.fileName],
+        ['Generated', new Date().toLocaleString()],
+        ['Units', isMetricUnits() ? 'SI' : 'US customary'],
+        ['Design Criteria', analyzed ? formatDesignCriteria(getAnalysisDesignCriteria(analyzed.data)) : ''],
+        [],
+        headerRow('Line', 'Name', ...BATCH_FIELDS.map(inputLabel), 'Freestanding', 'Capped', 'Two Cranes',
+            'Beam', labelWithUnit('Weight', 'linearWeight'), labelWithUnit('ECL', 'force'), 'Utilization (%)',
+            ...STRUCTURAL_CHECKS.flatMap(check => [`${check.label} Ratio`, check.label]),
+            ...BATCH_FOUNDATION_LOADS.map(load => labelWithUnit(load.label, load.quantity)),
+            'Overall', 'Error', 'Parameter')
+    ];
+
+    batch.rows.forEach(row => {
+        const inputs = BATCH_FIELDS.map(field => {
+            const value = row.config[field];
+            if (!Number.isFinite(value)) return null;
+            return FIELD_RULES[field].quantity ? quantityCell(value, FIELD_RULES[field].quantity) : value;
+        });
+        const flags = BATCH_FLAGS.map(flag => row.config[flag] === null ? null : (row.config[flag] ? 'Yes' : 'No'));
+
+        if (row.error) {
+            rows.push([row.line, row.name, ...inputs, ...flags,
+                ...Array(4 + STRUCTURAL_CHECKS.length * 2 + BATCH_FOUNDATION_LOADS.length + 1).fill(null),
+                row.error, row.parameter]);
+            return;
+        }
+
+        const results = row.data.results;
+        const { beam, utilization } = getBatchSelection(row);
+        rows.push([
+            row.line, row.name, ...inputs, ...flags,
+            beam?.designation || 'None',
+            beam ? quantityCell(beam.weight, 'linearWeight', 'decimal') : null,
+            quantityCell(row.data.calculatedECL, 'force', 'integer'),
+            { value: utilization ?? null, style: 'decimal' },
+            ...STRUCTURAL_CHECKS.flatMap(check => [
+                { value: results[check.checkKey]?.ratio ?? null, style: 'ratio' },
+                results[check.key] ? 'PASS' : 'FAIL'
+            ]),
+            ...BATCH_FOUNDATION_LOADS.map(load => quantityCell(results[load.key], load.quantity, load.style)),
+            results.overallPass ? 'ACCEPTABLE' : 'INADEQUATE'
+        ]);
+    });
+
+    const columns = [8, 16, ...BATCH_FIELDS.map(() => 14), 12, 10, 16, 14, 12, 12,
+        ...STRUCTURAL_CHECKS.flatMap(() => [12, 12]), ...BATCH_FOUNDATION_LOADS.map(() => 14), 14, 50, 16];
+    return { name: 'Batch', columns: columns, rows: rows };
+}
+
+/**
+ * Export the whole batch as an Excel workbook
+ */
+function exportBatchResults() {
+    if (!currentBatch) {
+        showError('No batch to export. Run a batch first.');
+        return;
+    }
+
+    try {
+        const workbook = XlsxWriter.createWorkbook([createBatchSheet(currentBatch)]);
+        downloadFile(workbook, `beam-batch-analysis-${getDateStamp()}.xlsx`, XlsxWriter.MIME_TYPE);
+        showSuccess(`✅ Exported batch of ${currentBatch.rows.length} row(s)`);
+    } catch (error) {
+        showError(`❌ Export failed: ${error.message}`);
+        console.error('Export error:', error);
+    }
+}
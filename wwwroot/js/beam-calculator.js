@@ -6,9 +6,87 @@ let currentCalculatedECL = 0;
 let selectedBeamIndex = 0;
 let currentConfiguration = {};
 let currentAnalysisResults = {};
+let useLocalEngine = false;
+let analysisController = null;
+let liveAnalysisTimer = null;
+
+// Delay after the last input change before a live re-analysis runs
+const LIVE_ANALYSIS_DELAY_MS = 400;
+
+/**
+ * True when analyses can run, either through the API or the local engine
+ */
+function isEngineAvailable() {
+    return Boolean(API_BASE) || useLocalEngine;
+}
+
+/**
+ * Switch to the client-side engine (BeamEngine) when no API endpoint responds
+ */
+async function enableLocalEngine() {
+    await BeamEngine.loadTables('/data/beam-tables.json');
+    useLocalEngine = true;
+    console.log('🧮 Using client-side beam engine');
+}
+
+/**
+ * Abort any in-flight analysis and return the signal for the next one,
+ * so a slow earlier response can never overwrite a newer one
+ */
+function startAnalysisRequest() {
+    if (analysisController) {
+        analysisController.abort();
+    }
+    analysisController = new AbortController();
+    return analysisController.signal;
+}
+
+/**
+ * True for errors caused by aborting a superseded request
+ */
+function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+/**
+ * Run an analysis request against the API, or the local engine when offline.
+ * Errors carry the server's offending parameter (the local engine's ConfigurationError has paramName).
+ */
+async function requestAnalysis(body, signal = undefined) {
+    body = withDesignCriteria(withSecondCrane(withCandidateFilter(withCustomSections(body))));
+
+    if (useLocalEngine) {
+        return BeamEngine.analyze(body);
+    }
+
+    const response = await fetch(`${API_BASE}/analyze`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: signal
+    });
+
+    if (!response.ok) {
+        const errorBody = await response.json().catch(() => ({}));
+        const error = new Error(errorBody.details || `Analysis failed: ${response.status}`);
+        error.parameter = errorBody.parameter;
+        throw error;
+    }
+
+    return response.json();
+}
+
+/**
+ * Format server/local processing time for the results panel
+ */
+function formatProcessingTime(metadata, clientTime) {
+    if (!metadata?.processingTimeMs && metadata?.processingTimeMs !== 0) return `${clientTime}ms`;
+    const source = metadata.engine === 'local' ? 'Local' : 'Server';
+    return `${metadata.processingTimeMs.toFixed(1)}ms (${source}) + ${clientTime}ms (Client)`;
+}
 
 /**
- * Display the beam candidates table with top 5 options
+ * Display the beam candidates table (top 5 unless the candidate filter changes the count)
  */
 function displayBeamCandidates(candidates, requiredECL) {
     const container = document.getElementById('beamCandidatesTable');
@@ -17,18 +95,22 @@ function displayBeamCandidates(candidates, requiredECL) {
 
     if (!candidates || candidates.length === 0) {
         container.innerHTML = '<p style="color: #ef4444; font-style: italic;">No adequate beams found for the given requirements.</p>';
+        renderRunwayTakeoff();
         return;
     }
 
+    const takeoffs = getCandidateTakeoffs();
+
     let tableHTML = `
         <table class="beam-candidates-table">
             <thead>
                 <tr>
                     <th>Rank</th>
                     <th>Designation</th>
-                    <th>Weight<br>(lbs/ft)</th>
-                    <th>Capacity<br>(lbs)</th>
+                    <th>Weight<br>(${unitLabel('linearWeight')})</th>
+                    <th>Capacity<br>(${unitLabel('force')})</th>
                     <th>Utilization</th>
+                    <th>Est. Cost</th>
                     <th>Status</th>
                     <th>Action</th>
                 </tr>
@@ -36,21 +118,26 @@ function displayBeamCandidates(candidates, requiredECL) {
             <tbody>
     `;
 
-    candidates.forEach((beam, index) => {
+    // Rows follow the chosen ranking; indexes still refer to the candidates as returned
+    getRankedCandidateIndexes(candidates).forEach((index, rank) => {
+        const beam = candidates[index];
         const utilizationClass = getUtilizationClass(beam.utilization);
         // FIX: Only the selectedBeamIndex should be marked as selected, not beam.isSelected
         const isSelected = index === selectedBeamIndex;
 
         tableHTML += `
             <tr class="beam-row ${isSelected ? 'selected' : ''}" data-beam-index="${index}">
-                <td style="font-weight: 600;">${index + 1}</td>
-                <td style="font-weight: 600; color: #1e40af;">${beam.designation}</td>
-                <td>${beam.weight?.toFixed(1) || 'N/A'}</td>
-                <td>${beam.capacity?.toLocaleString() || 'N/A'}</td>
+                <td style="font-weight: 600;">${rank + 1}</td>
+                <td style="font-weight: 600; color: #1e40af;">
+                    ${escapeHtml(beam.designation)}${beam.isCustom ? ' <span class="custom-badge">custom</span>' : ''}
+                </td>
+                <td>${formatQuantityValue(beam.weight, 'linearWeight', 1)}</td>
+                <td>${formatQuantityValue(beam.capacity, 'force')}</td>
                 <td class="${utilizationClass}">
                     ${beam.utilization?.toFixed(1) || 'N/A'}%
                 </td>
-                <td>
+                <td>${formatCurrency(takeoffs[index]?.totalCost)}</td>
+                <td class="beam-status">
                     ${isSelected ? '<span class="status-pass">SELECTED</span>' :
                 '<span style="color: #718096; font-size: 0.7rem;">Available</span>'}
                 </td>
@@ -67,6 +154,7 @@ function displayBeamCandidates(candidates, requiredECL) {
 
     tableHTML += '</tbody></table>';
     container.innerHTML = tableHTML;
+    renderRunwayTakeoff();
 }
 
 /**
@@ -87,7 +175,7 @@ async function selectBeamAndAnalyze(index) {
         return;
     }
 
-    if (!API_BASE) {
+    if (!isEngineAvailable()) {
         showError('❌ API endpoint not available');
         return;
     }
@@ -96,7 +184,11 @@ async function selectBeamAndAnalyze(index) {
     selectedBeamIndex = index;
     const selectedBeam = currentBeamCandidates[index];
 
-    showLoading();
+    // A pending live update would reset the selection, so drop it
+    clearTimeout(liveAnalysisTimer);
+    const signal = startAnalysisRequest();
+
+    hideMessages();
     showPerformanceIndicator(`Analyzing with ${selectedBeam.designation}...`);
 
     try {
@@ -107,33 +199,14 @@ async function selectBeamAndAnalyze(index) {
         const config = getFormData();
         currentConfiguration = config;
 
-        // Perform a NEW analysis with the same configuration
-        // This will simulate analyzing with the selected beam
+        // Perform a NEW analysis with the chosen designation so the server
+        // re-runs every structural check against the selected beam
         const startTime = Date.now();
 
-        const response = await fetch(`${API_BASE}/analyze`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(config)
-        });
-
-        if (!response.ok) {
-            throw new Error(`Analysis failed: ${response.status}`);
-        }
-
-        const data = await response.json();
+        const data = await requestAnalysis({ ...config, selectedDesignation: selectedBeam.designation }, signal);
+        if (signal.aborted) return;
         const clientTime = Date.now() - startTime;
 
-        // Override the results to show our selected beam
-        if (data.results) {
-            // Replace the selected beam info with our manually selected beam
-            data.results.selectedBeam = {
-                designation: selectedBeam.designation,
-                weight: selectedBeam.weight,
-                depth: selectedBeam.depth
-            };
-        }
-
         // Store the analysis results with our selected beam
         currentAnalysisResults = {
             ...data,
@@ -147,10 +220,18 @@ async function selectBeamAndAnalyze(index) {
 
         // Update the display with the selected beam
         displayResultsWithSelectedBeam(data, data.metadata, clientTime, selectedBeam);
+        updateDeepLink();
+        recordAnalysisHistory();
 
-        showSuccess(`✅ Analysis completed with selected beam: ${selectedBeam.designation} (${selectedBeam.utilization.toFixed(1)}% utilized)`);
+        const regressions = getCheckRegressions(data.results, data.recommendedResults);
+        if (regressions.length > 0) {
+            showError(`⚠️ ${selectedBeam.designation} fails ${regressions.map(check => check.label).join(', ')} that the recommended beam passes`);
+        } else {
+            showSuccess(`✅ Analysis completed with selected beam: ${selectedBeam.designation} (${selectedBeam.utilization.toFixed(1)}% utilized)`);
+        }
 
     } catch (error) {
+        if (isAbortError(error)) return;
         hideLoading();
         showError(`❌ Error analyzing with selected beam: ${error.message}`);
     }
@@ -160,71 +241,105 @@ async function selectBeamAndAnalyze(index) {
  * Display results with the manually selected beam
  */
 function displayResultsWithSelectedBeam(data, metadata, clientTime, selectedBeam) {
-    // Display calculated ECL and K-factors
-    document.getElementById('calculatedECL').textContent = `${data.calculatedECL?.toLocaleString() || 'N/A'} lbs`;
-    document.getElementById('k1FactorDisplay').textContent = data.kFactors?.k1?.toFixed(3) || '-';
-    document.getElementById('k2FactorDisplay').textContent = data.kFactors?.k2?.toFixed(3) || '-';
-
     // Keep the beam candidates table (already updated by updateBeamSelection)
     // Don't call displayBeamCandidates again as it would reset selectedBeamIndex
 
-    // Update selected beam information with our manually selected beam
-    document.getElementById('beamDesignation').textContent = selectedBeam.designation;
-    document.getElementById('beamWeight').textContent = `${selectedBeam.weight.toFixed(1)} lbs/ft`;
-
+    // Update selected beam information with the beam the server analyzed
     const results = data.results;
-    if (results) {
-        // Update load calculations
-        document.getElementById('maxWheelLoad').textContent = `${results.maxWheelLoad?.toLocaleString() || 0} lbs`;
-        document.getElementById('ecl').textContent = `${(data.calculatedECL || 0).toLocaleString()} lbs`;
-        document.getElementById('k1Factor').textContent = data.kFactors?.k1?.toFixed(3) || '-';
-        document.getElementById('k2Factor').textContent = data.kFactors?.k2?.toFixed(3) || '-';
-
-        // Update structural checks
-        document.getElementById('lateralCheck').innerHTML = getStatus(results.lateralDeflectionPass);
-        document.getElementById('longitudinalCheck').innerHTML = getStatus(results.longitudinalDeflectionPass);
-        document.getElementById('stressCheck').innerHTML = getStatus(results.stressCheckPass);
-        document.getElementById('overallStatus').innerHTML = getStatus(results.overallPass,
-            results.overallPass ? 'ACCEPTABLE' : 'INADEQUATE');
-
-        // Update foundation loads
-        document.getElementById('columnLoad').textContent = `${results.columnLoad?.toLocaleString() || 0} lbs`;
-        document.getElementById('lateralOTM').textContent = `${results.lateralOTM?.toLocaleString() || 0} ft-lbs`;
-        document.getElementById('longitudinalOTM').textContent = `${results.longitudinalOTM?.toLocaleString() || 0} ft-lbs`;
-        document.getElementById('maxVerticalLoad').textContent = `${results.maxVerticalLoad?.toLocaleString() || 0} lbs`;
-    }
+    const analyzedBeam = results?.selectedBeam || selectedBeam;
+    displayResultValues(data, selectedBeam);
 
     // Add manual selection note to the selected beam card
-    const selectedBeamCard = document.querySelector('.result-card[style*="border-left: 4px solid #4caf50"]');
+    const selectedBeamCard = document.getElementById('selectedBeamCard');
     if (selectedBeamCard) {
-        const existingNote = selectedBeamCard.querySelector('.selection-note');
-        if (existingNote) {
-            existingNote.remove();
-        }
+        selectedBeamCard.querySelectorAll('.selection-note').forEach(note => note.remove());
 
         const note = document.createElement('div');
         note.className = 'selection-note';
-        note.innerHTML = `<strong>Manual Selection:</strong> Beam manually selected from candidates. Capacity: ${selectedBeam.capacity.toLocaleString()} lbs, Utilization: ${selectedBeam.utilization.toFixed(1)}%`;
+        note.innerHTML = `<strong>Manual Selection:</strong> Beam manually selected from candidates. Capacity: ${formatQuantity(selectedBeam.capacity, 'force')}, Utilization: ${selectedBeam.utilization.toFixed(1)}%`;
         selectedBeamCard.appendChild(note);
+
+        // Call out any check the recommended beam passes but this beam fails
+        const regressions = getCheckRegressions(results, data.recommendedResults);
+        if (regressions.length > 0) {
+            const recommended = data.recommendedResults.selectedBeam?.designation || 'the recommended beam';
+            const warning = document.createElement('div');
+            warning.className = 'selection-note warning';
+            warning.innerHTML = `<strong>Check Failures:</strong> ${escapeHtml(analyzedBeam.designation)} fails ` +
+                `${regressions.map(check => check.label).join(', ')}, which ${escapeHtml(recommended)} passes.`;
+            selectedBeamCard.appendChild(warning);
+        }
     }
 
     // Display performance information
-    document.getElementById('processingTime').textContent = metadata?.processingTimeMs ?
-        `${metadata.processingTimeMs.toFixed(1)}ms (Server) + ${clientTime}ms (Client)` : `${clientTime}ms`;
+    document.getElementById('processingTime').textContent = formatProcessingTime(metadata, clientTime);
     document.getElementById('fromCache').textContent = metadata?.cached ? 'Yes' : 'No';
 
     // Show results
     document.getElementById('results').style.display = 'block';
 }
 
+/**
+ * Structural checks shown in the results panel and exports.
+ * key is the pass/fail flag, checkKey the value/limit/ratio detail, style the number format of value and limit.
+ */
+const STRUCTURAL_CHECKS = [
+    { key: 'lateralDeflectionPass', checkKey: 'lateralDeflectionCheck', label: 'Lateral Deflection', elementId: 'lateralCheck', style: 'ratio' },
+    { key: 'longitudinalDeflectionPass', checkKey: 'longitudinalDeflectionCheck', label: 'Longitudinal Deflection', elementId: 'longitudinalCheck', style: 'ratio' },
+    { key: 'stressCheckPass', checkKey: 'stressCheck', label: 'Bending Stress', elementId: 'stressCheck', style: 'integer' },
+    { key: 'axialCheckPass', checkKey: 'axialCheck', label: 'Axial Unity', elementId: 'axialCheck', style: 'ratio' }
+];
+
+/**
+ * Update the structural check status fields from an analysis result
+ */
+function displayStructuralChecks(results) {
+    STRUCTURAL_CHECKS.forEach(check => {
+        const detail = results[check.checkKey];
+        document.getElementById(check.elementId).innerHTML = getStatus(results[check.key]) +
+            (detail ? ` <span class="${getUtilizationClass(detail.ratio * 100)}">${formatNumber(detail.ratio, 'ratio')}</span>` : '');
+        document.getElementById(`${check.elementId}Gauge`).innerHTML = detail ? renderCheckGauge(check, detail) : '';
+    });
+    document.getElementById('overallStatus').innerHTML = getStatus(results.overallPass,
+        results.overallPass ? 'ACCEPTABLE' : 'INADEQUATE');
+}
+
+/**
+ * Bar filled to the unity ratio (full at the limit), with computed value, limit and margin
+ */
+function renderCheckGauge(check, detail) {
+    const quantity = CHECK_UNIT_QUANTITIES[detail.unit];
+    const format = value => quantity ? formatQuantityValue(value, quantity, check.style) : formatNumber(value, check.style);
+    const unit = detail.unit ? ` ${quantity ? unitLabel(quantity) : detail.unit}` : '';
+    const fill = Math.min(Math.max(detail.ratio, 0), 1) * 100;
+
+    return `
+        <div class="check-gauge-bar" title="Unity ratio ${formatNumber(detail.ratio, 'ratio')}">
+            <div class="check-gauge-fill ${getUtilizationClass(detail.ratio * 100)}" style="width: ${fill.toFixed(1)}%"></div>
+        </div>
+        <div class="check-gauge-detail">
+            ${format(detail.value)} / ${format(detail.limit)}${unit} (${escapeHtml(detail.criterion)}),
+            margin ${(detail.margin * 100).toFixed(1)}%
+        </div>
+    `;
+}
+
+/**
+ * Get the checks that fail for the selected beam but pass for the recommended beam
+ */
+function getCheckRegressions(results, recommendedResults) {
+    if (!results || !recommendedResults) return [];
+    return STRUCTURAL_CHECKS.filter(check => recommendedResults[check.key] && !results[check.key]);
+}
+
 /**
  * Update the beam candidates display to reflect the new selection
  */
 function updateBeamSelection() {
     // Update the table rows
     const rows = document.querySelectorAll('.beam-row');
-    rows.forEach((row, index) => {
-        const isSelected = index === selectedBeamIndex;
+    rows.forEach(row => {
+        const isSelected = Number(row.dataset.beamIndex) === selectedBeamIndex;
         const button = row.querySelector('.beam-select-btn');
 
         if (isSelected) {
@@ -240,11 +355,13 @@ function updateBeamSelection() {
         }
 
         // Update status column
-        const statusCell = row.cells[5];
+        const statusCell = row.querySelector('.beam-status');
         statusCell.innerHTML = isSelected ?
             '<span class="status-pass">SELECTED</span>' :
             '<span style="color: #718096; font-size: 0.7rem;">Available</span>';
     });
+
+    renderRunwayTakeoff();
 }
 
 /**
@@ -256,6 +373,45 @@ function updateSelectedBeamDisplay(selectedBeam) {
     console.log(`Updated display for selected beam: ${selectedBeam.designation}`);
 }
 
+/**
+ * Show the calculated values of an analysis in the current unit system.
+ * fallbackBeam names the beam when the response has no results (manual selection).
+ */
+function displayResultValues(data, fallbackBeam = null) {
+    const results = data.results;
+    const analyzedBeam = results?.selectedBeam || fallbackBeam;
+
+    // Display calculated ECL and K-factors
+    document.getElementById('calculatedECL').textContent = Number.isFinite(data.calculatedECL) ?
+        formatQuantity(data.calculatedECL, 'force') : 'N/A';
+    document.getElementById('k1FactorDisplay').textContent = data.kFactors?.k1?.toFixed(3) || '-';
+    document.getElementById('k2FactorDisplay').textContent = data.kFactors?.k2?.toFixed(3) || '-';
+
+    document.getElementById('beamDesignation').textContent = analyzedBeam?.designation || 'None';
+    document.getElementById('beamWeight').textContent = analyzedBeam ? formatQuantity(analyzedBeam.weight, 'linearWeight', 1) : '-';
+
+    if (!results) return;
+
+    // Update load calculations
+    document.getElementById('maxWheelLoad').textContent = formatQuantity(results.maxWheelLoad || 0, 'force');
+    document.getElementById('ecl').textContent = formatQuantity(data.calculatedECL || 0, 'force');
+    document.getElementById('k1Factor').textContent = data.kFactors?.k1?.toFixed(3) || '-';
+    document.getElementById('k2Factor').textContent = data.kFactors?.k2?.toFixed(3) || '-';
+
+    // Update structural checks
+    displayStructuralChecks(results);
+
+    // Update foundation loads
+    document.getElementById('columnLoad').textContent = formatQuantity(results.columnLoadFoundation || 0, 'forceKips');
+    document.getElementById('lateralOTM').textContent = formatQuantity(results.lateralOTM || 0, 'moment');
+    document.getElementById('longitudinalOTM').textContent = formatQuantity(results.longitudinalOTM || 0, 'moment');
+    document.getElementById('maxVerticalLoad').textContent = formatQuantity(results.maxVerticalLoad || 0, 'force');
+    renderDesignCriteriaSummary();
+    renderCraneArrangements();
+    renderColumnReactions();
+    renderRunwayDiagram();
+}
+
 /**
  * Enhanced results display function
  */
@@ -272,59 +428,99 @@ function displayResults(data, metadata, clientTime) {
     // Reset selectedBeamIndex to 0 (first beam) for new analysis
     selectedBeamIndex = 0;
 
-    // Display calculated ECL and K-factors
-    document.getElementById('calculatedECL').textContent = `${data.calculatedECL?.toLocaleString() || 'N/A'} lbs`;
-    document.getElementById('k1FactorDisplay').textContent = data.kFactors?.k1?.toFixed(3) || '-';
-    document.getElementById('k2FactorDisplay').textContent = data.kFactors?.k2?.toFixed(3) || '-';
-
     // Display beam candidates table
     displayBeamCandidates(data.beamCandidates || [], data.calculatedECL || 0);
 
-    // Update selected beam information
-    const results = data.results;
-    if (results) {
-        document.getElementById('beamDesignation').textContent = results.selectedBeam?.designation || 'None';
-        document.getElementById('beamWeight').textContent = results.selectedBeam ?
-            `${results.selectedBeam.weight.toFixed(1)} lbs/ft` : '-';
-
-        // Update load calculations
-        document.getElementById('maxWheelLoad').textContent = `${results.maxWheelLoad?.toLocaleString() || 0} lbs`;
-        document.getElementById('ecl').textContent = `${(data.calculatedECL || 0).toLocaleString()} lbs`;
-        document.getElementById('k1Factor').textContent = data.kFactors?.k1?.toFixed(3) || '-';
-        document.getElementById('k2Factor').textContent = data.kFactors?.k2?.toFixed(3) || '-';
-
-        // Update structural checks
-        document.getElementById('lateralCheck').innerHTML = getStatus(results.lateralDeflectionPass);
-        document.getElementById('longitudinalCheck').innerHTML = getStatus(results.longitudinalDeflectionPass);
-        document.getElementById('stressCheck').innerHTML = getStatus(results.stressCheckPass);
-        document.getElementById('overallStatus').innerHTML = getStatus(results.overallPass,
-            results.overallPass ? 'ACCEPTABLE' : 'INADEQUATE');
-
-        // Update foundation loads
-        document.getElementById('columnLoad').textContent = `${results.columnLoad?.toLocaleString() || 0} lbs`;
-        document.getElementById('lateralOTM').textContent = `${results.lateralOTM?.toLocaleString() || 0} ft-lbs`;
-        document.getElementById('longitudinalOTM').textContent = `${results.longitudinalOTM?.toLocaleString() || 0} ft-lbs`;
-        document.getElementById('maxVerticalLoad').textContent = `${results.maxVerticalLoad?.toLocaleString() || 0} lbs`;
-    }
+    // Update ECL, selected beam, loads, checks and foundation loads
+    displayResultValues(data);
 
     // Remove any existing manual selection notes since this is a fresh analysis
-    const selectedBeamCard = document.querySelector('.result-card[style*="border-left: 4px solid #4caf50"]');
+    const selectedBeamCard = document.getElementById('selectedBeamCard');
     if (selectedBeamCard) {
-        const existingNote = selectedBeamCard.querySelector('.selection-note');
-        if (existingNote) {
-            existingNote.remove();
-        }
+        selectedBeamCard.querySelectorAll('.selection-note').forEach(note => note.remove());
     }
 
     // Display performance information
-    document.getElementById('processingTime').textContent = metadata?.processingTimeMs ?
-        `${metadata.processingTimeMs.toFixed(1)}ms (Server) + ${clientTime}ms (Client)` : `${clientTime}ms`;
+    document.getElementById('processingTime').textContent = formatProcessingTime(metadata, clientTime);
     document.getElementById('fromCache').textContent = metadata?.cached ? 'Yes' : 'No';
 
     // Show results
     document.getElementById('results').style.display = 'block';
 }
 
+/**
+ * Show a stored analysis exactly as saved: form inputs, candidates table and beam selection
+ */
+function restoreAnalysis(formData, analysis, savedBeamIndex = 0) {
+    // A pending or in-flight analysis would overwrite the restored results
+    clearTimeout(liveAnalysisTimer);
+    if (analysisController) {
+        analysisController.abort();
+    }
+
+    // Analyses saved before design criteria existed were checked against the standard profile
+    setFormData({ serviceClass: null, designProfile: 'standard', ...formData });
+    displayResults(analysis, analysis.metadata, analysis.clientTime);
+
+    if (savedBeamIndex > 0 && savedBeamIndex < currentBeamCandidates.length) {
+        selectedBeamIndex = savedBeamIndex;
+        updateBeamSelection();
+        displayResultsWithSelectedBeam(analysis, analysis.metadata, analysis.clientTime, currentBeamCandidates[savedBeamIndex]);
+    }
+
+    // Keep the saved timestamps and manual selection details
+    currentAnalysisResults = { ...analysis };
+    currentConfiguration = { ...formData };
+    updateDeepLink();
+}
+
+/**
+ * Trigger a browser download for generated content
+ */
+function downloadFile(content, filename, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Current date as YYYY-MM-DD for export file names
+ */
+function getDateStamp() {
+    return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Format a number with the precision of an export cell style (integer, decimal, ratio),
+ * a number of decimal places, or otherwise up to 3 places
+ */
+function formatNumber(value, style = null) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return 'N/A';
+    const digits = typeof style === 'number' ? style : { integer: 0, decimal: 2, ratio: 3 }[style];
+    return digits === undefined ?
+        value.toLocaleString(undefined, { maximumFractionDigits: 3 }) :
+        value.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+/**
+ * Escape user-entered text for insertion into HTML
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Export beam analysis results to Excel
  */
@@ -338,22 +534,11 @@ function exportResults() {
         // Get the selected beam
         const selectedBeam = currentBeamCandidates[selectedBeamIndex] || currentBeamCandidates[0];
 
-        // Create Excel data structure
-        const excelData = createExcelData(selectedBeam);
-
-        // Convert to CSV format (simplified Excel export)
-        const csvContent = convertToCSV(excelData);
+        // Build the workbook (Summary, Inputs, Calculations, Candidates)
+        const workbook = XlsxWriter.createWorkbook(createExcelData(selectedBeam));
 
         // Create and download file
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-        const link = document.createElement('a');
-        const url = URL.createObjectURL(blob);
-        link.setAttribute('href', url);
-        link.setAttribute('download', `beam-analysis-${selectedBeam.designation}-${new Date().toISOString().split('T')[0]}.csv`);
-        link.style.visibility = 'hidden';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+        downloadFile(workbook, `beam-analysis-${selectedBeam.designation.replace(/[^\w.+-]/g, '_')}-${getDateStamp()}.xlsx`, XlsxWriter.MIME_TYPE);
 
         showSuccess(`✅ Analysis exported successfully for beam ${selectedBeam.designation}`);
 
@@ -364,95 +549,405 @@ function exportResults() {
 }
 
 /**
- * Create structured data for Excel export
+ * Create the sheets for the Excel export.
+ * Cells are numbers, text, or { value, formula, style } objects (see XlsxWriter).
  */
 function createExcelData(selectedBeam) {
     const config = currentConfiguration;
     const results = currentAnalysisResults.results || {};
+    const regressions = getCheckRegressions(results, currentAnalysisResults.recommendedResults);
+
+    const inputs = createInputsSheet(config);
+    return [
+        createSummarySheet(selectedBeam, results, regressions),
+        inputs,
+        createCalculationsSheet(config, results, selectedBeam, inputs.refs),
+        createCandidatesSheet()
+    ];
+}
+
+/**
+ * Header row cells
+ */
+function headerRow(...labels) {
+    return labels.map(label => ({ value: label, style: 'header' }));
+}
+
+/**
+ * Summary sheet: selected beam, check results and foundation loads
+ */
+function createSummarySheet(selectedBeam, results, regressions) {
+    const recommended = currentAnalysisResults.recommendedResults?.selectedBeam?.designation || '';
+    const criteria = getAnalysisDesignCriteria(currentAnalysisResults);
+    const arrangements = getCraneArrangements(currentAnalysisResults);
+    const governs = arrangement => [arrangement.governsBeam ? 'Beam' : '', arrangement.governsColumns ? 'Columns' : '']
+        .filter(Boolean).join(', ');
+    const arrangementRows = arrangements.length < 2 ? [] : [
+        headerRow('Crane Arrangements', labelWithUnit('ECL', 'force'), labelWithUnit('Cvs + Cvi', 'force'), 'Governs'),
+        ...arrangements.map(arrangement => [
+            arrangement.name,
+            quantityCell(arrangement.ecl, 'force', 'integer'),
+            quantityCell(arrangement.columnVertical + arrangement.columnImpact, 'force', 'integer'),
+            governs(arrangement)
+        ]),
+        []
+    ];
+    const passFail = passed => passed ? 'PASS' : 'FAIL';
+    const checkRow = check => {
+        const detail = results[check.checkKey];
+        if (!detail) return [check.label, passFail(results[check.key])];
+
+        const quantity = CHECK_UNIT_QUANTITIES[detail.unit];
+        const cell = value => quantity ? quantityCell(value, quantity, check.style) : { value: value, style: check.style };
+        return [
+            quantity ? labelWithUnit(check.label, quantity) : `${check.label}${detail.unit ? ` (${detail.unit})` : ''}`,
+            passFail(results[check.key]),
+            cell(detail.value),
+            cell(detail.limit),
+            { value: detail.ratio, style: 'ratio' }
+        ];
+    };
 
-    const data = [
-        ['BEAM ANALYSIS REPORT'],
-        ['Generated:', new Date().toLocaleString()],
-        [''],
-        ['SELECTED BEAM INFORMATION'],
-        ['Designation:', selectedBeam.designation],
-        ['Weight (lbs/ft):', selectedBeam.weight?.toFixed(1) || 'N/A'],
-        ['Depth (in):', selectedBeam.depth?.toFixed(1) || 'N/A'],
-        ['Capacity (lbs):', selectedBeam.capacity?.toLocaleString() || 'N/A'],
-        ['Utilization (%):', selectedBeam.utilization?.toFixed(1) || 'N/A'],
-        [''],
-        ['CONFIGURATION PARAMETERS'],
-        ['Rated Capacity (lbs):', config.ratedCapacity?.toLocaleString() || 'N/A'],
-        ['Hoist + Trolley Weight (lbs):', config.weightHoistTrolley?.toLocaleString() || 'N/A'],
-        ['Girder Weight (lbs):', config.girderWeight?.toLocaleString() || 'N/A'],
-        ['Panel Weight (lbs):', config.panelWeight?.toLocaleString() || 'N/A'],
-        ['End Truck Weight (lbs):', config.endTruckWeight?.toLocaleString() || 'N/A'],
-        ['Rail Height (in):', config.railHeight || 'N/A'],
-        ['Wheel Base (ft):', config.wheelBase || 'N/A'],
-        ['Support Centers (ft):', config.supportCenters || 'N/A'],
-        ['Support Centers (ft):', config.supportCenters || 'N/A'],
-        ['Number of Columns:', config.numCols || 'N/A'],
-        ['Freestanding:', config.freestanding ? 'Yes' : 'No'],
-        ['Capped System:', config.capped ? 'Yes' : 'No'],
-        [''],
-        ['CALCULATION DETAILS'],
-        ['Max Wheel Load (MWL) = Rated + Beam + Hoist/Trolley'],
-        ['MWL (lbs):', results.maxWheelLoad?.toLocaleString() || 'N/A'],
-        ['Wheelbase Span Ratio = A / L:'],
-        ['Wheelbase / SupportCenters:', (config.wheelBase / config.supportCenters).toFixed(3)],
-
-        ['K-Factors from Ratio Lookup'],
-        ['K1 Factor:', currentAnalysisResults.kFactors?.k1?.toFixed(3) || 'N/A'],
-        ['K2 Factor:', currentAnalysisResults.kFactors?.k2?.toFixed(3) || 'N/A'],
-
-        ['ECL = K1 * MWL'],
-        ['ECL (lbs):', currentCalculatedECL?.toLocaleString() || 'N/A'],
-
-        ['Column Moment = Lateral Load * Rail Height (inches)'],
-        ['Column Moment (lb-in):', results.columnMoment?.toLocaleString() || 'N/A'],
-        ['Lateral OTM = Column Moment / 12,000'],
-        ['Lateral OTM (kip-ft):', results.lateralOTM?.toFixed(2) || 'N/A'],
-
-        ['Longitudinal Moment = Longitudinal Load * Rail Height (inches)'],
-        ['Foundation Moment (lb-in):', results.foundationMoment?.toLocaleString() || 'N/A'],
-        ['Longitudinal OTM = Foundation Moment / 12,000'],
-        ['Longitudinal OTM (kip-ft):', results.longitudinalOTM?.toFixed(2) || 'N/A'],
-
-        ['Column Load = (Max Vertical Load + 2500) / 1000'],
-        ['Column Load (kips):', results.columnLoad?.toFixed(2) || 'N/A'],
-        [''],
-        ['STRUCTURAL ANALYSIS RESULTS'],
-        ['Lateral Deflection Check:', results.lateralDeflectionPass ? 'PASS' : 'FAIL'],
-        ['Longitudinal Deflection Check:', results.longitudinalDeflectionPass ? 'PASS' : 'FAIL'],
-        ['Stress Check:', results.stressCheckPass ? 'PASS' : 'FAIL'],
-        ['Overall Status:', results.overallPass ? 'ACCEPTABLE' : 'INADEQUATE'],
-        [''],
+    return {
+        name: 'Summary',
+        columns: [34, 24, 12, 12, 10],
+        rows: [
+            [{ value: 'BEAM ANALYSIS REPORT', style: 'title' }],
+            ['Generated', new Date().toLocaleString()],
+            ['Units', isMetricUnits() ? 'SI' : 'US customary'],
+            [],
+            headerRow('Selected Beam', 'Value'),
+            ['Designation', selectedBeam.designation],
+            [labelWithUnit('Weight', 'linearWeight'), quantityCell(selectedBeam.weight, 'linearWeight', 'decimal')],
+            [labelWithUnit('Depth', 'smallLength'), quantityCell(selectedBeam.depth, 'smallLength', 'decimal')],
+            [labelWithUnit('Capacity', 'force'), quantityCell(selectedBeam.capacity, 'force', 'integer')],
+            [labelWithUnit('ECL', 'force'), quantityCell(currentAnalysisResults.calculatedECL, 'force', 'integer')],
+            ['Utilization (%)', { value: selectedBeam.utilization, style: 'decimal' }],
+            ['Selection', results.isManualSelection ? 'Manual' : 'Lightest adequate (automatic)'],
+            [],
+            headerRow('Design Criteria', 'Value'),
+            ['Profile', criteria.name],
+            ['CMAA Service Class', formatServiceClass(criteria)],
+            ['Impact', formatImpactRule(criteria)],
+            [],
+            ...arrangementRows,
+            headerRow('Structural Checks', 'Result', 'Value', 'Limit', 'Ratio'),
+            ...STRUCTURAL_CHECKS.map(checkRow),
+            ['Overall Status', { value: results.overallPass ? 'ACCEPTABLE' : 'INADEQUATE', style: 'bold' }],
+            ...regressions.map(check => [`WARNING: ${check.label} fails for ${selectedBeam.designation} but passes for recommended beam ${recommended}`]),
+            [],
+            headerRow('Foundation Loads', 'Value'),
+            [labelWithUnit('Column Load', 'forceKips'), quantityCell(results.columnLoadFoundation, 'forceKips', 'decimal')],
+            [labelWithUnit('Lateral OTM', 'moment'), quantityCell(results.lateralOTM, 'moment', 'decimal')],
+            [labelWithUnit('Longitudinal OTM', 'moment'), quantityCell(results.longitudinalOTM, 'moment', 'decimal')],
+            [labelWithUnit('Max Vertical Load', 'force'), quantityCell(results.maxVerticalLoad, 'force', 'integer')]
+        ]
+    };
+}
+
+/**
+ * SI value and unit cells appended to US rows of the Inputs and Calculations sheets in SI mode
+ */
+function siCells(value, quantity) {
+    if (!isMetricUnits() || !quantity) return [];
+    return [quantityCell(value, quantity), unitLabel(quantity)];
+}
+
+/**
+ * Inputs sheet. refs maps each input to its absolute cell for Calculations formulas.
+ * Values stay in US units because the Calculations formulas use them; SI mode adds converted columns.
+ * The design criteria rows are the criteria the analysis was checked against.
+ */
+function createInputsSheet(config) {
+    const criteria = getAnalysisDesignCriteria(currentAnalysisResults);
+    const inputRows = [
+        ['ratedCapacity', 'Rated Capacity (lbs)', config.ratedCapacity, 'integer', 'force'],
+        ['weightHoistTrolley', 'Hoist + Trolley Weight (lbs)', config.weightHoistTrolley, 'integer', 'force'],
+        ['girderWeight', 'Girder Weight (lbs)', config.girderWeight, 'integer', 'force'],
+        ['panelWeight', 'Panel Weight (lbs)', config.panelWeight, 'integer', 'force'],
+        ['endTruckWeight', 'End Truck Weight (lbs)', config.endTruckWeight, 'integer', 'force'],
+        ['railHeight', 'Rail Height (ft)', config.railHeight, 'decimal', 'length'],
+        ['wheelBase', 'Wheel Base (ft)', config.wheelBase, 'decimal', 'length'],
+        ['supportCenters', 'Support Centers (ft)', config.supportCenters, 'decimal', 'length'],
+        ['numCols', 'Number of Columns (per side)', config.numCols, null],
+        ['hoistSpeed', 'Hoist Speed (ft/min)', config.hoistSpeed || 0, null, 'speed'],
+        ['freestanding', 'Freestanding', config.freestanding ? 'Yes' : 'No', null],
+        ['capped', 'Capped System', config.capped ? 'Yes' : 'No', null]
+    ];
+
+    if (config.twoCranes) {
+        inputRows.push(
+            ['crane2RatedCapacity', 'Crane 2 Rated Capacity (lbs)', config.crane2RatedCapacity, 'integer', 'force'],
+            ['crane2WeightHoistTrolley', 'Crane 2 Hoist + Trolley Weight (lbs)', config.crane2WeightHoistTrolley, 'integer', 'force'],
+            ['crane2GirderWeight', 'Crane 2 Girder Weight (lbs)', config.crane2GirderWeight, 'integer', 'force'],
+            ['crane2PanelWeight', 'Crane 2 Panel Weight (lbs)', config.crane2PanelWeight, 'integer', 'force'],
+            ['crane2EndTruckWeight', 'Crane 2 End Truck Weight (lbs)', config.crane2EndTruckWeight, 'integer', 'force'],
+            ['crane2WheelBase', 'Crane 2 Wheel Base (ft)', config.crane2WheelBase, 'decimal', 'length'],
+            ['bumperDistance', 'Bumper-to-Bumper Distance (ft)', config.bumperDistance, 'decimal', 'length']
+        );
+    }
+
+    inputRows.push(
+        ['serviceClass', 'CMAA Service Class', formatServiceClass(criteria), null],
+        ['designProfile', 'Design Criteria Profile', criteria.name, null],
+        ['lateralLoadPercent', 'Lateral Load (% of P + H)', criteria.lateralLoadPercent, null],
+        ['longitudinalLoadPercent', 'Longitudinal Load (% of MWL)', criteria.longitudinalLoadPercent, null],
+        ['impactRule', 'Impact Rule', criteria.impactRule === 'fixed' ? 'Fixed' : 'Hoist speed', null],
+        ['impactPercent', 'Impact (% of capacity)', criteria.impactPercent, null],
+        ['lateralDeflectionLimit', 'Lateral Deflection Limit (L/n)', criteria.lateralDeflectionLimit, null],
+        ['longitudinalDeflectionLimit', 'Longitudinal Deflection Limit (L/n)', criteria.longitudinalDeflectionLimit, null],
+        ['allowableStress', 'Allowable Stress Fb (psi)', criteria.allowableStress, 'integer', 'stress']
+    );
+
+    const rows = [headerRow('Parameter', 'Value', ...(isMetricUnits() ? ['SI Value', 'SI Unit'] : []))];
+    const refs = {};
+    inputRows.forEach(([key, label, value, style, quantity]) => {
+        refs[key] = `Inputs!$B$${rows.length + 1}`;
+        rows.push([label, { value: value, style: style }, ...siCells(value, quantity)]);
+    });
+
+    return { name: 'Inputs', columns: [32, 16, 14, 10], rows: rows, refs: refs };
+}
+
+// Calculations sheet rows with a physical unit, converted in the SI columns
+const CALCULATION_QUANTITIES = {
+    craneWeight: 'force',
+    maxWheelLoad: 'force',
+    crane2Weight: 'force',
+    crane2MaxWheelLoad: 'force',
+    ecl: 'force',
+    capacity: 'force',
+    lateralLoad: 'force',
+    longitudinalLoad: 'force',
+    railHeightInches: 'smallLength',
+    columnMoment: 'momentLbIn',
+    foundationMoment: 'momentLbIn',
+    lateralOTM: 'moment',
+    longitudinalOTM: 'moment',
+    beamWeight: 'linearWeight',
+    runwayBeamWeight: 'force',
+    maxVerticalLoad: 'force',
+    columnLoad: 'forceKips',
+    momentOfInertia: 'inertia',
+    sectionModulus: 'modulus',
+    lateralDeflection: 'smallLength',
+    lateralLimit: 'smallLength',
+    longitudinalDeflection: 'smallLength',
+    longitudinalLimit: 'smallLength',
+    bendingStress: 'stress',
+    effectiveLength: 'length'
+};
+
+/**
+ * Calculations sheet: each value is a live formula on the Inputs sheet with the analysis result cached
+ */
+function createCalculationsSheet(config, results, selectedBeam, inputRefs) {
+    const analyzedBeam = results.selectedBeam || {};
+    const railHeightInches = config.railHeight * 12;
+    const effectiveLength = config.railHeight * (config.freestanding ? 2.0 : 0.5);
+    const ecl = currentAnalysisResults.calculatedECL;
+    const criteria = getAnalysisDesignCriteria(currentAnalysisResults);
+    const lateralDeflection = results.lateralLoad * Math.pow(railHeightInches, 3) / (3 * 29000000 * analyzedBeam.i);
+    const longitudinalDeflection = results.longitudinalLoad * Math.pow(railHeightInches, 3) / (3 * 29000000 * analyzedBeam.i);
+    const I = inputRefs;
+    const n = formatNumber;
+
+    // With a second crane, the ECL comes from the arrangement governing the beam and the lateral,
+    // longitudinal and vertical loads from the one governing the columns
+    const arrangements = getCraneArrangements(currentAnalysisResults);
+    const twoCranes = arrangements.length > 1;
+    const beamLoads = getGoverningArrangement(currentAnalysisResults, 'governsBeam');
+    const columnLoads = getGoverningArrangement(currentAnalysisResults, 'governsColumns');
+    const columnCranes = columnLoads?.cranes || [1];
+    const crane1WheelLoad = arrangements[0]?.maxWheelLoad ?? results.maxWheelLoad;
+    const crane2WheelLoad = arrangements[1]?.maxWheelLoad;
+    const crane2Weight = config.crane2GirderWeight + config.crane2PanelWeight + config.crane2EndTruckWeight;
+
+    // Input values as they appear in substituted equations
+    const P = n(config.ratedCapacity, 'integer');
+    const H = n(config.weightHoistTrolley, 'integer');
+    const C = n(results.totalBeamWeight, 'integer');
+    const MWL = n(crane1WheelLoad, 'integer');
+    const HT = n(railHeightInches);
+    const lateral = n(results.lateralLoad, 'integer');
+    const longitudinal = n(results.longitudinalLoad, 'integer');
+    const lateralPercent = n(criteria.lateralLoadPercent);
+    const longitudinalPercent = n(criteria.longitudinalLoadPercent);
+    const lateralLimit = n(criteria.lateralDeflectionLimit);
+    const longitudinalLimit = n(criteria.longitudinalDeflectionLimit);
+
+    // Cells and substituted values of P, H, C and MWL for crane 1 or 2
+    const craneRefs = (refs, crane) => crane === 1 ?
+        { P: I.ratedCapacity, H: I.weightHoistTrolley, C: refs.craneWeight, MWL: refs.maxWheelLoad } :
+        { P: I.crane2RatedCapacity, H: I.crane2WeightHoistTrolley, C: refs.crane2Weight, MWL: refs.crane2MaxWheelLoad };
+    const craneValues = crane => crane === 1 ? { P: P, H: H, C: C, MWL: MWL } : {
+        P: n(config.crane2RatedCapacity, 'integer'),
+        H: n(config.crane2WeightHoistTrolley, 'integer'),
+        C: n(crane2Weight, 'integer'),
+        MWL: n(crane2WheelLoad, 'integer')
+    };
+    const perCrane = (refs, term) => columnCranes.map(crane => term(craneRefs(refs, crane))).join('+');
+    const perCraneText = term => columnCranes.map(crane => term(craneValues(crane))).join(' + ');
+    const columnNote = twoCranes ?
+        `, ${columnCranes.length > 1 ? 'summed over' : 'for'} ${columnLoads.name} (governs columns)` : '';
+
+    // ECL row: crane 1 from the K-factor table; crane 2 or both cranes as analyzed
+    const eclRow = !twoCranes || beamLoads.name === arrangements[0].name ?
+        ['ecl', 'ECL (lbs)', refs => `${refs.k1}*${refs.maxWheelLoad}`,
+            ecl, 'integer', `K1 × MWL${twoCranes ? `, ${arrangements[0].name} (governs beam)` : ''}`,
+            `${n(results.k1, 'ratio')} × ${MWL}`] :
+        beamLoads.cranes.length === 1 ?
+            ['ecl', 'ECL (lbs)', null, ecl, 'integer', `K1 × MWL2, ${beamLoads.name} (governs beam) with K1 at A2 / L`,
+                `${n(ecl / crane2WheelLoad, 'ratio')} × ${n(crane2WheelLoad, 'integer')}`] :
+            ['ecl', 'ECL (lbs)', null, ecl, 'integer', `4 × Mmax / L, ${beamLoads.name} (governs beam) with bumpers touching`,
+                `4 × ${n(ecl * config.supportCenters / 4, 'integer')} / ${n(config.supportCenters)}`];
+
+    // [key, label, formula(refs), cached value, style, description, substituted]; refs maps keys to cells on this sheet
+    const calculations = [
+        ['CRANE LOADS'],
+        ['craneWeight', 'Crane Weight C (lbs)', () => `${I.girderWeight}+${I.panelWeight}+${I.endTruckWeight}`,
+            results.totalBeamWeight, 'integer', 'Girder + Panel + End Truck',
+            `${n(config.girderWeight, 'integer')} + ${n(config.panelWeight, 'integer')} + ${n(config.endTruckWeight, 'integer')}`],
+        criteria.impactRule === 'fixed' ?
+            ['impactFactor', 'Impact Factor', () => `1+${I.impactPercent}/100`,
+                results.impactFactor, 'ratio', '1 + Impact % / 100 (fixed)',
+                `1 + ${n(criteria.impactPercent)} / 100`] :
+            ['impactFactor', 'Impact Factor', () => `IF(${I.hoistSpeed}>0,0.005*${I.hoistSpeed}+1,1+${I.impactPercent}/100)`,
+                results.impactFactor, 'ratio', '1 + 0.005 × Hoist Speed (1 + Impact % / 100 when not given)',
+                config.hoistSpeed > 0 ? `1 + 0.005 × ${n(config.hoistSpeed)}` : `1 + ${n(criteria.impactPercent)} / 100`],
+        ['maxWheelLoad', 'Max Wheel Load MWL (lbs)', refs => `${refs.impactFactor}*${I.ratedCapacity}/2+${I.weightHoistTrolley}/2+${refs.craneWeight}/4`,
+            crane1WheelLoad, 'integer', '(Impact × P) / 2 + H / 2 + C / 4',
+            `(${n(results.impactFactor, 'ratio')} × ${P}) / 2 + ${H} / 2 + ${C} / 4`],
+        ...(twoCranes ? [
+            ['crane2Weight', 'Crane 2 Weight C2 (lbs)', () => `${I.crane2GirderWeight}+${I.crane2PanelWeight}+${I.crane2EndTruckWeight}`,
+                crane2Weight, 'integer', 'Crane 2 Girder + Panel + End Truck',
+                `${n(config.crane2GirderWeight, 'integer')} + ${n(config.crane2PanelWeight, 'integer')} + ${n(config.crane2EndTruckWeight, 'integer')}`],
+            ['crane2MaxWheelLoad', 'Crane 2 Max Wheel Load MWL2 (lbs)',
+                refs => `${refs.impactFactor}*${I.crane2RatedCapacity}/2+${I.crane2WeightHoistTrolley}/2+${refs.crane2Weight}/4`,
+                crane2WheelLoad, 'integer', '(Impact × P2) / 2 + H2 / 2 + C2 / 4',
+                `(${n(results.impactFactor, 'ratio')} × ${n(config.crane2RatedCapacity, 'integer')}) / 2 + ` +
+                `${n(config.crane2WeightHoistTrolley, 'integer')} / 2 + ${n(crane2Weight, 'integer')} / 4`]
+        ] : []),
+        ['ratio', 'Wheelbase / Support Centers', () => `${I.wheelBase}/${I.supportCenters}`,
+            results.wheelbaseSpanRatio, 'ratio', 'A / L',
+            `${n(config.wheelBase)} / ${n(config.supportCenters)}`],
+        ['k1', 'K1 Factor', null, results.k1, 'ratio', 'K-factor table at A / L',
+            `Table at A / L = ${n(results.wheelbaseSpanRatio, 'ratio')}`],
+        ['k2', 'K2 Factor', null, results.k2, 'ratio', 'K-factor table at A / L',
+            `Table at A / L = ${n(results.wheelbaseSpanRatio, 'ratio')}`],
+        eclRow,
+        ['capacity', 'Beam Capacity (lbs)', null, selectedBeam.capacity, 'integer',
+            `${selectedBeam.designation} capacity table at L (interpolated)`, ''],
+        ['utilization', 'Utilization (%)', refs => `${refs.ecl}/${refs.capacity}*100`,
+            selectedBeam.utilization, 'decimal', 'ECL / Capacity × 100',
+            `${n(ecl, 'integer')} / ${n(selectedBeam.capacity, 'integer')} × 100`],
+        ['lateralLoad', 'Lateral Load (lbs)', refs => perCrane(refs, crane => `${I.lateralLoadPercent}/100*(${crane.P}+${crane.H})`),
+            results.lateralLoad, 'integer', `Lateral % / 100 × (P + H)${columnNote}`,
+            perCraneText(crane => `${lateralPercent} / 100 × (${crane.P} + ${crane.H})`)],
+        ['longitudinalLoad', 'Longitudinal Load (lbs)', refs => perCrane(refs, crane => `${I.longitudinalLoadPercent}/100*${crane.MWL}`),
+            results.longitudinalLoad, 'integer', `Longitudinal % / 100 × MWL${columnNote}`,
+            perCraneText(crane => `${longitudinalPercent} / 100 × ${crane.MWL}`)],
+        [],
         ['FOUNDATION LOADS'],
-        ['Column Load (lbs):', results.columnLoad?.toLocaleString() || 'N/A'],
-        ['Lateral OTM (ft-lbs):', results.lateralOTM?.toLocaleString() || 'N/A'],
-        ['Longitudinal OTM (ft-lbs):', results.longitudinalOTM?.toLocaleString() || 'N/A'],
-        ['Max Vertical Load (lbs):', results.maxVerticalLoad?.toLocaleString() || 'N/A'],
-        [''],
-        ['STRUCTURAL FORMULAS'],
-        ['Lateral Deflection = (Lateral Load * H^3) / (3 * E * I)'],
-        ['Longitudinal Deflection = (Longitudinal Load * H^3) / (3 * E * I)'],
-        ['Stress = (Lateral Load * H) / S'],
-        ['Axial Unity = (Axial Load / 24000) + (Effective Length / 43.2)']
+        ['railHeightInches', 'Rail Height (in)', () => `${I.railHeight}*12`,
+            railHeightInches, 'decimal', 'Rail Height × 12',
+            `${n(config.railHeight)} × 12`],
+        ['columnMoment', 'Column Moment (lb-in)', refs => `${refs.railHeightInches}*${refs.lateralLoad}`,
+            results.columnMoment, 'integer', 'Lateral Load × Rail Height',
+            `${lateral} × ${HT}`],
+        ['foundationMoment', 'Foundation Moment (lb-in)', refs => `${refs.railHeightInches}*${refs.longitudinalLoad}`,
+            results.foundationMoment, 'integer', 'Longitudinal Load × Rail Height',
+            `${longitudinal} × ${HT}`],
+        ['lateralOTM', 'Lateral OTM (kip-ft)', refs => `${refs.columnMoment}/12000`,
+            results.lateralOTM, 'decimal', 'Column Moment / 12,000',
+            `${n(results.columnMoment, 'integer')} / 12,000`],
+        ['longitudinalOTM', 'Longitudinal OTM (kip-ft)', refs => `${refs.foundationMoment}/12000`,
+            results.longitudinalOTM, 'decimal', 'Foundation Moment / 12,000',
+            `${n(results.foundationMoment, 'integer')} / 12,000`],
+        ['beamWeight', 'Beam Weight (lbs/ft)', null, analyzedBeam.weight, 'decimal', `${analyzedBeam.designation || ''} section property`, ''],
+        ['runwayBeamWeight', 'Runway Beam Weight (lbs)', refs => `${refs.beamWeight}*${I.supportCenters}`,
+            results.runwayBeamWeight, 'integer', 'Beam Weight × Support Centers',
+            `${n(analyzedBeam.weight)} × ${n(config.supportCenters)}`],
+        ['maxVerticalLoad', 'Max Vertical Load (lbs)',
+            refs => `${perCrane(refs, crane => `${crane.P}+${crane.C}+${crane.H}`)}+${refs.runwayBeamWeight}`,
+            results.maxVerticalLoad, 'integer', `P + C + H + Runway Beam Weight${columnNote}`,
+            `${perCraneText(crane => `${crane.P} + ${crane.C} + ${crane.H}`)} + ${n(results.runwayBeamWeight, 'integer')}`],
+        ['columnLoad', 'Column Load (kips)', refs => `(${refs.maxVerticalLoad}+2500)/1000`,
+            results.columnLoadFoundation, 'decimal', '(Max Vertical Load + 2,500) / 1,000',
+            `(${n(results.maxVerticalLoad, 'integer')} + 2,500) / 1,000`],
+        [],
+        ['STRUCTURAL CHECKS'],
+        ['momentOfInertia', 'Moment of Inertia I (in^4)', null, analyzedBeam.i, 'decimal', `${analyzedBeam.designation || ''} section property`, ''],
+        ['sectionModulus', 'Section Modulus S (in^3)', null, analyzedBeam.s, 'decimal', `${analyzedBeam.designation || ''} section property`, ''],
+        ['lateralDeflection', 'Lateral Deflection (in)', refs => `${refs.lateralLoad}*${refs.railHeightInches}^3/(3*29000000*${refs.momentOfInertia})`,
+            lateralDeflection, 'ratio', '(Lateral Load × H³) / (3 × E × I)',
+            `(${lateral} × ${HT}³) / (3 × 29,000,000 × ${n(analyzedBeam.i)})`],
+        ['lateralLimit', 'Lateral Deflection Limit (in)', refs => `${refs.railHeightInches}/${I.lateralDeflectionLimit}`,
+            railHeightInches / criteria.lateralDeflectionLimit, 'ratio', `H / ${lateralLimit}`,
+            `${HT} / ${lateralLimit}`],
+        ['longitudinalDeflection', 'Longitudinal Deflection (in)', refs => `${refs.longitudinalLoad}*${refs.railHeightInches}^3/(3*29000000*${refs.momentOfInertia})`,
+            longitudinalDeflection, 'ratio', '(Longitudinal Load × H³) / (3 × E × I)',
+            `(${longitudinal} × ${HT}³) / (3 × 29,000,000 × ${n(analyzedBeam.i)})`],
+        ['longitudinalLimit', 'Longitudinal Deflection Limit (in)', refs => `${refs.railHeightInches}/${I.longitudinalDeflectionLimit}`,
+            railHeightInches / criteria.longitudinalDeflectionLimit, 'ratio', `H / ${longitudinalLimit}`,
+            `${HT} / ${longitudinalLimit}`],
+        ['bendingStress', 'Bending Stress (psi)', refs => `${refs.lateralLoad}*${refs.railHeightInches}/${refs.sectionModulus}`,
+            results.lateralLoad * railHeightInches / analyzedBeam.s, 'integer', `(Lateral Load × H) / S, limit Fb = ${n(criteria.allowableStress, 'integer')} psi`,
+            `(${lateral} × ${HT}) / ${n(analyzedBeam.s)}`],
+        ['effectiveLength', 'Effective Length (ft)', () => `${I.railHeight}*IF(${I.freestanding}="Yes",2,0.5)`,
+            effectiveLength, 'decimal', 'Rail Height × 2.0 (freestanding) or 0.5 (braced)',
+            `${n(config.railHeight)} × ${config.freestanding ? '2.0' : '0.5'}`],
+        ['axialUnity', 'Axial Unity Ratio', refs => `${refs.maxVerticalLoad}/24000+${refs.effectiveLength}/43.2`,
+            results.maxVerticalLoad / 24000 + effectiveLength / 43.2, 'ratio', '(Axial Load / 24,000) + (Effective Length / 43.2), limit 1.0',
+            `(${n(results.maxVerticalLoad, 'integer')} / 24,000) + (${n(effectiveLength)} / 43.2)`]
     ];
 
-    // Add beam candidates
+    // First pass: cell address of every calculation
+    const refs = {};
+    calculations.forEach((row, index) => {
+        if (row.length > 1) refs[row[0]] = `$B$${index + 2}`;
+    });
+
+    const rows = [headerRow('Quantity', 'Value', 'Formula', 'Substituted', ...(isMetricUnits() ? ['SI Value', 'SI Unit'] : []))];
+    calculations.forEach(([key, label, formula, value, style, description, substituted]) => {
+        if (!label) {
+            rows.push(key ? [{ value: key, style: 'bold' }] : []);
+            return;
+        }
+        rows.push([
+            label,
+            { value: value, formula: formula ? formula(refs) : null, style: style },
+            description,
+            substituted,
+            ...siCells(value, CALCULATION_QUANTITIES[key])
+        ]);
+    });
+
+    return { name: 'Calculations', columns: [34, 16, 48, 48, 14, 10], rows: rows };
+}
+
+/**
+ * Candidates sheet: top beam candidates with headers
+ */
+function createCandidatesSheet() {
+    const rows = [headerRow('Rank', 'Designation', labelWithUnit('Weight', 'linearWeight'), labelWithUnit('Depth', 'smallLength'),
+        labelWithUnit('Capacity', 'force'), 'Utilization (%)', 'Est. Cost ($)', 'Status')];
+    const takeoffs = getCandidateTakeoffs();
+
     currentBeamCandidates.forEach((beam, index) => {
-        data.push([
+        rows.push([
             index + 1,
             beam.designation,
-            beam.weight?.toFixed(1) || 'N/A',
-            beam.capacity?.toLocaleString() || 'N/A',
-            beam.utilization?.toFixed(1) || 'N/A',
+            quantityCell(beam.weight, 'linearWeight', 'decimal'),
+            quantityCell(beam.depth, 'smallLength', 'decimal'),
+            quantityCell(beam.capacity, 'force', 'integer'),
+            { value: beam.utilization, style: 'decimal' },
+            { value: takeoffs[index]?.totalCost ?? null, style: 'integer' },
             index === selectedBeamIndex ? 'SELECTED' : 'Available'
         ]);
     });
 
-    return data;
+    return { name: 'Candidates', columns: [8, 16, 16, 12, 16, 16, 14, 12], rows: rows };
 }
 
 /**
@@ -462,7 +957,7 @@ function convertToCSV(data) {
     return data.map(row =>
         row.map(cell => {
             // Handle cells that might contain commas or quotes
-            const cellStr = String(cell || '');
+            const cellStr = String(cell ?? '');
             if (cellStr.includes(',') || cellStr.includes('"') || cellStr.includes('\n')) {
                 return '"' + cellStr.replace(/"/g, '""') + '"';
             }
@@ -475,7 +970,7 @@ function convertToCSV(data) {
  * Get beam options for the current configuration
  */
 async function getBeamOptions() {
-    if (!API_BASE) {
+    if (!isEngineAvailable()) {
         showError('❌ API endpoint not available');
         return;
     }
@@ -483,19 +978,36 @@ async function getBeamOptions() {
     try {
         const config = getFormData();
 
-        // Calculate ECL to get beam options
-        const kFactors = await getKFactors(config);
-        if (!kFactors) return;
+        // ECL of the crane arrangement governing the beam, to the form's design criteria
+        const validation = await requestValidation(config);
+        if (!validation.isValid) {
+            showError(`❌ ${cleanServerMessage(validation.error || validation.details) || 'Invalid configuration'}`);
+            return;
+        }
 
-        const ecl = kFactors.k1 * calculateMaxWheelLoad(config);
+        const ecl = validation.calculatedECL;
 
-        const response = await fetch(`${API_BASE}/beams?ecl=${ecl}&span=${config.supportCenters}&capped=${config.capped}&limit=5`);
+        // Included custom sections compete with the catalog beams, within the candidate filter
+        const request = withCandidateFilter(withCustomSections({ ecl: ecl, span: config.supportCenters, capped: config.capped }));
 
-        if (!response.ok) {
-            throw new Error(`Failed to get beam options: ${response.status}`);
+        let data;
+        if (useLocalEngine) {
+            data = BeamEngine.getBeamOptions(request);
+        } else {
+            const response = await fetch(`${API_BASE}/beams`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(request)
+            });
+
+            if (!response.ok) {
+                const errorBody = await response.json().catch(() => ({}));
+                throw new Error(errorBody.details || `Failed to get beam options: ${response.status}`);
+            }
+
+            data = await response.json();
         }
 
-        const data = await response.json();
         displayBeamCandidates(data.beams || [], ecl);
 
     } catch (error) {
@@ -505,22 +1017,35 @@ async function getBeamOptions() {
 }
 
 /**
- * Get K-factors for the configuration
+ * True when live re-analysis is switched on
  */
-async function getKFactors(config) {
-    try {
-        const wheelbaseSpanRatio = config.wheelBase / config.supportCenters;
-        const response = await fetch(`${API_BASE}/k-factors?wheelbaseSpanRatio=${wheelbaseSpanRatio}`);
+function isLiveUpdateEnabled() {
+    const liveToggle = document.getElementById('liveUpdate');
+    return Boolean(liveToggle && liveToggle.checked);
+}
 
-        if (!response.ok) {
-            throw new Error(`Failed to get K-factors: ${response.status}`);
+/**
+ * Debounce validation after a configuration change, then re-analyze live if the form is valid
+ */
+function scheduleLiveAnalysis() {
+    clearTimeout(liveAnalysisTimer);
+
+    liveAnalysisTimer = setTimeout(async () => {
+        const valid = await validateForm();
+        if (valid && isLiveUpdateEnabled() && isEngineAvailable()) {
+            analyze({ live: true });
         }
+    }, LIVE_ANALYSIS_DELAY_MS);
+}
 
-        return await response.json();
-    } catch (error) {
-        console.error('Error getting K-factors:', error);
-        return null;
-    }
+/**
+ * Validate and re-analyze as configuration inputs change
+ */
+function initializeLiveAnalysis() {
+    document.querySelectorAll('.form-grid input').forEach(input => {
+        const eventName = input.type === 'checkbox' ? 'change' : 'input';
+        input.addEventListener(eventName, scheduleLiveAnalysis);
+    });
 }
 
 /**
@@ -529,6 +1054,21 @@ async function getKFactors(config) {
 function initializeBeamCalculator() {
     console.log('🏗️ Initializing beam calculator features...');
 
+    // Units first: saved filters, prices and deep-link values are read in the selected system
+    initializeUnits();
+    initializeFormValidation();
+    initializeLiveAnalysis();
+    initializeParametricSweep();
+    initializeCalcReport();
+    initializeProjectManager();
+    initializeDeepLinks();
+    initializeSectionCatalog();
+    initializeCandidateFilter();
+    initializeRunwayTakeoff();
+    initializeFoundationReactions();
+    initializeSecondCrane();
+    initializeDesignCriteria();
+
     // Add keyboard shortcuts
     document.addEventListener('keydown', (e) => {
         if (e.ctrlKey && e.key === 'e') {
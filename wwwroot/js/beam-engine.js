@@ -0,0 +1,1177 @@
+// Beam Calculation Engine - client-side port of BeamCalculator.PerformFullAnalysis
+// Mirrors BeamSizerConfig, DataLoader and KFactorData so the page can run
+// without the API. Tables come from wwwroot/data/beam-tables.json, a snapshot
+// of GET /api/beamsizing/beam-tables.
+
+(function (root, factory) {
+    const engine = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = engine;
+    } else {
+        root.BeamEngine = engine;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const ELASTIC_MODULUS = 29000000.0;   // psi
+    const MAX_SWEEP_POINTS = 200;          // BeamSizingController.MaxSweepPoints
+    const MAX_CANDIDATE_COUNT = 20;        // CandidateFilter.MaxCount
+
+    let tables = null;
+    let uncappedLookup = {};
+    let cappedLookup = {};
+    let sortedUncapped = [];
+    let sortedCapped = [];
+    let spanIndex = {};
+
+    /**
+     * Error raised for invalid configuration values (mirrors ArgumentOutOfRangeException)
+     */
+    class ConfigurationError extends Error {
+        constructor(paramName, message) {
+            super(paramName ? `${message} (Parameter '${paramName}')` : message);
+            this.name = 'ConfigurationError';
+            this.paramName = paramName || null;
+        }
+    }
+
+    /**
+     * Load beam tables from a URL (browser) and index them
+     */
+    async function loadTables(url = '/data/beam-tables.json') {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load beam tables: ${response.status}`);
+        }
+        setTables(await response.json());
+        return tables;
+    }
+
+    /**
+     * Index an already-parsed beam table export
+     */
+    function setTables(data) {
+        tables = data;
+        uncappedLookup = Object.fromEntries(data.uncappedBeams.map(b => [b.designation, b]));
+        cappedLookup = Object.fromEntries(data.cappedBeams.map(b => [b.designation, b]));
+
+        // Array.prototype.sort is stable, matching LINQ OrderBy
+        sortedUncapped = [...data.uncappedBeams].sort((a, b) => a.weight - b.weight);
+        sortedCapped = [...data.cappedBeams].sort((a, b) => a.weight - b.weight);
+
+        spanIndex = {};
+        [data.uncappedCapacities, data.cappedCapacities].forEach(capacities => {
+            Object.entries(capacities).forEach(([designation, spans]) => {
+                spanIndex[designation] = Object.keys(spans).map(Number).sort((a, b) => a - b);
+            });
+        });
+    }
+
+    function isLoaded() {
+        return tables !== null;
+    }
+
+    function requireTables() {
+        if (!tables) {
+            throw new Error('Beam tables not loaded. Call BeamEngine.loadTables() first.');
+        }
+    }
+
+    /**
+     * Round half to even at the given precision (matches .NET Math.Round)
+     */
+    function roundHalfEven(value, digits) {
+        const power = Math.pow(10, digits);
+        const scaled = value * power;
+        let rounded = Math.round(scaled);
+        if (Math.abs(scaled % 1) === 0.5 && rounded % 2 !== 0) {
+            rounded -= 1;
+        }
+        return rounded / power;
+    }
+
+    /**
+     * Get K-factors for a wheelbase/support centers ratio (KFactorData.GetKFactors)
+     */
+    function getKFactors(ratio) {
+        requireTables();
+        const table = tables.kFactors;
+        const first = table[0];
+        const last = table[table.length - 1];
+
+        if (ratio <= first.ratio) return { k1: first.k1, k2: first.k2 };
+        if (ratio >= last.ratio) return { k1: last.k1, k2: last.k2 };
+
+        for (let i = 0; i < table.length - 1; i++) {
+            const lower = table[i];
+            const upper = table[i + 1];
+            if (lower.ratio <= ratio && ratio <= upper.ratio) {
+                const factor = (ratio - lower.ratio) / (upper.ratio - lower.ratio);
+                return {
+                    k1: roundHalfEven(lower.k1 + (upper.k1 - lower.k1) * factor, 3),
+                    k2: roundHalfEven(lower.k2 + (upper.k2 - lower.k2) * factor, 3)
+                };
+            }
+        }
+
+        return { k1: 1.5, k2: 1.5 };
+    }
+
+    /**
+     * Get tabulated capacity for an exact span (DataLoader.GetBeamCapacity)
+     */
+    function getBeamCapacity(designation, span, capped = false) {
+        requireTables();
+        const capacities = capped ? tables.cappedCapacities : tables.uncappedCapacities;
+        return capacities[designation]?.[span] || 0;
+    }
+
+    /**
+     * Interpolated capacity lookup (DataLoader.GetInterpolatedLoadCapacity)
+     */
+    function getInterpolatedLoadCapacity(designation, spanLength, capped = false) {
+        requireTables();
+        if (!designation || !designation.trim()) return 0;
+        if (spanLength <= 0) return 0;
+
+        const exactSpan = Math.round(spanLength);
+        if (Math.abs(spanLength - exactSpan) < 0.001) {
+            const exactCapacity = getBeamCapacity(designation, exactSpan, capped);
+            if (exactCapacity > 0) return exactCapacity;
+        }
+
+        const spans = spanIndex[designation];
+        if (!spans || spans.length === 0) return 0;
+        if (spanLength < spans[0] || spanLength > spans[spans.length - 1]) return 0;
+
+        const lowerSpan = Math.max(0, ...spans.filter(s => s <= spanLength));
+        const upperSpans = spans.filter(s => s >= spanLength);
+        const upperSpan = upperSpans.length > 0 ? Math.min(...upperSpans) : 0;
+
+        if (lowerSpan === 0 || upperSpan === 0 || lowerSpan === upperSpan) {
+            return lowerSpan > 0 ? getBeamCapacity(designation, lowerSpan, capped) : 0;
+        }
+
+        const lowerCapacity = getBeamCapacity(designation, lowerSpan, capped);
+        const upperCapacity = getBeamCapacity(designation, upperSpan, capped);
+        const factor = (spanLength - lowerSpan) / (upperSpan - lowerSpan);
+        return lowerCapacity + factor * (upperCapacity - lowerCapacity);
+    }
+
+    /**
+     * Capacity of a custom section from its own table (CustomSection.GetInterpolatedCapacity)
+     */
+    function getCustomSectionCapacity(section, spanLength) {
+        const spans = Object.keys(section.capacities).map(Number).sort((a, b) => a - b);
+        if (spanLength <= 0 || spans.length === 0) return 0;
+
+        const exactSpan = Math.round(spanLength);
+        if (Math.abs(spanLength - exactSpan) < 0.001 && section.capacities[exactSpan] > 0) {
+            return section.capacities[exactSpan];
+        }
+
+        if (spanLength < spans[0] || spanLength > spans[spans.length - 1]) return 0;
+
+        const lowerSpan = Math.max(...spans.filter(s => s <= spanLength));
+        const upperSpan = Math.min(...spans.filter(s => s >= spanLength));
+        if (lowerSpan === upperSpan) return section.capacities[lowerSpan];
+
+        const factor = (spanLength - lowerSpan) / (upperSpan - lowerSpan);
+        return section.capacities[lowerSpan] + factor * (section.capacities[upperSpan] - section.capacities[lowerSpan]);
+    }
+
+    /**
+     * Candidate capacity: custom sections use their own table (DataLoader.GetCandidateCapacity)
+     */
+    function getCandidateCapacity(beam, spanLength, capped = false) {
+        return beam.isCustom ?
+            getCustomSectionCapacity(beam, spanLength) :
+            getInterpolatedLoadCapacity(beam.designation, spanLength, capped);
+    }
+
+    /**
+     * Check a request's custom sections (CustomSection.ValidateLibrary); returns indexed copies
+     */
+    function validateCustomSections(sections) {
+        const seen = new Set();
+
+        return (sections || []).map(section => {
+            const custom = {
+                designation: String(section.designation ?? '').trim(),
+                depth: Number(section.depth || 0),
+                weight: Number(section.weight || 0),
+                area: Number(section.area || 0),
+                webThickness: Number(section.webThickness || 0),
+                flangeWidth: Number(section.flangeWidth || 0),
+                flangeThickness: Number(section.flangeThickness || 0),
+                flangeArea: Number(section.flangeArea || 0),
+                i: Number(section.i || 0),
+                s: Number(section.s || 0),
+                radiusOfGyration: Number(section.radiusOfGyration || 0),
+                flangeGage: Number(section.flangeGage || 0),
+                capped: Boolean(section.capped),
+                channel: section.channel || '',
+                capacities: Object.fromEntries(Object.entries(section.capacities || {}).map(([span, capacity]) => [Number(span), Number(capacity)])),
+                isCustom: true
+            };
+
+            if (custom.designation.length === 0)
+                throw new ConfigurationError('customSections', 'Custom section designation is required');
+            if (seen.has(`${custom.capped}:${custom.designation}`))
+                throw new ConfigurationError('customSections', `Custom section ${custom.designation} is defined more than once`);
+            seen.add(`${custom.capped}:${custom.designation}`);
+            if (findBeamByDesignation(custom.designation, custom.capped))
+                throw new ConfigurationError('customSections', `Custom section ${custom.designation} has the same designation as a catalog beam`);
+            if (custom.weight <= 0 || custom.i <= 0 || custom.s <= 0)
+                throw new ConfigurationError('customSections', `Custom section ${custom.designation} needs a positive weight, I and S`);
+
+            const entries = Object.entries(custom.capacities);
+            if (entries.length === 0 || entries.some(([span, capacity]) => !(Number(span) > 0) || !(capacity > 0)))
+                throw new ConfigurationError('customSections', `Custom section ${custom.designation} needs a capacity table with positive spans and capacities`);
+
+            return custom;
+        });
+    }
+
+    /**
+     * Trimmed designations without case-insensitive duplicates (first spelling kept)
+     */
+    function normalizeDesignations(designations) {
+        const seen = new Set();
+        return (designations || [])
+            .map(designation => String(designation ?? '').trim())
+            .filter(designation => {
+                const key = designation.toLowerCase();
+                if (designation.length === 0 || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    /**
+     * Check a request's candidate filter (CandidateFilter.Validate); returns the default (top 5, no limits) when absent
+     */
+    function validateCandidateFilter(filter) {
+        const optional = value => value === null || value === undefined ? null : Number(value);
+        const checked = {
+            minDepth: optional(filter?.minDepth),
+            maxDepth: optional(filter?.maxDepth),
+            maxWeight: optional(filter?.maxWeight),
+            excludedDesignations: normalizeDesignations(filter?.excludedDesignations),
+            stockOnly: Boolean(filter?.stockOnly),
+            stockDesignations: normalizeDesignations(filter?.stockDesignations),
+            count: filter?.count ?? 5
+        };
+
+        if (!Number.isInteger(checked.count) || checked.count < 1 || checked.count > MAX_CANDIDATE_COUNT)
+            throw new ConfigurationError('candidateFilter', `Candidate count must be between 1 and ${MAX_CANDIDATE_COUNT}`);
+        if ((checked.minDepth !== null && checked.minDepth <= 0) || (checked.maxDepth !== null && checked.maxDepth <= 0))
+            throw new ConfigurationError('candidateFilter', 'Depth limits must be positive');
+        if (checked.minDepth !== null && checked.maxDepth !== null && checked.minDepth > checked.maxDepth)
+            throw new ConfigurationError('candidateFilter', 'Minimum depth cannot exceed the maximum depth');
+        if (checked.maxWeight !== null && checked.maxWeight <= 0)
+            throw new ConfigurationError('candidateFilter', 'Maximum weight must be positive');
+        if (checked.stockOnly && checked.stockDesignations.length === 0)
+            throw new ConfigurationError('candidateFilter', 'Stock-only mode needs at least one stock designation');
+
+        return checked;
+    }
+
+    /**
+     * True when any limit can remove a beam (CandidateFilter.IsRestrictive)
+     */
+    function isRestrictiveFilter(filter) {
+        return Boolean(filter) && (filter.minDepth !== null || filter.maxDepth !== null || filter.maxWeight !== null ||
+            filter.excludedDesignations.length > 0 || filter.stockOnly);
+    }
+
+    /**
+     * True when the beam may be ranked as a candidate (CandidateFilter.Allows)
+     */
+    function filterAllows(filter, beam) {
+        const hasDepthLimit = filter.minDepth !== null || filter.maxDepth !== null;
+        const listed = list => list.some(designation => designation.toLowerCase() === beam.designation.toLowerCase());
+
+        if (hasDepthLimit && !(beam.depth > 0)) return false;
+        if (filter.minDepth !== null && beam.depth < filter.minDepth) return false;
+        if (filter.maxDepth !== null && beam.depth > filter.maxDepth) return false;
+        if (filter.maxWeight !== null && beam.weight > filter.maxWeight) return false;
+        if (listed(filter.excludedDesignations)) return false;
+        if (filter.stockOnly && !listed(filter.stockDesignations)) return false;
+        return true;
+    }
+
+    /**
+     * Find the lightest adequate beams (DataLoader.FindTopAdequateBeams)
+     */
+    function findTopAdequateBeams(requiredCapacity, spanLength, capped = false, topN = 5, customSections = null, filter = null) {
+        requireTables();
+        if (requiredCapacity <= 0 || spanLength <= 0) return [];
+
+        const sortedBeams = capped ? sortedCapped : sortedUncapped;
+        const baseSpan = Math.floor(spanLength);
+        const spanRange = { min: Math.max(baseSpan - 2, 10), max: baseSpan + 4 };
+        const adequate = [];
+
+        for (const beam of sortedBeams) {
+            if (filter && !filterAllows(filter, beam)) continue;
+
+            const spans = spanIndex[beam.designation];
+            if (!spans) continue;
+            if (!spans.some(s => s >= spanRange.min && s <= spanRange.max)) continue;
+
+            const capacity = getInterpolatedLoadCapacity(beam.designation, spanLength, capped);
+            if (capacity >= requiredCapacity) {
+                adequate.push(beam);
+                if (adequate.length >= topN * 2) break;
+            }
+        }
+
+        // Custom tables may be sparse, so no span range pre-filter
+        (customSections || []).filter(custom => custom.capped === capped).forEach(custom => {
+            if (filter && !filterAllows(filter, custom)) return;
+            if (getCustomSectionCapacity(custom, spanLength) >= requiredCapacity) {
+                adequate.push(custom);
+            }
+        });
+
+        return adequate.sort((a, b) => a.weight - b.weight).slice(0, topN);
+    }
+
+    /**
+     * Look up a beam by designation (DataLoader.FindBeamByDesignation)
+     */
+    function findBeamByDesignation(designation, capped = false) {
+        requireTables();
+        if (!designation || !designation.trim()) return null;
+        const lookup = capped ? cappedLookup : uncappedLookup;
+        return lookup[designation.trim()] || null;
+    }
+
+    // CMAA 70/74 crane service classes (DesignCriteria.ServiceClasses)
+    const SERVICE_CLASSES = {
+        A: 'Standby or infrequent service',
+        B: 'Light service',
+        C: 'Moderate service',
+        D: 'Heavy service',
+        E: 'Severe service',
+        F: 'Continuous severe service'
+    };
+
+    // Profile of each service class when a request names the class but no profile (DesignCriteria.ServiceClassProfiles)
+    const SERVICE_CLASS_PROFILES = { A: 'standard', B: 'standard', C: 'standard', D: 'heavy', E: 'severe', F: 'severe' };
+
+    // Built-in design-criteria profiles (DesignCriteria.Profiles); standard holds the limits used before profiles existed
+    const STANDARD_CRITERIA = {
+        serviceClass: null,
+        profile: 'standard',
+        name: 'Standard',
+        lateralLoadPercent: 20,
+        longitudinalLoadPercent: 10,
+        impactRule: 'hoistSpeed',
+        impactPercent: 15,
+        lateralDeflectionLimit: 450,
+        longitudinalDeflectionLimit: 500,
+        allowableStress: 24000
+    };
+    const DESIGN_PROFILES = [
+        STANDARD_CRITERIA,
+        { ...STANDARD_CRITERIA, profile: 'heavy', name: 'Heavy service', lateralDeflectionLimit: 600, longitudinalDeflectionLimit: 600, allowableStress: 22000 },
+        { ...STANDARD_CRITERIA, profile: 'severe', name: 'Severe service', impactRule: 'fixed', impactPercent: 25,
+            lateralDeflectionLimit: 800, longitudinalDeflectionLimit: 800, allowableStress: 20000 }
+    ];
+
+    /**
+     * Resolved criteria with the service class description, in the API's property order
+     */
+    function withServiceClassName(criteria) {
+        return { ...criteria, serviceClassName: criteria.serviceClass ? SERVICE_CLASSES[criteria.serviceClass] : null };
+    }
+
+    /**
+     * Criteria of a request (DesignCriteria.Resolve): a named profile with the request's service class,
+     * or the request's own values for a custom profile; custom values left out take the standard values.
+     * Without a profile the service class picks one.
+     */
+    function resolveDesignCriteria(request) {
+        if (!request) return withServiceClassName(STANDARD_CRITERIA);
+
+        const serviceClass = typeof request.serviceClass === 'string' && request.serviceClass.trim() ?
+            request.serviceClass.trim().toUpperCase() : null;
+        if (serviceClass !== null && !SERVICE_CLASSES[serviceClass])
+            throw new ConfigurationError('designCriteria.serviceClass', 'Service class must be one of A, B, C, D, E or F');
+
+        const profile = typeof request.profile === 'string' && request.profile.trim() ? request.profile.trim().toLowerCase() :
+            serviceClass !== null ? SERVICE_CLASS_PROFILES[serviceClass] : 'standard';
+        if (profile !== 'custom') {
+            const named = DESIGN_PROFILES.find(candidate => candidate.profile === profile);
+            if (!named)
+                throw new ConfigurationError('designCriteria.profile', `Unknown design criteria profile '${request.profile}'`);
+            return withServiceClassName({ ...named, serviceClass: serviceClass });
+        }
+
+        const value = key => request[key] === undefined || request[key] === null ? STANDARD_CRITERIA[key] : Number(request[key]);
+        const name = typeof request.name === 'string' ? request.name.trim() : '';
+        const criteria = {
+            serviceClass: serviceClass,
+            profile: 'custom',
+            name: name || 'Custom',
+            lateralLoadPercent: value('lateralLoadPercent'),
+            longitudinalLoadPercent: value('longitudinalLoadPercent'),
+            impactRule: request.impactRule === undefined ? STANDARD_CRITERIA.impactRule : request.impactRule,
+            impactPercent: value('impactPercent'),
+            lateralDeflectionLimit: value('lateralDeflectionLimit'),
+            longitudinalDeflectionLimit: value('longitudinalDeflectionLimit'),
+            allowableStress: value('allowableStress')
+        };
+
+        if (name.length > 60)
+            throw new ConfigurationError('designCriteria.name', 'Profile name cannot be longer than 60 characters');
+        if (!(criteria.lateralLoadPercent > 0 && criteria.lateralLoadPercent <= 100))
+            throw new ConfigurationError('designCriteria.lateralLoadPercent', 'Lateral load must be between 0 and 100% of capacity plus hoist/trolley weight');
+        if (!(criteria.longitudinalLoadPercent > 0 && criteria.longitudinalLoadPercent <= 100))
+            throw new ConfigurationError('designCriteria.longitudinalLoadPercent', 'Longitudinal load must be between 0 and 100% of the max wheel load');
+        if (criteria.impactRule !== 'hoistSpeed' && criteria.impactRule !== 'fixed')
+            throw new ConfigurationError('designCriteria.impactRule', 'Impact rule must be hoistSpeed or fixed');
+        if (!(criteria.impactPercent >= 0 && criteria.impactPercent <= 100))
+            throw new ConfigurationError('designCriteria.impactPercent', 'Impact must be between 0 and 100% of capacity');
+        if (!(criteria.lateralDeflectionLimit >= 100 && criteria.lateralDeflectionLimit <= 2000))
+            throw new ConfigurationError('designCriteria.lateralDeflectionLimit', 'Lateral deflection limit must be between L/100 and L/2000');
+        if (!(criteria.longitudinalDeflectionLimit >= 100 && criteria.longitudinalDeflectionLimit <= 2000))
+            throw new ConfigurationError('designCriteria.longitudinalDeflectionLimit', 'Longitudinal deflection limit must be between L/100 and L/2000');
+        if (!(criteria.allowableStress > 0 && criteria.allowableStress <= 50000))
+            throw new ConfigurationError('designCriteria.allowableStress', 'Allowable stress must be between 0 and 50,000 psi');
+
+        return withServiceClassName(criteria);
+    }
+
+    /**
+     * Impact factor on rated capacity for a hoist speed (DesignCriteria.CalculateImpactFactor)
+     */
+    function calculateImpactFactor(criteria, hoistSpeed) {
+        if (criteria.impactRule === 'hoistSpeed' && hoistSpeed > 0)
+            return (0.005 * hoistSpeed) + 1;
+        return 1 + criteria.impactPercent / 100.0;
+    }
+
+    /**
+     * Validate inputs in the same order as BeamSizerConfig.ValidateInputs
+     */
+    function validateInputs(c) {
+        if (c.ratedCapacity <= 0)
+            throw new ConfigurationError('ratedCapacity', 'Rated capacity must be positive');
+        if (c.ratedCapacity > 80000)
+            throw new ConfigurationError('ratedCapacity', 'Rated capacity exceeds typical Beam limits (80,000 lbs)');
+        if (c.weightHoistTrolley <= 0)
+            throw new ConfigurationError('weightHoistTrolley', 'Hoist/trolley weight must be positive');
+        if (c.weightBeam <= 0)
+            throw new ConfigurationError('weightBeam', 'Beam weight must be positive');
+        if (c.numCols <= 1)
+            throw new ConfigurationError('numCols', 'Number of columns must be at least 2');
+        if (c.railHeight <= 0 || c.railHeight > 100)
+            throw new ConfigurationError('railHeight', 'Rail height must be between 0 and 100 feet');
+        if (c.wheelBase <= 0 || c.wheelBase > 50)
+            throw new ConfigurationError('wheelBase', 'Wheelbase must be between 0 and 50 feet');
+        if (c.supportCenters <= 0 || c.supportCenters > 150)
+            throw new ConfigurationError('supportCenters', 'Support centers must be between 0 and 150 feet');
+        if (c.bridgeSpan <= 0 || c.bridgeSpan > 120)
+            throw new ConfigurationError('bridgeSpan', 'Span length must be between 0 and 120 feet');
+        if (c.hoistSpeed < 0 || c.hoistSpeed > 500)
+            throw new ConfigurationError('hoistSpeed', 'Hoist speed must be between 0 and 500 ft/min');
+        if (c.wheelBase > c.supportCenters)
+            throw new ConfigurationError('wheelBase', 'Wheelbase cannot be greater than support centers');
+        if (c.railHeight < 8)
+            throw new ConfigurationError('railHeight', 'Rail height should be at least 8 feet for practical Beam operation');
+    }
+
+    /**
+     * Build a configuration with derived values (BeamSizerConfig constructor); criteria default to the standard profile
+     */
+    function createConfig(request, criteria = null) {
+        const input = {
+            ratedCapacity: Number(request.ratedCapacity),
+            weightHoistTrolley: Number(request.weightHoistTrolley),
+            girderWeight: Number(request.girderWeight),
+            panelWeight: Number(request.panelWeight),
+            endTruckWeight: Number(request.endTruckWeight),
+            numCols: request.numCols === undefined ? 2 : Number(request.numCols),
+            railHeight: Number(request.railHeight),
+            wheelBase: Number(request.wheelBase),
+            supportCenters: Number(request.supportCenters),
+            freestanding: Boolean(request.freestanding),
+            capped: Boolean(request.capped),
+            hoistSpeed: Number(request.hoistSpeed || 0)
+        };
+        input.bridgeSpan = input.supportCenters; // Controller uses supportCenters for bridgeSpan
+        input.weightBeam = input.girderWeight + input.panelWeight + input.endTruckWeight;
+
+        validateInputs(input);
+
+        const config = { ...input };
+        config.criteria = criteria || resolveDesignCriteria(null);
+        config.impactFactor = calculateImpactFactor(config.criteria, input.hoistSpeed);
+        config.wheelbaseSpanRatio = input.wheelBase / input.supportCenters;
+        config.maxWheelLoad = ((config.impactFactor * input.ratedCapacity) / 2.0) +
+            (input.weightHoistTrolley / 2.0) +
+            (input.weightBeam / 4.0);
+        config.lateralLoad = config.criteria.lateralLoadPercent / 100.0 * (input.ratedCapacity + input.weightHoistTrolley);
+        config.longitudinalLoad = config.criteria.longitudinalLoadPercent / 100.0 * config.maxWheelLoad;
+        config.railHeightInches = input.railHeight * 12.0;
+        config.effectiveLengthFactor = input.freestanding ? 2.0 : 0.5;
+        config.effectiveLength = input.railHeight * config.effectiveLengthFactor;
+        return config;
+    }
+
+    /**
+     * Configuration of a second crane on the runway's configuration (SecondCrane.CreateConfig)
+     */
+    function createSecondCraneConfig(crane, runway) {
+        try {
+            return createConfig({
+                ratedCapacity: crane.ratedCapacity || 0,
+                weightHoistTrolley: crane.weightHoistTrolley || 0,
+                girderWeight: crane.girderWeight || 0,
+                panelWeight: crane.panelWeight || 0,
+                endTruckWeight: crane.endTruckWeight || 0,
+                numCols: runway.numCols,
+                railHeight: runway.railHeight,
+                wheelBase: crane.wheelBase || 0,
+                supportCenters: runway.supportCenters,
+                freestanding: runway.freestanding,
+                capped: runway.capped,
+                hoistSpeed: runway.hoistSpeed
+            }, runway.criteria);
+        } catch (error) {
+            if (!(error instanceof ConfigurationError)) throw error;
+            const message = error.message.replace(` (Parameter '${error.paramName}')`, '');
+            throw new ConfigurationError(`secondCrane.${error.paramName}`, `Second crane: ${message}`);
+        }
+    }
+
+    /**
+     * Check a request's second crane against the runway; returns it, or null for a single crane (SecondCrane.Validate)
+     */
+    function validateSecondCrane(crane, runway) {
+        if (!crane) return null;
+
+        createSecondCraneConfig(crane, runway);
+
+        if (Number(crane.bumperDistance || 0) < 0)
+            throw new ConfigurationError('secondCrane.bumperDistance', 'Second crane: Bumper-to-bumper distance cannot be negative');
+
+        return crane;
+    }
+
+    /**
+     * Bridge, trolley and rated load of one crane on one runway, and the impact on its rated load (lbs)
+     */
+    function craneVerticalLoad(config) {
+        return config.ratedCapacity + config.weightHoistTrolley + config.weightBeam / 2.0;
+    }
+
+    function craneImpactLoad(config) {
+        return (config.impactFactor - 1.0) * config.ratedCapacity;
+    }
+
+    function craneWeight(config) {
+        return config.ratedCapacity + config.weightBeam + config.weightHoistTrolley;
+    }
+
+    /**
+     * Largest moment under a wheel (lb-ft) of a simple span with the wheels shifted by shift (ft)
+     */
+    function spanMoment(wheels, span, shift) {
+        const tolerance = 1e-9;
+        const onSpan = wheels
+            .map(wheel => ({ x: wheel.position + shift, load: wheel.load }))
+            .filter(wheel => wheel.x >= -tolerance && wheel.x <= span + tolerance);
+
+        const leftReaction = onSpan.reduce((sum, wheel) => sum + wheel.load * (span - wheel.x), 0) / span;
+        let maxMoment = 0.0;
+        for (const wheel of onSpan) {
+            const moment = leftReaction * wheel.x -
+                onSpan.filter(other => other.x < wheel.x).reduce((sum, other) => sum + other.load * (wheel.x - other.x), 0);
+            maxMoment = Math.max(maxMoment, moment);
+        }
+
+        return maxMoment;
+    }
+
+    /**
+     * Largest simple-span moment of rolling wheel loads and the wheel shift where it occurs
+     * (BeamCalculator.MaxSpanMoment, same candidate order)
+     */
+    function maxSpanMoment(wheels, span) {
+        const shifts = [];
+        for (const wheel of wheels) {
+            shifts.push(-wheel.position);
+            shifts.push(span - wheel.position);
+        }
+
+        for (let first = 0; first < wheels.length; first++) {
+            for (let last = first; last < wheels.length; last++) {
+                let total = 0.0;
+                let moment = 0.0;
+                for (let i = first; i <= last; i++) {
+                    total += wheels[i].load;
+                    moment += wheels[i].load * wheels[i].position;
+                }
+
+                const resultant = moment / total;
+                for (let critical = first; critical <= last; critical++) {
+                    shifts.push((span - wheels[critical].position - resultant) / 2.0);
+                }
+            }
+        }
+
+        let maxMoment = 0.0;
+        let maxShift = shifts[0];
+        for (const shift of shifts) {
+            const moment = spanMoment(wheels, span, shift);
+            if (moment > maxMoment) {
+                maxMoment = moment;
+                maxShift = shift;
+            }
+        }
+
+        return { moment: maxMoment, shift: maxShift };
+    }
+
+    /**
+     * Share of a wheel load at x (ft from the column) carried by the column between two simple spans
+     */
+    function columnInfluence(x, span) {
+        return Math.max(0.0, 1.0 - Math.abs(x) / span);
+    }
+
+    /**
+     * Wheel shift giving the largest reaction at a column between two spans (BeamCalculator.MaxColumnReactionShift)
+     */
+    function maxColumnReactionShift(wheels, span) {
+        let maxReaction = -1.0;
+        let maxShift = 0.0;
+        for (const wheel of wheels) {
+            for (const column of [0.0, -span, span]) {
+                const shift = column - wheel.position;
+                const reaction = wheels.reduce((sum, other) => sum + other.load * columnInfluence(other.position + shift, span), 0);
+                if (reaction > maxReaction) {
+                    maxReaction = reaction;
+                    maxShift = shift;
+                }
+            }
+        }
+
+        return maxShift;
+    }
+
+    function createSingleCraneArrangement(config, crane) {
+        const kFactors = getKFactors(config.wheelbaseSpanRatio);
+        const wheelShare = 1.0 - config.wheelBase / (2.0 * config.supportCenters);
+        const wheels = [
+            { position: 0.0, load: config.maxWheelLoad },
+            { position: config.wheelBase, load: config.maxWheelLoad }
+        ];
+        const shift = maxSpanMoment(wheels, config.supportCenters).shift;
+
+        return {
+            name: `Crane ${crane}`,
+            cranes: [crane],
+            ecl: kFactors.k1 * config.maxWheelLoad,
+            maxWheelLoad: config.maxWheelLoad,
+            columnVertical: wheelShare * craneVerticalLoad(config),
+            columnImpact: wheelShare * craneImpactLoad(config),
+            lateralLoad: config.lateralLoad,
+            longitudinalLoad: config.longitudinalLoad,
+            craneWeight: craneWeight(config),
+            wheelPositions: wheels.map(wheel => wheel.position + shift),
+            wheelLoads: wheels.map(wheel => wheel.load),
+            governsBeam: false,
+            governsColumns: false
+        };
+    }
+
+    function createCombinedArrangement(first, second, bumperDistance) {
+        const span = first.supportCenters;
+        const secondStart = first.wheelBase + bumperDistance;
+        const wheels = [
+            { position: 0.0, load: first.maxWheelLoad },
+            { position: first.wheelBase, load: first.maxWheelLoad },
+            { position: secondStart, load: second.maxWheelLoad },
+            { position: secondStart + second.wheelBase, load: second.maxWheelLoad }
+        ];
+
+        const { moment, shift } = maxSpanMoment(wheels, span);
+        const reactionShift = maxColumnReactionShift(wheels, span);
+        const craneShare = firstWheel =>
+            (columnInfluence(wheels[firstWheel].position + reactionShift, span) +
+             columnInfluence(wheels[firstWheel + 1].position + reactionShift, span)) / 2.0;
+        const firstShare = craneShare(0);
+        const secondShare = craneShare(2);
+
+        return {
+            name: 'Cranes 1 + 2',
+            cranes: [1, 2],
+            ecl: 4.0 * moment / span,
+            maxWheelLoad: Math.max(first.maxWheelLoad, second.maxWheelLoad),
+            columnVertical: firstShare * craneVerticalLoad(first) + secondShare * craneVerticalLoad(second),
+            columnImpact: firstShare * craneImpactLoad(first) + secondShare * craneImpactLoad(second),
+            lateralLoad: first.lateralLoad + second.lateralLoad,
+            longitudinalLoad: first.longitudinalLoad + second.longitudinalLoad,
+            craneWeight: craneWeight(first) + craneWeight(second),
+            wheelPositions: wheels.map(wheel => wheel.position + shift),
+            wheelLoads: wheels.map(wheel => wheel.load),
+            governsBeam: false,
+            governsColumns: false
+        };
+    }
+
+    /**
+     * Loads of each crane arrangement with the ones governing the beam and the columns flagged
+     * (BeamCalculator.FindCraneArrangements)
+     */
+    function findCraneArrangements(config, secondCrane = null) {
+        const arrangements = [createSingleCraneArrangement(config, 1)];
+
+        if (secondCrane) {
+            const second = createSecondCraneConfig(secondCrane, config);
+            arrangements.push(createSingleCraneArrangement(second, 2));
+            arrangements.push(createCombinedArrangement(config, second, Number(secondCrane.bumperDistance || 0)));
+        }
+
+        const exceeds = (value, governing) => value > governing + 1e-9 * Math.abs(governing);
+        const columnReaction = arrangement => arrangement.columnVertical + arrangement.columnImpact;
+
+        arrangements.reduce((governing, next) => exceeds(next.ecl, governing.ecl) ? next : governing).governsBeam = true;
+        arrangements.reduce((governing, next) =>
+            exceeds(columnReaction(next), columnReaction(governing)) ? next : governing).governsColumns = true;
+
+        return arrangements;
+    }
+
+    /**
+     * Computed value, limit and unity ratio for one check (StructuralCheck)
+     */
+    function createCheck(value, limit, unit, criterion) {
+        const ratio = value / limit;
+        return {
+            value: value,
+            limit: limit,
+            unit: unit,
+            criterion: criterion,
+            ratio: ratio,
+            margin: 1.0 - ratio,
+            pass: value < limit
+        };
+    }
+
+    /**
+     * Deflection limit n of L/n with up to two decimals (C# format "0.##")
+     */
+    function formatLimit(limit) {
+        return String(Number(limit.toFixed(2)));
+    }
+
+    function checkLateralDeflection(config, beam, lateralLoad) {
+        const deflection = (lateralLoad * Math.pow(config.railHeightInches, 3)) / (3.0 * ELASTIC_MODULUS * beam.i);
+        const limit = config.criteria.lateralDeflectionLimit;
+        return createCheck(deflection, config.railHeightInches / limit, 'in', `L/${formatLimit(limit)}`);
+    }
+
+    function checkLongitudinalDeflection(config, beam, longitudinalLoad) {
+        const deflection = (longitudinalLoad * Math.pow(config.railHeightInches, 3)) / (3.0 * ELASTIC_MODULUS * beam.i);
+        const limit = config.criteria.longitudinalDeflectionLimit;
+        return createCheck(deflection, config.railHeightInches / limit, 'in', `L/${formatLimit(limit)}`);
+    }
+
+    function checkBendingStress(config, beam, lateralLoad) {
+        const stress = (lateralLoad * config.railHeightInches) / beam.s;
+        return createCheck(stress, config.criteria.allowableStress, 'psi', 'Fb');
+    }
+
+    function checkAxialUnity(config, axialLoad) {
+        const unityRatio = (axialLoad / 24000.0) + (config.effectiveLength / 43.2);
+        return createCheck(unityRatio, 1.0, '', 'fa/Fa + fe/Fe');
+    }
+
+    // Standard crane runway combinations (LoadCombination.Standard): factors on D, Cvs + Cvi, Css, Cls
+    const LOAD_COMBINATIONS = [
+        { name: 'D', method: 'ASD', dead: 1.0, craneVertical: 0.0, lateral: 0.0, longitudinal: 0.0 },
+        { name: 'D + Cvs + Cvi', method: 'ASD', dead: 1.0, craneVertical: 1.0, lateral: 0.0, longitudinal: 0.0 },
+        { name: 'D + Cvs + Cvi + Css', method: 'ASD', dead: 1.0, craneVertical: 1.0, lateral: 1.0, longitudinal: 0.0 },
+        { name: 'D + Cvs + Cvi + Cls', method: 'ASD', dead: 1.0, craneVertical: 1.0, lateral: 0.0, longitudinal: 1.0 },
+        { name: '1.4D', method: 'LRFD', dead: 1.4, craneVertical: 0.0, lateral: 0.0, longitudinal: 0.0 },
+        { name: '1.2D + 1.6(Cvs + Cvi)', method: 'LRFD', dead: 1.2, craneVertical: 1.6, lateral: 0.0, longitudinal: 0.0 },
+        { name: '1.2D + 1.6(Cvs + Cvi + Css)', method: 'LRFD', dead: 1.2, craneVertical: 1.6, lateral: 1.6, longitudinal: 0.0 },
+        { name: '1.2D + 1.6(Cvs + Cvi + Cls)', method: 'LRFD', dead: 1.2, craneVertical: 1.6, lateral: 0.0, longitudinal: 1.6 }
+    ];
+
+    /**
+     * Reactions at each column of one runway line with the cranes of the arrangement governing the
+     * columns at the column and trolleys at the near end (BeamCalculator.CalculateColumnReactions).
+     * Kips, kip-ft and feet.
+     */
+    function calculateColumnReactions(config, beam, loads) {
+        const lateral = loads.lateralLoad / 1000.0;
+        const longitudinal = loads.longitudinalLoad / 1000.0;
+
+        const reactions = [];
+        for (let column = 1; column <= config.numCols; column++) {
+            const isEnd = column === 1 || column === config.numCols;
+            const tributaryLength = isEnd ? config.supportCenters / 2.0 : config.supportCenters;
+
+            const reaction = {
+                column: column,
+                position: (column - 1) * config.supportCenters,
+                isEndColumn: isEnd,
+                tributaryLength: tributaryLength,
+                dead: beam.weight * tributaryLength / 1000.0,
+                craneVertical: loads.columnVertical / 1000.0,
+                impact: loads.columnImpact / 1000.0,
+                lateral: lateral,
+                longitudinal: longitudinal,
+                lateralMoment: lateral * config.railHeight,
+                longitudinalMoment: longitudinal * config.railHeight,
+                combinations: []
+            };
+
+            reaction.combinations = LOAD_COMBINATIONS.map(combination => ({
+                combination: combination.name,
+                method: combination.method,
+                vertical: combination.dead * reaction.dead +
+                    combination.craneVertical * (reaction.craneVertical + reaction.impact),
+                lateral: combination.lateral * reaction.lateral,
+                longitudinal: combination.longitudinal * reaction.longitudinal,
+                lateralMoment: combination.lateral * reaction.lateralMoment,
+                longitudinalMoment: combination.longitudinal * reaction.longitudinalMoment
+            }));
+
+            reactions.push(reaction);
+        }
+
+        return reactions;
+    }
+
+    /**
+     * Serialize a beam the way the API does (declared BeamProperties members only)
+     */
+    function toBeamProperties(beam) {
+        return {
+            designation: beam.designation,
+            depth: beam.depth,
+            weight: beam.weight,
+            area: beam.area,
+            webThickness: beam.webThickness,
+            flangeWidth: beam.flangeWidth,
+            flangeThickness: beam.flangeThickness,
+            flangeArea: beam.flangeArea,
+            i: beam.i,
+            s: beam.s,
+            radiusOfGyration: beam.radiusOfGyration,
+            flangeGage: beam.flangeGage
+        };
+    }
+
+    /**
+     * Full analysis (BeamCalculator.PerformFullAnalysis). Returns the same shape as the API results.
+     */
+    function performFullAnalysis(config, selectedBeamOverride = null, customSections = null, filter = null, secondCrane = null) {
+        const kFactors = getKFactors(config.wheelbaseSpanRatio);
+        const craneArrangements = findCraneArrangements(config, secondCrane);
+        const beamLoads = craneArrangements.find(arrangement => arrangement.governsBeam);
+        const columnLoads = craneArrangements.find(arrangement => arrangement.governsColumns);
+        const ecl = beamLoads.ecl;
+        const topCandidates = findTopAdequateBeams(ecl, config.bridgeSpan, config.capped, filter?.count ?? 5, customSections, filter);
+        const recommendedBeam = topCandidates[0];
+
+        if (!recommendedBeam && isRestrictiveFilter(filter)) {
+            throw new ConfigurationError('candidateFilter', `No adequate beam passes the candidate filters for ECL=${ecl.toFixed(0)} lbs and span=${config.bridgeSpan.toFixed(1)} ft. ` +
+                'Relax the depth, weight, excluded or stock limits.');
+        }
+
+        if (!recommendedBeam) {
+            throw new Error(`Analysis failed: No adequate beam found for ECL=${ecl.toFixed(0)} lbs and span=${config.bridgeSpan.toFixed(1)} ft. ` +
+                `Consider using a ${config.capped ? 'larger' : 'capped'} beam system or reducing loads.`);
+        }
+
+        const selectedBeam = selectedBeamOverride || recommendedBeam;
+        const runwayBeamWeight = selectedBeam.weight * config.bridgeSpan;
+        const columnMoment = config.railHeightInches * columnLoads.lateralLoad;
+        const foundationMoment = config.railHeightInches * columnLoads.longitudinalLoad;
+        const maxVerticalLoad = columnLoads.craneWeight + runwayBeamWeight;
+        const lateralDeflectionCheck = checkLateralDeflection(config, selectedBeam, columnLoads.lateralLoad);
+        const longitudinalDeflectionCheck = checkLongitudinalDeflection(config, selectedBeam, columnLoads.longitudinalLoad);
+        const stressCheck = checkBendingStress(config, selectedBeam, columnLoads.lateralLoad);
+        const axialCheck = checkAxialUnity(config, maxVerticalLoad);
+
+        const results = {
+            k1: kFactors.k1,
+            k2: kFactors.k2,
+            selectedBeam: toBeamProperties(selectedBeam),
+            isManualSelection: selectedBeamOverride !== null && selectedBeamOverride.designation !== recommendedBeam.designation,
+            topBeamCandidates: topCandidates.map(toBeamProperties),
+            maxWheelLoad: Math.max(...craneArrangements.map(arrangement => arrangement.maxWheelLoad)),
+            runwayBeamWeight: runwayBeamWeight,
+            lateralLoad: columnLoads.lateralLoad,
+            longitudinalLoad: columnLoads.longitudinalLoad,
+            columnMoment: columnMoment,
+            foundationMoment: foundationMoment,
+            lateralOTM: columnMoment / (1000.0 * 12.0),
+            longitudinalOTM: foundationMoment / (1000.0 * 12.0),
+            maxVerticalLoad: maxVerticalLoad,
+            columnLoadFoundation: (maxVerticalLoad + 2500) / 1000.0,
+            columnReactions: calculateColumnReactions(config, selectedBeam, columnLoads),
+            craneArrangements: craneArrangements,
+            lateralDeflectionPass: lateralDeflectionCheck.pass,
+            longitudinalDeflectionPass: longitudinalDeflectionCheck.pass,
+            stressCheckPass: stressCheck.pass,
+            axialCheckPass: axialCheck.pass,
+            overallPass: false,
+            lateralDeflectionCheck: lateralDeflectionCheck,
+            longitudinalDeflectionCheck: longitudinalDeflectionCheck,
+            stressCheck: stressCheck,
+            axialCheck: axialCheck,
+            ecl: ecl,
+            wheelbaseSpanRatio: config.wheelbaseSpanRatio,
+            impactFactor: config.impactFactor,
+            designCriteria: config.criteria,
+            analysisDate: new Date().toISOString(),
+            girderWeight: config.girderWeight,
+            panelWeight: config.panelWeight,
+            endTruckWeight: config.endTruckWeight,
+            totalBeamWeight: config.weightBeam
+        };
+
+        results.overallPass = results.lateralDeflectionPass &&
+            results.longitudinalDeflectionPass &&
+            results.stressCheckPass &&
+            results.axialCheckPass;
+
+        return results;
+    }
+
+    /**
+     * Same response as POST /analyze
+     */
+    function analyze(request) {
+        const startTime = Date.now();
+        const config = createConfig(request, resolveDesignCriteria(request.designCriteria));
+        const secondCrane = validateSecondCrane(request.secondCrane, config);
+        const kFactors = getKFactors(config.wheelbaseSpanRatio);
+        const calculatedECL = findCraneArrangements(config, secondCrane).find(arrangement => arrangement.governsBeam).ecl;
+        const customSections = validateCustomSections(request.customSections);
+        const filter = validateCandidateFilter(request.candidateFilter);
+
+        let manualBeam = null;
+        if (request.selectedDesignation && request.selectedDesignation.trim()) {
+            manualBeam = customSections.find(custom => custom.capped === config.capped && custom.designation === request.selectedDesignation.trim()) ||
+                findBeamByDesignation(request.selectedDesignation, config.capped);
+            if (!manualBeam) {
+                throw new ConfigurationError('selectedDesignation',
+                    `Beam ${request.selectedDesignation} was not found in the ${config.capped ? 'capped' : 'uncapped'} beam database`);
+            }
+        }
+
+        const topBeams = findTopAdequateBeams(calculatedECL, config.supportCenters, config.capped, filter.count, customSections, filter);
+        const results = performFullAnalysis(config, manualBeam, customSections, filter, secondCrane);
+        const recommendedResults = results.isManualSelection ? performFullAnalysis(config, null, customSections, filter, secondCrane) : null;
+
+        const beamCandidates = topBeams.map(beam => {
+            const capacity = getCandidateCapacity(beam, config.supportCenters, config.capped);
+            return {
+                designation: beam.designation,
+                weight: beam.weight,
+                depth: beam.depth,
+                capacity: capacity,
+                utilization: (calculatedECL / capacity) * 100.0,
+                isSelected: beam.designation === results.selectedBeam.designation,
+                isCustom: Boolean(beam.isCustom)
+            };
+        });
+
+        return {
+            results: results,
+            recommendedResults: recommendedResults,
+            calculatedECL: calculatedECL,
+            kFactors: { k1: kFactors.k1, k2: kFactors.k2 },
+            beamCandidates: beamCandidates,
+            metadata: {
+                processingTimeMs: Date.now() - startTime,
+                cached: false,
+                timestamp: new Date().toISOString(),
+                candidatesFound: topBeams.length,
+                engine: 'local'
+            }
+        };
+    }
+
+    /**
+     * Same response as POST /validate (throws ConfigurationError when invalid)
+     */
+    function validate(request) {
+        const config = createConfig(request, resolveDesignCriteria(request.designCriteria));
+        const secondCrane = validateSecondCrane(request.secondCrane, config);
+        return {
+            isValid: true,
+            calculatedValues: {
+                totalBeamWeight: config.weightBeam,
+                maxWheelLoad: config.maxWheelLoad,
+                impactFactor: config.impactFactor,
+                wheelbaseSpanRatio: config.wheelbaseSpanRatio,
+                lateralLoad: config.lateralLoad,
+                longitudinalLoad: config.longitudinalLoad
+            },
+            calculatedECL: findCraneArrangements(config, secondCrane).find(arrangement => arrangement.governsBeam).ecl,
+            designCriteria: config.criteria
+        };
+    }
+
+    /**
+     * Same response as POST /beams (GET /beams takes the same fields as query parameters, without custom sections)
+     */
+    function getBeamOptions(request) {
+        const ecl = Number(request.ecl || 0);
+        const span = Number(request.span || 0);
+        const capped = Boolean(request.capped);
+        const customSections = validateCustomSections(request.customSections);
+        const filter = validateCandidateFilter(request.candidateFilter);
+
+        const beams = findTopAdequateBeams(ecl, span, capped, filter.count, customSections, filter).map(beam => {
+            const capacity = getCandidateCapacity(beam, span, capped);
+            return {
+                designation: beam.designation,
+                weight: beam.weight,
+                depth: beam.depth,
+                capacity: capacity,
+                utilization: (ecl / capacity) * 100.0,
+                margin: capacity - ecl,
+                isCustom: Boolean(beam.isCustom)
+            };
+        });
+
+        return { requiredECL: ecl, span: span, capped: capped, beams: beams, count: beams.length };
+    }
+
+    /**
+     * Same response as POST /sweep
+     */
+    function sweep(request) {
+        const startTime = Date.now();
+        const parameter = request.parameter === undefined ? 'supportCenters' : request.parameter;
+        const min = Number(request.min || 0);
+        const max = Number(request.max || 0);
+        const step = Number(request.step || 0);
+
+        if (parameter !== 'supportCenters' && parameter !== 'ratedCapacity')
+            throw new ConfigurationError('parameter', 'Sweep parameter must be supportCenters or ratedCapacity');
+        if (step <= 0)
+            throw new ConfigurationError('step', 'Sweep step must be positive');
+        if (max < min)
+            throw new ConfigurationError('max', 'Sweep maximum cannot be less than the minimum');
+
+        const pointCount = Math.floor((max - min) / step + 1e-9) + 1;
+        if (pointCount > MAX_SWEEP_POINTS)
+            throw new ConfigurationError('step', `Sweep is limited to ${MAX_SWEEP_POINTS} points; increase the step`);
+
+        const customSections = validateCustomSections(request.customSections);
+        const filter = validateCandidateFilter(request.candidateFilter);
+        const criteria = resolveDesignCriteria(request.designCriteria);
+
+        const points = [];
+        for (let i = 0; i < pointCount; i++) {
+            const value = min + i * step;
+            const empty = { value: value, designation: null, weight: null, depth: null, capacity: null, ecl: null, utilization: null, error: null };
+
+            let config;
+            let secondCrane;
+            try {
+                config = createConfig({ ...request, [parameter]: value }, criteria);
+                secondCrane = validateSecondCrane(request.secondCrane, config);
+            } catch (error) {
+                if (!(error instanceof ConfigurationError)) throw error;
+                points.push({ ...empty, error: error.message });
+                continue;
+            }
+
+            const ecl = findCraneArrangements(config, secondCrane).find(arrangement => arrangement.governsBeam).ecl;
+            const lightest = findTopAdequateBeams(ecl, config.supportCenters, config.capped, 5, customSections, filter)[0];
+            if (!lightest) {
+                points.push({ ...empty, ecl: ecl, error: 'No adequate beam found' });
+                continue;
+            }
+
+            const capacity = getCandidateCapacity(lightest, config.supportCenters, config.capped);
+            points.push({
+                value: value,
+                designation: lightest.designation,
+                weight: lightest.weight,
+                depth: lightest.depth,
+                capacity: capacity,
+                ecl: ecl,
+                utilization: (ecl / capacity) * 100.0,
+                error: null
+            });
+        }
+
+        return {
+            parameter: parameter,
+            min: min,
+            max: max,
+            step: step,
+            capped: Boolean(request.capped),
+            designCriteria: criteria,
+            points: points,
+            metadata: {
+                processingTimeMs: Date.now() - startTime,
+                timestamp: new Date().toISOString(),
+                pointCount: pointCount,
+                engine: 'local'
+            }
+        };
+    }
+
+    /**
+     * Same response as GET /sections
+     */
+    function getSections(capped = false) {
+        requireTables();
+        const capacities = capped ? tables.cappedCapacities : tables.uncappedCapacities;
+
+        const sections = (capped ? sortedCapped : sortedUncapped).map(beam => ({
+            ...toBeamProperties(beam),
+            channel: capped ? beam.channel : null,
+            width: capped ? beam.width : null,
+            scUpper: capped ? beam.scUpper : null,
+            slLower: capped ? beam.slLower : null,
+            torsionalConstant: capped ? beam.torsionalConstant : null,
+            capacities: { ...(capacities[beam.designation] || {}) }
+        }));
+
+        const spans = [...new Set(sections.flatMap(section => Object.keys(section.capacities).map(Number)))].sort((a, b) => a - b);
+        return { capped: capped, spans: spans, sections: sections, count: sections.length };
+    }
+
+    return {
+        ConfigurationError,
+        SERVICE_CLASSES,
+        SERVICE_CLASS_PROFILES,
+        DESIGN_PROFILES,
+        loadTables,
+        setTables,
+        isLoaded,
+        getKFactors,
+        getBeamCapacity,
+        getInterpolatedLoadCapacity,
+        findTopAdequateBeams,
+        findBeamByDesignation,
+        resolveDesignCriteria,
+        createConfig,
+        findCraneArrangements,
+        performFullAnalysis,
+        analyze,
+        validate,
+        getBeamOptions,
+        getSections,
+        getCandidateCapacity,
+        sweep
+    };
+});
@@ -0,0 +1,289 @@
+// Calculation Report - print-optimized calc package built from the Excel export rows
+
+// Report header fields, remembered between sessions
+const REPORT_DETAIL_FIELDS = ['reportProject', 'reportJobNumber', 'reportClient', 'reportLocation', 'reportPreparer', 'reportChecker'];
+const REPORT_DETAILS_KEY = 'beamCalcReportDetails';
+
+/**
+ * Read the report header fields
+ */
+function getReportDetails() {
+    const details = {};
+    REPORT_DETAIL_FIELDS.forEach(field => {
+        details[field] = document.getElementById(field).value.trim();
+    });
+    return details;
+}
+
+/**
+ * Persist the report header fields and redraw the report
+ */
+function saveReportDetails() {
+    try {
+        localStorage.setItem(REPORT_DETAILS_KEY, JSON.stringify(getReportDetails()));
+    } catch (error) {
+        console.warn('Could not save report details:', error);
+    }
+    renderCalcReport();
+}
+
+/**
+ * Restore the report header fields saved by saveReportDetails
+ */
+function loadReportDetails() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(REPORT_DETAILS_KEY) || '{}');
+    } catch (error) {
+        console.warn('Could not read report details:', error);
+    }
+    REPORT_DETAIL_FIELDS.forEach(field => {
+        document.getElementById(field).value = saved[field] || '';
+    });
+}
+
+/**
+ * Display text for an export cell
+ */
+function formatReportCell(cell) {
+    const spec = cell !== null && typeof cell === 'object' ? cell : { value: cell };
+    if (typeof spec.value === 'number') {
+        return formatNumber(spec.value, spec.style);
+    }
+    return escapeHtml(spec.value ?? '');
+}
+
+/**
+ * Plain text of an export cell
+ */
+function getCellText(cell) {
+    return cell !== null && typeof cell === 'object' ? cell.value : cell;
+}
+
+/**
+ * Split a label like "Max Wheel Load MWL (lbs)" into name and unit
+ */
+function splitLabelUnit(label) {
+    const match = /^(.*?)\s*\(([^)]+)\)$/.exec(label || '');
+    return match ? { name: match[1], unit: match[2] } : { name: label || '', unit: '' };
+}
+
+/**
+ * Table for a sheet whose first row is the header (Inputs, Candidates)
+ */
+function renderReportTable(sheet, highlightText = null) {
+    const [header, ...rows] = sheet.rows;
+    return `
+        <table class="report-table">
+            <thead><tr>${header.map(cell => `<th>${formatReportCell(cell)}</th>`).join('')}</tr></thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr class="${highlightText && row.some(cell => getCellText(cell) === highlightText) ? 'report-highlight' : ''}">
+                        ${row.map(cell => `<td class="${typeof getCellText(cell) === 'number' ? 'num' : ''}">${formatReportCell(cell)}</td>`).join('')}
+                    </tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * PASS/FAIL summary from the Summary sheet: one table per header row, warnings as notes
+ */
+function renderReportSummary(sheet) {
+    const groups = [];
+    const warnings = [];
+
+    sheet.rows.forEach(row => {
+        const first = row[0];
+        if (first?.style === 'header') {
+            groups.push({ header: row, rows: [] });
+        } else if (typeof first === 'string' && first.startsWith('WARNING')) {
+            warnings.push(first);
+        } else if (groups.length > 0 && row.length > 1) {
+            groups[groups.length - 1].rows.push(row);
+        }
+    });
+
+    const statusClass = text => text === 'PASS' || text === 'ACCEPTABLE' ? 'status-pass' :
+        text === 'FAIL' || text === 'INADEQUATE' ? 'status-fail' : '';
+
+    return `
+        <div class="report-summary">
+            ${groups.map(group => `
+                <table class="report-table${group.header.length > 2 ? ' wide' : ''}">
+                    <thead><tr>${group.header.map(cell => `<th>${formatReportCell(cell)}</th>`).join('')}</tr></thead>
+                    <tbody>
+                        ${group.rows.map(([label, ...values]) => `
+                            <tr>
+                                <td>${formatReportCell(label)}</td>
+                                ${values.map(value => `<td class="num"><span class="${statusClass(getCellText(value))}">${formatReportCell(value)}</span></td>`).join('')}
+                            </tr>`).join('')}
+                    </tbody>
+                </table>`).join('')}
+        </div>
+        ${warnings.map(warning => `<p class="report-warning">${escapeHtml(warning)}</p>`).join('')}
+    `;
+}
+
+/**
+ * Step-by-step equations from the Calculations sheet: symbolic form, substituted numbers, result
+ */
+function renderReportCalculations(sheet) {
+    let html = '';
+
+    sheet.rows.slice(1).forEach(row => {
+        if (row.length === 0) return;
+        if (row.length === 1) {
+            html += `<h4 class="report-step-title">${formatReportCell(row[0])}</h4>`;
+            return;
+        }
+
+        const [label, value, description, substituted, siValue, siUnit] = row;
+        const { name, unit } = splitLabelUnit(label);
+        const result = `${formatReportCell(value)}${unit ? ` ${escapeHtml(unit)}` : ''}` +
+            (siUnit ? ` (${formatReportCell(siValue)} ${escapeHtml(siUnit)})` : '');
+
+        html += `
+            <div class="report-step">
+                <div class="report-step-name">${escapeHtml(name)}</div>
+                <div class="report-step-equation">
+                    ${escapeHtml(description)}
+                    ${substituted ? `<br>= ${escapeHtml(substituted)}` : ''}
+                    <br>= <strong>${result}</strong>
+                </div>
+            </div>
+        `;
+    });
+
+    return html;
+}
+
+/**
+ * Preparer/checker sign-off block
+ */
+function renderSignatureBlock(details) {
+    const signer = (role, name) => `
+        <div class="report-signer">
+            <div class="report-signer-role">${role}</div>
+            <div class="report-signer-line"><span>Name</span>${escapeHtml(name)}</div>
+            <div class="report-signer-line"><span>Signature</span></div>
+            <div class="report-signer-line"><span>Date</span></div>
+        </div>
+    `;
+
+    return `
+        <div class="report-signatures">
+            ${signer('Prepared by', details.reportPreparer)}
+            ${signer('Checked by', details.reportChecker)}
+        </div>
+    `;
+}
+
+/**
+ * Build the report from the current analysis
+ */
+function renderCalcReport() {
+    const container = document.getElementById('calcReport');
+    const selectedBeam = currentBeamCandidates[selectedBeamIndex] || currentBeamCandidates[0];
+    const [summary, inputs, calculations, candidates] = createExcelData(selectedBeam);
+    const details = getReportDetails();
+    const config = currentConfiguration;
+    const engine = currentAnalysisResults.metadata?.engine === 'local' ? 'Client-side engine' : 'Beam sizing API';
+
+    const headerField = (label, value) => `
+        <div class="report-field"><span>${label}</span>${escapeHtml(value) || '&nbsp;'}</div>
+    `;
+
+    container.innerHTML = `
+        <section class="report-page">
+            <header class="report-header">
+                <h1>Runway Beam Calculation Report</h1>
+                <div class="report-fields">
+                    ${headerField('Project', details.reportProject)}
+                    ${headerField('Job No.', details.reportJobNumber)}
+                    ${headerField('Client', details.reportClient)}
+                    ${headerField('Location', details.reportLocation)}
+                    ${headerField('Date', new Date().toLocaleDateString())}
+                    ${headerField('Beam System', `${config.capped ? 'Capped' : 'Uncapped'}, ${config.freestanding ? 'freestanding' : 'braced'} columns`)}
+                    ${headerField('Design Criteria', formatDesignCriteria(getAnalysisDesignCriteria(currentAnalysisResults)))}
+                    ${headerField('Selected Beam', selectedBeam.designation)}
+                    ${headerField('Calculated by', engine)}
+                    ${headerField('Units', isMetricUnits() ? 'SI (calculations in US customary)' : 'US customary')}
+                </div>
+            </header>
+
+            <h2>1. Design Inputs</h2>
+            ${renderReportTable(inputs)}
+
+            <h2>2. Results Summary</h2>
+            ${renderReportSummary(summary)}
+
+            <h2>3. Sign-off</h2>
+            ${renderSignatureBlock(details)}
+        </section>
+
+        <section class="report-page">
+            <h2>4. Runway Geometry</h2>
+            <p class="report-note">Plan and elevation to scale. Wheels are placed for the maximum moment in the middle span; loads are unfactored.</p>
+            <div class="report-diagram">${renderRunwayDiagramSvg(config, currentAnalysisResults)}</div>
+        </section>
+
+        <section class="report-page">
+            <h2>5. Calculations</h2>
+            <p class="report-note">Symbolic form, substituted values and result for each step. P = rated capacity, H = hoist + trolley weight, C = crane weight, A = wheel base, L = support centers, E = 29,000,000 psi.</p>
+            ${renderReportCalculations(calculations)}
+        </section>
+
+        <section class="report-page">
+            <h2>6. Beam Candidates</h2>
+            ${renderReportTable(candidates, 'SELECTED')}
+        </section>
+    `;
+}
+
+/**
+ * Show the report view for the current analysis
+ */
+function openCalcReport() {
+    if (!currentAnalysisResults?.results || currentBeamCandidates.length === 0) {
+        showError('No results to report. Please run an analysis first.');
+        return;
+    }
+
+    renderCalcReport();
+    document.getElementById('calcReportView').classList.add('open');
+    document.body.classList.add('report-open');
+}
+
+/**
+ * Hide the report view
+ */
+function closeCalcReport() {
+    document.getElementById('calcReportView').classList.remove('open');
+    document.body.classList.remove('report-open');
+}
+
+/**
+ * Open the browser print dialog (Save as PDF) for the report
+ */
+function printCalcReport() {
+    window.print();
+}
+
+/**
+ * Restore saved header fields and redraw the report as they change
+ */
+function initializeCalcReport() {
+    if (!document.getElementById('calcReportView')) return;
+
+    loadReportDetails();
+    REPORT_DETAIL_FIELDS.forEach(field => {
+        document.getElementById(field).addEventListener('change', saveReportDetails);
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && document.body.classList.contains('report-open')) {
+            closeCalcReport();
+        }
+    });
+}
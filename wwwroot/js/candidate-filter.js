@@ -0,0 +1,151 @@
+// Candidate Filter - depth, weight, exclusion and stock limits on the ranked beam candidates
+
+const CANDIDATE_FILTER_KEY = 'beamCalcCandidateFilter';
+const DEFAULT_CANDIDATE_COUNT = 5;
+
+// Filter inputs, saved together so shop limits and the stock list survive a reload
+const CANDIDATE_FILTER_FIELDS = ['filterMinDepth', 'filterMaxDepth', 'filterMaxWeight', 'filterExcluded', 'filterStockOnly', 'filterStockList', 'filterCount'];
+
+/**
+ * Split a designation list typed as lines or comma-separated values
+ */
+function parseDesignationList(text) {
+    return String(text || '').split(/[\n,]+/).map(designation => designation.trim()).filter(Boolean);
+}
+
+/**
+ * Filter for /analyze, /sweep and /beams, or null when it is the default (top 5, no limits)
+ */
+function getCandidateFilter() {
+    const filter = {};
+    const minDepth = readQuantity('filterMinDepth');
+    const maxDepth = readQuantity('filterMaxDepth');
+    const maxWeight = readQuantity('filterMaxWeight');
+    const count = readNumber('filterCount', DEFAULT_CANDIDATE_COUNT);
+    const excluded = parseDesignationList(document.getElementById('filterExcluded').value);
+
+    if (minDepth !== null) filter.minDepth = minDepth;
+    if (maxDepth !== null) filter.maxDepth = maxDepth;
+    if (maxWeight !== null) filter.maxWeight = maxWeight;
+    if (excluded.length > 0) filter.excludedDesignations = excluded;
+    if (document.getElementById('filterStockOnly').checked) {
+        filter.stockOnly = true;
+        filter.stockDesignations = parseDesignationList(document.getElementById('filterStockList').value);
+    }
+    if (count !== null && count !== DEFAULT_CANDIDATE_COUNT) filter.count = count;
+
+    return Object.keys(filter).length > 0 ? filter : null;
+}
+
+/**
+ * Request body with the candidate filter attached (unchanged when the filter is the default)
+ */
+function withCandidateFilter(body) {
+    const candidateFilter = getCandidateFilter();
+    return candidateFilter ? { ...body, candidateFilter: candidateFilter } : body;
+}
+
+/**
+ * Short description of the active limits for the candidates heading
+ */
+function describeCandidateFilter(filter) {
+    if (!filter) return '';
+
+    const limits = [];
+    if (filter.minDepth !== undefined) limits.push(`depth ≥ ${formatQuantity(filter.minDepth, 'smallLength')}`);
+    if (filter.maxDepth !== undefined) limits.push(`depth ≤ ${formatQuantity(filter.maxDepth, 'smallLength')}`);
+    if (filter.maxWeight !== undefined) limits.push(`weight ≤ ${formatQuantity(filter.maxWeight, 'linearWeight')}`);
+    if (filter.excludedDesignations) limits.push(`${filter.excludedDesignations.length} excluded`);
+    if (filter.stockOnly) limits.push(`stock only (${filter.stockDesignations.length})`);
+    return limits.join(', ');
+}
+
+/**
+ * Update the candidates heading with the count and active limits
+ */
+function updateCandidateFilterSummary() {
+    const filter = getCandidateFilter();
+    const count = filter?.count ?? DEFAULT_CANDIDATE_COUNT;
+    const summary = describeCandidateFilter(filter);
+
+    document.getElementById('candidatesTitle').textContent = `Top ${count} Beam Candidates`;
+    document.getElementById('candidateFilterSummary').textContent = summary ? `Filtered: ${summary}` : '';
+}
+
+function saveCandidateFilter() {
+    const saved = {};
+    CANDIDATE_FILTER_FIELDS.forEach(field => {
+        const input = document.getElementById(field);
+        saved[field] = input.type === 'checkbox' ? input.checked : input.value;
+    });
+
+    try {
+        localStorage.setItem(CANDIDATE_FILTER_KEY, JSON.stringify(saved));
+    } catch (error) {
+        console.warn('Could not save candidate filter:', error);
+    }
+}
+
+function loadCandidateFilter() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(CANDIDATE_FILTER_KEY) || '{}');
+    } catch (error) {
+        console.warn('Could not read candidate filter:', error);
+    }
+
+    CANDIDATE_FILTER_FIELDS.forEach(field => {
+        if (saved[field] === undefined) return;
+        const input = document.getElementById(field);
+        if (input.type === 'checkbox') {
+            input.checked = Boolean(saved[field]);
+        } else {
+            input.value = saved[field];
+        }
+    });
+}
+
+/**
+ * Re-rank the candidates with the current filter
+ */
+function applyCandidateFilter() {
+    if (currentAnalysisResults?.results) {
+        analyze();
+    }
+}
+
+/**
+ * Clear every limit and restore the default count
+ */
+function resetCandidateFilter() {
+    ['filterMinDepth', 'filterMaxDepth', 'filterMaxWeight', 'filterExcluded'].forEach(field => {
+        document.getElementById(field).value = '';
+    });
+    document.getElementById('filterStockOnly').checked = false;
+    document.getElementById('filterCount').value = DEFAULT_CANDIDATE_COUNT;
+
+    saveCandidateFilter();
+    updateCandidateFilterSummary();
+    applyCandidateFilter();
+}
+
+/**
+ * Restore the saved filter and re-rank live as it changes
+ */
+function initializeCandidateFilter() {
+    if (!document.getElementById('candidateFilter')) return;
+
+    loadCandidateFilter();
+    updateCandidateFilterSummary();
+
+    CANDIDATE_FILTER_FIELDS.forEach(field => {
+        const input = document.getElementById(field);
+        input.addEventListener(input.type === 'checkbox' ? 'change' : 'input', () => {
+            saveCandidateFilter();
+            updateCandidateFilterSummary();
+            if (currentAnalysisResults?.results) {
+                scheduleLiveAnalysis();
+            }
+        });
+    });
+}
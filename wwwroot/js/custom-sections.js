@@ -0,0 +1,304 @@
+// Custom Sections - user-defined and shop-stock sections saved in this browser and offered to analyses
+// Section (US units): { designation, capped, channel, depth, weight, area, i, s, radiusOfGyration,
+//                       flangeWidth, flangeThickness, webThickness, capacities: { span: ECL }, included }
+
+const CUSTOM_SECTIONS_KEY = 'beamCalcCustomSections';
+
+// Numeric form fields and the section property each one sets
+const CUSTOM_SECTION_FIELDS = {
+    customDepth: 'depth',
+    customWeight: 'weight',
+    customArea: 'area',
+    customI: 'i',
+    customS: 's',
+    customRadius: 'radiusOfGyration',
+    customFlangeWidth: 'flangeWidth',
+    customFlangeThickness: 'flangeThickness',
+    customWebThickness: 'webThickness'
+};
+
+// One "span: capacity" entry: a whole-foot span and the allowable ECL, with optional units
+const CAPACITY_ENTRY_PATTERN = /^(\d+)\s*(?:ft)?\s*[:=\s]\s*([\d.]+)\s*(?:lbs|kn)?$/i;
+
+// Designation and system ({ designation, capped }) of the section being edited (null when adding)
+let editingCustomSection = null;
+
+/**
+ * Saved custom sections
+ */
+function loadCustomSections() {
+    try {
+        return JSON.parse(localStorage.getItem(CUSTOM_SECTIONS_KEY) || '[]');
+    } catch (error) {
+        console.warn('Could not read custom sections:', error);
+        return [];
+    }
+}
+
+function saveCustomSections(sections) {
+    localStorage.setItem(CUSTOM_SECTIONS_KEY, JSON.stringify(sections));
+}
+
+/**
+ * True when a section has the given designation and system; the same name may exist capped and uncapped
+ */
+function isSameCustomSection(section, key) {
+    return section.designation === key.designation && section.capped === key.capped;
+}
+
+/**
+ * Included sections in the shape /analyze and /sweep expect
+ */
+function getAnalysisCustomSections() {
+    return loadCustomSections()
+        .filter(section => section.included)
+        .map(({ included, ...section }) => section);
+}
+
+/**
+ * Request body with the included custom sections attached (unchanged when there are none)
+ */
+function withCustomSections(body) {
+    const customSections = getAnalysisCustomSections();
+    return customSections.length > 0 ? { ...body, customSections: customSections } : body;
+}
+
+/**
+ * Parse "span: capacity" entries (one per line or comma separated) into { span: capacity }
+ */
+function parseCapacityTable(text) {
+    const capacities = {};
+    const entries = text.split(/[\n,;]+/).map(entry => entry.trim()).filter(Boolean);
+
+    entries.forEach(entry => {
+        const match = CAPACITY_ENTRY_PATTERN.exec(entry);
+        if (!match || !(Number(match[1]) > 0) || !(Number(match[2]) > 0)) {
+            throw new Error(`"${entry}" is not a "span: capacity" pair with a whole-foot span`);
+        }
+        capacities[Number(match[1])] = Number(match[2]);
+    });
+
+    if (Object.keys(capacities).length === 0) {
+        throw new Error('Enter at least one "span: capacity" pair');
+    }
+    return capacities;
+}
+
+/**
+ * One "span: capacity" line per tabulated span
+ */
+function formatCapacityTable(capacities) {
+    return Object.entries(capacities)
+        .sort((a, b) => Number(a[0]) - Number(b[0]))
+        .map(([span, capacity]) => `${span}: ${capacity}`)
+        .join('\n');
+}
+
+/**
+ * Rewrite the capacity table for a new unit system (allowable ECL; spans stay in whole feet);
+ * entries that do not parse are left as typed
+ */
+function convertCapacityTable(from, to) {
+    const textarea = document.getElementById('customCapacities');
+    const { text, isUs } = getPriceTableText('customCapacities');
+
+    // Unedited since the last switch: restore the US text rather than converting back
+    if (to === 'us' && isUs) {
+        textarea.value = text;
+        delete textarea.dataset.usText;
+        return;
+    }
+
+    const usText = from === 'us' ? textarea.value : null;
+    textarea.value = textarea.value.replace(/[^\n,;]+/g, entry => {
+        const match = CAPACITY_ENTRY_PATTERN.exec(entry.trim());
+        if (!match) return entry;
+
+        const capacity = Number(convertUnits(Number(match[2]), 'force', from, to).toPrecision(6));
+        return `${entry.match(/^\s*/)[0]}${match[1]}: ${capacity}`;
+    });
+
+    if (usText === null) {
+        delete textarea.dataset.usText;
+    } else {
+        textarea.dataset.usText = usText;
+        textarea.dataset.shownText = textarea.value;
+    }
+}
+
+/**
+ * Read and check the custom section form; throws with a message for the user
+ */
+function readCustomSectionForm() {
+    const designation = document.getElementById('customDesignation').value.trim();
+    const capped = document.getElementById('customCapped').checked;
+    if (!designation) {
+        throw new Error('Designation is required');
+    }
+
+    const catalogNames = getCatalogDesignations(capped);
+    if (catalogNames.has(designation)) {
+        throw new Error(`${designation} is already a catalog section; give the custom section its own name`);
+    }
+    const key = { designation: designation, capped: capped };
+    const duplicate = loadCustomSections().some(section => isSameCustomSection(section, key)) &&
+        !(editingCustomSection && isSameCustomSection(editingCustomSection, key));
+    if (duplicate) {
+        throw new Error(`A custom section named ${designation} already exists`);
+    }
+
+    const section = {
+        designation: designation,
+        capped: capped,
+        channel: capped ? document.getElementById('customChannel').value.trim() : ''
+    };
+    Object.entries(CUSTOM_SECTION_FIELDS).forEach(([field, key]) => {
+        section[key] = readQuantity(field, 0);
+    });
+
+    if (!(section.weight > 0) || !(section.i > 0) || !(section.s > 0)) {
+        throw new Error('Weight, I and S must be positive numbers');
+    }
+
+    const capacityTable = getPriceTableText('customCapacities');
+    section.capacities = parseCapacityTable(capacityTable.text);
+    if (!capacityTable.isUs) {
+        Object.keys(section.capacities).forEach(span => {
+            section.capacities[span] = fromDisplayUnits(section.capacities[span], 'force');
+        });
+    }
+    return section;
+}
+
+/**
+ * Add or update the section in the form
+ */
+function saveCustomSectionForm(event) {
+    event?.preventDefault();
+
+    try {
+        const section = readCustomSectionForm();
+        const sections = loadCustomSections();
+        const index = sections.findIndex(existing => isSameCustomSection(existing, editingCustomSection ?? section));
+
+        if (index >= 0) {
+            sections[index] = { ...section, included: sections[index].included };
+        } else {
+            sections.push({ ...section, included: true });
+        }
+        saveCustomSections(sections);
+
+        clearCustomSectionForm();
+        refreshCustomSections();
+        showSuccess(`💾 Saved custom section ${section.designation}`);
+    } catch (error) {
+        showError(`❌ ${error.message}`);
+    }
+}
+
+/**
+ * Fill the form with a section to edit, or a catalog section to copy
+ */
+function fillCustomSectionForm(section, editing = false) {
+    editingCustomSection = editing ? { designation: section.designation, capped: section.capped } : null;
+    document.getElementById('customDesignation').value = section.designation || '';
+    document.getElementById('customCapped').checked = Boolean(section.capped);
+    document.getElementById('customChannel').value = section.channel || '';
+    Object.entries(CUSTOM_SECTION_FIELDS).forEach(([field, key]) => {
+        writeQuantity(field, section[key] || '');
+    });
+    document.getElementById('customCapacities').value = formatCapacityTable(section.capacities || {});
+    if (isMetricUnits()) convertCapacityTable('us', 'si');
+    document.getElementById('customSectionSaveBtn').textContent = editing ? 'Update Section' : 'Save Section';
+    document.getElementById('customDesignation').focus();
+}
+
+function clearCustomSectionForm() {
+    document.getElementById('customSectionForm').reset();
+    editingCustomSection = null;
+    document.getElementById('customSectionSaveBtn').textContent = 'Save Section';
+}
+
+function editCustomSection(designation, capped) {
+    const key = { designation: designation, capped: capped };
+    const section = loadCustomSections().find(existing => isSameCustomSection(existing, key));
+    if (section) fillCustomSectionForm(section, true);
+}
+
+function deleteCustomSection(designation, capped) {
+    if (!confirm(`Delete custom section ${designation} (${capped ? 'capped' : 'uncapped'})?`)) return;
+
+    const key = { designation: designation, capped: capped };
+    saveCustomSections(loadCustomSections().filter(section => !isSameCustomSection(section, key)));
+    if (editingCustomSection && isSameCustomSection(editingCustomSection, key)) clearCustomSectionForm();
+    refreshCustomSections();
+}
+
+function toggleCustomSection(designation, capped, included) {
+    const key = { designation: designation, capped: capped };
+    saveCustomSections(loadCustomSections().map(section =>
+        isSameCustomSection(section, key) ? { ...section, included: included } : section));
+    refreshCustomSections();
+}
+
+/**
+ * Redraw the library table and the catalog, then re-run a live analysis with the new candidates
+ */
+function refreshCustomSections() {
+    renderCustomSectionList();
+    renderSectionCatalog();
+    if (currentAnalysisResults?.results) {
+        scheduleLiveAnalysis();
+    }
+}
+
+/**
+ * Library table with include toggles
+ */
+function renderCustomSectionList() {
+    const container = document.getElementById('customSectionList');
+    const sections = loadCustomSections();
+
+    if (sections.length === 0) {
+        container.innerHTML = '<p class="project-empty">No custom sections yet. Add one below or copy a catalog section.</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <table class="beam-candidates-table">
+            <thead>
+                <tr>
+                    <th>Include</th>
+                    <th>Designation</th>
+                    <th>System</th>
+                    <th>Weight<br>(${unitLabel('linearWeight')})</th>
+                    <th>I<br>(${unitLabel('inertia')})</th>
+                    <th>S<br>(${unitLabel('modulus')})</th>
+                    <th>Spans<br>(${unitLabel('length')})</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${sections.map(section => {
+                    const spans = Object.keys(section.capacities).map(Number);
+                    const name = escapeHtml(JSON.stringify(section.designation));
+                    return `
+                        <tr>
+                            <td><input type="checkbox" ${section.included ? 'checked' : ''} onchange="toggleCustomSection(${name}, ${section.capped}, this.checked)"></td>
+                            <td><strong>${escapeHtml(section.designation)}</strong></td>
+                            <td>${section.capped ? `Capped${section.channel ? ` (${escapeHtml(section.channel)})` : ''}` : 'Uncapped'}</td>
+                            <td>${formatQuantityValue(section.weight, 'linearWeight')}</td>
+                            <td>${formatQuantityValue(section.i, 'inertia')}</td>
+                            <td>${formatQuantityValue(section.s, 'modulus')}</td>
+                            <td>${formatQuantityValue(Math.min(...spans), 'length', 'integer')}–${formatQuantityValue(Math.max(...spans), 'length', 'integer')}</td>
+                            <td class="project-analysis-actions">
+                                <button class="beam-select-btn" onclick="editCustomSection(${name}, ${section.capped})">Edit</button>
+                                <button class="beam-select-btn danger" onclick="deleteCustomSection(${name}, ${section.capped})">Delete</button>
+                            </td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
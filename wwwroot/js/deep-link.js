@@ -0,0 +1,137 @@
+// Deep Links - the analyzed configuration and beam selection encoded in the URL hash
+
+// Hash keys are the getFormData() field names, plus "beam" for the designation of a manually selected candidate.
+// Candidate lists differ between browsers (saved candidate filter, included custom sections), so never an index.
+const DEEP_LINK_FLAGS = ['freestanding', 'capped', 'twoCranes'];
+const DEEP_LINK_BEAM_KEY = 'beam';
+
+// Set while a link is being applied so its intermediate analyses do not add history entries
+let applyingDeepLink = false;
+
+/**
+ * Hash for a configuration and selected beam, e.g. "#ratedCapacity=10000&...&capped=1&beam=W21x83"
+ */
+function createDeepLinkHash(config, beamDesignation = null) {
+    const params = new URLSearchParams();
+
+    Object.entries(config).forEach(([field, value]) => {
+        if (DEEP_LINK_FLAGS.includes(field)) {
+            params.set(field, value ? '1' : '0');
+        } else if (value !== null && value !== undefined && value !== '') {
+            params.set(field, String(value));
+        }
+    });
+
+    if (beamDesignation) {
+        params.set(DEEP_LINK_BEAM_KEY, beamDesignation);
+    }
+
+    return `#${params.toString()}`;
+}
+
+/**
+ * Form values and beam designation from a hash, or null when it holds no configuration
+ */
+function parseDeepLinkHash(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const fields = Object.keys(getFormData());
+    const formData = {};
+
+    fields.forEach(field => {
+        if (!params.has(field)) return;
+        const raw = params.get(field);
+        // Numbers stay as text so validation flags anything malformed
+        formData[field] = DEEP_LINK_FLAGS.includes(field) ? raw === '1' || raw === 'true' : raw;
+    });
+
+    if (Object.keys(formData).length === 0) {
+        return null;
+    }
+
+    return { formData: formData, beamDesignation: params.get(DEEP_LINK_BEAM_KEY)?.trim() || null };
+}
+
+/**
+ * Full shareable URL for a configuration and selected beam
+ */
+function createDeepLinkUrl(config, beamDesignation = null) {
+    return `${location.origin}${location.pathname}${location.search}${createDeepLinkHash(config, beamDesignation)}`;
+}
+
+/**
+ * Designation of the manually selected candidate, or null while the recommended beam is shown
+ */
+function getLinkedDesignation() {
+    return selectedBeamIndex > 0 ? currentBeamCandidates[selectedBeamIndex]?.designation || null : null;
+}
+
+/**
+ * Add a history entry for the analysis on screen, so back/forward step between analyzed configurations.
+ * Live updates replace the current entry, so Back skips the intermediate values typed on the way.
+ */
+function updateDeepLink(options = {}) {
+    if (applyingDeepLink || !currentAnalysisResults?.results) return;
+
+    const hash = createDeepLinkHash(currentConfiguration, getLinkedDesignation());
+    if (hash === location.hash) return;
+
+    if (options.live) {
+        history.replaceState(null, '', hash);
+    } else {
+        history.pushState(null, '', hash);
+    }
+}
+
+/**
+ * Fill the form from the URL hash and analyze it, re-selecting the linked beam
+ */
+async function applyDeepLink() {
+    const link = parseDeepLinkHash(location.hash);
+    if (!link || !isEngineAvailable()) return false;
+
+    applyingDeepLink = true;
+    try {
+        setFormData(link.formData);
+        await analyze();
+
+        // Only re-select when the analysis on screen is the linked one (it may have failed validation)
+        const analyzed = currentAnalysisResults?.results &&
+            createDeepLinkHash(currentConfiguration) === createDeepLinkHash(getFormData());
+        if (analyzed && link.beamDesignation) {
+            const index = currentBeamCandidates.findIndex(beam => beam.designation === link.beamDesignation);
+            if (index > 0) {
+                await selectBeamAndAnalyze(index);
+            } else if (index < 0) {
+                showError(`⚠️ The linked beam ${link.beamDesignation} is not among the candidates here; check the candidate filter and custom sections`);
+            }
+        }
+    } finally {
+        applyingDeepLink = false;
+    }
+
+    return true;
+}
+
+/**
+ * Copy a link to the current analysis (or the form, before one has run) to the clipboard
+ */
+async function copyDeepLink() {
+    const url = currentAnalysisResults?.results ?
+        createDeepLinkUrl(currentConfiguration, getLinkedDesignation()) :
+        createDeepLinkUrl(getFormData());
+
+    try {
+        await navigator.clipboard.writeText(url);
+        showSuccess('🔗 Link copied to clipboard');
+    } catch (error) {
+        // Clipboard access needs a secure context; let the user copy it by hand
+        prompt('Copy this link:', url);
+    }
+}
+
+/**
+ * Re-run the linked configuration when the user navigates back or forward
+ */
+function initializeDeepLinks() {
+    window.addEventListener('popstate', applyDeepLink);
+}
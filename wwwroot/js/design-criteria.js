@@ -0,0 +1,168 @@
+// Design Criteria - CMAA service class and the design-criteria profile an analysis is checked against
+
+// Form fields of the design criteria and their keys in the request's designCriteria object
+const DESIGN_CRITERIA_FIELDS = {
+    serviceClass: 'serviceClass',
+    designProfile: 'profile',
+    criteriaName: 'name',
+    lateralLoadPercent: 'lateralLoadPercent',
+    longitudinalLoadPercent: 'longitudinalLoadPercent',
+    impactRule: 'impactRule',
+    impactPercent: 'impactPercent',
+    lateralDeflectionLimit: 'lateralDeflectionLimit',
+    longitudinalDeflectionLimit: 'longitudinalDeflectionLimit',
+    allowableStress: 'allowableStress'
+};
+
+// Fields only a custom profile sets; named profiles show their own values read-only
+const CUSTOM_CRITERIA_FIELDS = Object.keys(DESIGN_CRITERIA_FIELDS).slice(2);
+
+/**
+ * Design criteria form values (US units); the custom fields read as null unless the profile is custom
+ */
+function getDesignCriteriaFormData() {
+    const profile = document.getElementById('designProfile')?.value || 'standard';
+    const custom = profile === 'custom';
+
+    return {
+        serviceClass: document.getElementById('serviceClass')?.value || null,
+        designProfile: profile,
+        criteriaName: custom ? document.getElementById('criteriaName').value.trim() || null : null,
+        lateralLoadPercent: custom ? readNumber('lateralLoadPercent') : null,
+        longitudinalLoadPercent: custom ? readNumber('longitudinalLoadPercent') : null,
+        impactRule: custom ? document.getElementById('impactRule').value : null,
+        impactPercent: custom ? readNumber('impactPercent') : null,
+        lateralDeflectionLimit: custom ? readNumber('lateralDeflectionLimit') : null,
+        longitudinalDeflectionLimit: custom ? readNumber('longitudinalDeflectionLimit') : null,
+        allowableStress: custom ? readQuantity('allowableStress') : null
+    };
+}
+
+/**
+ * Request body with the flat design criteria fields replaced by a designCriteria object.
+ * Configurations saved before profiles existed have no profile and are analyzed to the standard one.
+ */
+function withDesignCriteria(body) {
+    const request = { ...body };
+    Object.keys(DESIGN_CRITERIA_FIELDS).forEach(field => delete request[field]);
+
+    if (body.designProfile) {
+        request.designCriteria = Object.fromEntries(Object.entries(DESIGN_CRITERIA_FIELDS)
+            .filter(([field]) => body[field] !== null && body[field] !== undefined)
+            .map(([field, key]) => [key, body[field]]));
+    }
+
+    return request;
+}
+
+/**
+ * Built-in profile values by key, or null for a custom profile
+ */
+function getProfileCriteria(profile) {
+    return BeamEngine.DESIGN_PROFILES.find(criteria => criteria.profile === profile) || null;
+}
+
+/**
+ * Criteria an analysis was checked against; analyses saved before profiles existed used the standard profile
+ */
+function getAnalysisDesignCriteria(data) {
+    return data?.results?.designCriteria || BeamEngine.resolveDesignCriteria(null);
+}
+
+/**
+ * Profile name with the service class, e.g. "Heavy service, CMAA Class D"
+ */
+function formatDesignCriteria(criteria) {
+    return criteria.serviceClass ? `${criteria.name}, CMAA Class ${criteria.serviceClass}` : criteria.name;
+}
+
+/**
+ * Service class with its description, e.g. "D - Heavy service"
+ */
+function formatServiceClass(criteria) {
+    return criteria.serviceClass ? `${criteria.serviceClass} - ${criteria.serviceClassName}` : 'Not specified';
+}
+
+/**
+ * Impact rule in words
+ */
+function formatImpactRule(criteria) {
+    return criteria.impactRule === 'fixed' ?
+        `${formatNumber(criteria.impactPercent)}% of rated capacity` :
+        `0.5% of rated capacity per ft/min of hoist speed (${formatNumber(criteria.impactPercent)}% without)`;
+}
+
+/**
+ * Deflection limit as L/n, e.g. "L/600"
+ */
+function formatDeflectionLimit(limit) {
+    return `L/${Number(limit.toFixed(2))}`;
+}
+
+/**
+ * Enable the custom fields for a custom profile; otherwise fill them with the selected profile's values
+ */
+function updateDesignCriteriaFields() {
+    const select = document.getElementById('designProfile');
+    if (!select) return;
+
+    const criteria = getProfileCriteria(select.value);
+    CUSTOM_CRITERIA_FIELDS.forEach(field => {
+        document.getElementById(field).disabled = Boolean(criteria);
+    });
+    if (!criteria) return;
+
+    document.getElementById('criteriaName').value = criteria.name;
+    CUSTOM_CRITERIA_FIELDS.slice(1).forEach(field => writeQuantity(field, criteria[DESIGN_CRITERIA_FIELDS[field]]));
+}
+
+/**
+ * Criteria card of the results panel, from the criteria returned with the analysis
+ */
+function renderDesignCriteriaSummary() {
+    const container = document.getElementById('designCriteriaSummary');
+    if (!container || !currentAnalysisResults?.results) return;
+
+    const criteria = getAnalysisDesignCriteria(currentAnalysisResults);
+    const items = [
+        ['Profile', criteria.name],
+        ['CMAA Service Class', formatServiceClass(criteria)],
+        ['Lateral Load', `${formatNumber(criteria.lateralLoadPercent)}% of (P + H)`],
+        ['Longitudinal Load', `${formatNumber(criteria.longitudinalLoadPercent)}% of MWL`],
+        ['Impact', formatImpactRule(criteria)],
+        ['Deflection Limits', `${formatDeflectionLimit(criteria.lateralDeflectionLimit)} lateral, ` +
+            `${formatDeflectionLimit(criteria.longitudinalDeflectionLimit)} longitudinal`],
+        ['Allowable Stress Fb', formatQuantity(criteria.allowableStress, 'stress', 'integer')]
+    ];
+
+    container.innerHTML = items.map(([label, value]) => `
+        <div class="result-item">
+            <span class="result-label">${label}:</span>
+            <span class="result-value">${escapeHtml(value)}</span>
+        </div>`).join('');
+}
+
+/**
+ * Suggest a profile when a service class is chosen (a custom profile is kept), and lock or unlock
+ * the custom fields with the profile
+ */
+function initializeDesignCriteria() {
+    const serviceClass = document.getElementById('serviceClass');
+    const profile = document.getElementById('designProfile');
+    if (!serviceClass || !profile) return;
+
+    serviceClass.addEventListener('change', () => {
+        const suggested = BeamEngine.SERVICE_CLASS_PROFILES[serviceClass.value];
+        if (suggested && profile.value !== 'custom') {
+            profile.value = suggested;
+            updateDesignCriteriaFields();
+        }
+        scheduleLiveAnalysis();
+    });
+    profile.addEventListener('change', () => {
+        updateDesignCriteriaFields();
+        scheduleLiveAnalysis();
+    });
+    document.getElementById('impactRule').addEventListener('change', scheduleLiveAnalysis);
+    updateDesignCriteriaFields();
+}
@@ -0,0 +1,300 @@
+// Form Validation - field-level checks driven by POST /validate
+
+// Client-side rules: required/numeric checks and typical ranges (US units) from the README table.
+// Hard limits come from the server (BeamSizerConfig.ValidateInputs). Second crane fields apply in two-crane mode only,
+// design criteria fields to a custom profile only.
+const FIELD_RULES = {
+    ratedCapacity: { label: 'Rated capacity', quantity: 'force', typical: [1000, 80000] },
+    weightHoistTrolley: { label: 'Hoist + trolley weight', quantity: 'force', typical: [500, 10000] },
+    girderWeight: { label: 'Girder weight', quantity: 'force', typical: [1000, 15000] },
+    panelWeight: { label: 'Panel weight', quantity: 'force', typical: [500, 5000] },
+    endTruckWeight: { label: 'End truck weight', quantity: 'force', typical: [500, 3000] },
+    railHeight: { label: 'Rail height', quantity: 'length', typical: [8, 100] },
+    wheelBase: { label: 'Wheel base', quantity: 'length', typical: [3, 50] },
+    supportCenters: { label: 'Support centers', quantity: 'length', typical: [10, 150] },
+    hoistSpeed: { label: 'Hoist speed', quantity: 'speed', optional: true },
+    numCols: { label: 'Number of columns', unit: 'per side', integer: true, typical: [2, Infinity] },
+    runwayLength: { label: 'Runway length', quantity: 'length', optional: true, positive: true },
+    crane2RatedCapacity: { label: 'Crane 2 rated capacity', quantity: 'force', secondCrane: true, typical: [1000, 80000] },
+    crane2WeightHoistTrolley: { label: 'Crane 2 hoist + trolley weight', quantity: 'force', secondCrane: true, typical: [500, 10000] },
+    crane2GirderWeight: { label: 'Crane 2 girder weight', quantity: 'force', secondCrane: true, typical: [1000, 15000] },
+    crane2PanelWeight: { label: 'Crane 2 panel weight', quantity: 'force', secondCrane: true, typical: [500, 5000] },
+    crane2EndTruckWeight: { label: 'Crane 2 end truck weight', quantity: 'force', secondCrane: true, typical: [500, 3000] },
+    crane2WheelBase: { label: 'Crane 2 wheel base', quantity: 'length', secondCrane: true, typical: [3, 50] },
+    bumperDistance: { label: 'Bumper-to-bumper distance', quantity: 'length', secondCrane: true },
+    lateralLoadPercent: { label: 'Lateral load', unit: '% of P + H', designCriteria: true },
+    longitudinalLoadPercent: { label: 'Longitudinal load', unit: '% of MWL', designCriteria: true },
+    impactPercent: { label: 'Impact', unit: '% of capacity', designCriteria: true },
+    lateralDeflectionLimit: { label: 'Lateral deflection limit', unit: 'L/n', designCriteria: true },
+    longitudinalDeflectionLimit: { label: 'Longitudinal deflection limit', unit: 'L/n', designCriteria: true },
+    allowableStress: { label: 'Allowable stress', quantity: 'stress', designCriteria: true }
+};
+
+// Server parameter names that do not match a single form field
+const SERVER_PARAMETER_FIELDS = {
+    weightBeam: ['girderWeight', 'panelWeight', 'endTruckWeight'],
+    bridgeSpan: ['supportCenters'],
+    'secondCrane.ratedCapacity': ['crane2RatedCapacity'],
+    'secondCrane.weightHoistTrolley': ['crane2WeightHoistTrolley'],
+    'secondCrane.weightBeam': ['crane2GirderWeight', 'crane2PanelWeight', 'crane2EndTruckWeight'],
+    'secondCrane.wheelBase': ['crane2WheelBase'],
+    'secondCrane.bumperDistance': ['bumperDistance'],
+    'designCriteria.serviceClass': ['serviceClass'],
+    'designCriteria.profile': ['designProfile'],
+    'designCriteria.name': ['criteriaName'],
+    'designCriteria.lateralLoadPercent': ['lateralLoadPercent'],
+    'designCriteria.longitudinalLoadPercent': ['longitudinalLoadPercent'],
+    'designCriteria.impactRule': ['impactRule'],
+    'designCriteria.impactPercent': ['impactPercent'],
+    'designCriteria.lateralDeflectionLimit': ['lateralDeflectionLimit'],
+    'designCriteria.longitudinalDeflectionLimit': ['longitudinalDeflectionLimit'],
+    'designCriteria.allowableStress': ['allowableStress'],
+    candidateFilter: ['candidateFilter']
+};
+
+let validationController = null;
+let formIsValid = false;
+const touchedFields = new Set();
+
+/**
+ * Map a server parameter name to the form fields it refers to
+ */
+function getFieldsForParameter(parameter) {
+    if (!parameter) return [];
+    if (SERVER_PARAMETER_FIELDS[parameter]) return SERVER_PARAMETER_FIELDS[parameter];
+    return FIELD_RULES[parameter] ? [parameter] : [];
+}
+
+/**
+ * Fields that show inline messages: the rule fields plus the fields server parameters map to
+ */
+function getMessageFields() {
+    return [...new Set([...Object.keys(FIELD_RULES), ...Object.values(SERVER_PARAMETER_FIELDS).flat()])];
+}
+
+/**
+ * Strip the " (Parameter 'x')" suffix .NET adds to argument exception messages
+ */
+function cleanServerMessage(message) {
+    return String(message || '').replace(/\s*\(Parameter '[^']*'\)\s*$/, '');
+}
+
+/**
+ * Rules that apply to a configuration (second crane fields only in two-crane mode, design criteria
+ * fields only for a custom profile)
+ */
+function getActiveFieldRules(config) {
+    return Object.entries(FIELD_RULES).filter(([, rule]) =>
+        (!rule.secondCrane || config.twoCranes) && (!rule.designCriteria || config.designProfile === 'custom'));
+}
+
+/**
+ * Required/numeric checks that do not need the server
+ */
+function getClientErrors(config) {
+    const errors = {};
+
+    getActiveFieldRules(config).forEach(([field, rule]) => {
+        const value = config[field];
+        if (value === null || !Number.isFinite(value)) {
+            if (!rule.optional) errors[field] = `${rule.label} is required`;
+        } else if (rule.integer && !Number.isInteger(value)) {
+            errors[field] = `${rule.label} must be a whole number`;
+        } else if (rule.positive && value <= 0) {
+            errors[field] = `${rule.label} must be positive`;
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Typical-range warnings (engineering guidance, not hard limits)
+ */
+function getRangeWarnings(config) {
+    const warnings = {};
+
+    getActiveFieldRules(config).forEach(([field, rule]) => {
+        const value = config[field];
+        if (!rule.typical || !Number.isFinite(value)) return;
+
+        const [min, max] = rule.typical;
+        if (value < min || value > max) {
+            const format = limit => rule.quantity ? formatQuantityValue(limit, rule.quantity) : limit.toLocaleString();
+            const range = max === Infinity ? `${format(min)}+` : `${format(min)} - ${format(max)}`;
+            warnings[field] = `Outside typical range (${range} ${rule.quantity ? unitLabel(rule.quantity) : rule.unit})`;
+        }
+    });
+
+    return warnings;
+}
+
+/**
+ * Run /validate, or the local engine when offline. Returns { isValid, parameter, error, calculatedValues }.
+ */
+async function requestValidation(config, signal) {
+    config = withDesignCriteria(withSecondCrane(config));
+
+    if (useLocalEngine) {
+        try {
+            return BeamEngine.validate(config);
+        } catch (error) {
+            return { isValid: false, parameter: error.paramName, error: error.message };
+        }
+    }
+
+    const response = await fetch(`${API_BASE}/validate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(config),
+        signal: signal
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (response.ok || response.status === 400) {
+        return body;
+    }
+
+    throw new Error(body.details || `Validation failed: ${response.status}`);
+}
+
+/**
+ * Show an inline message under a field (type: 'error' | 'warning' | null)
+ */
+function setFieldMessage(field, type, text) {
+    const input = document.getElementById(field);
+    const message = document.getElementById(`${field}-message`);
+    if (!input || !message) return;
+
+    input.classList.toggle('input-error', type === 'error');
+    input.classList.toggle('input-warning', type === 'warning');
+    message.className = `field-message${type ? ` ${type}` : ''}`;
+    message.textContent = text || '';
+}
+
+/**
+ * Show an analysis error under the fields its server parameter refers to (e.g. a candidate filter no beam passes)
+ */
+function showParameterError(parameter, message) {
+    getFieldsForParameter(parameter).forEach(field => setFieldMessage(field, 'error', cleanServerMessage(message)));
+}
+
+/**
+ * Show the derived values returned by validation
+ */
+function displayDerivedValues(calculatedValues) {
+    const values = calculatedValues || {};
+    document.getElementById('derivedMaxWheelLoad').textContent = Number.isFinite(values.maxWheelLoad) ?
+        formatQuantity(values.maxWheelLoad, 'force', 'integer') : '-';
+    document.getElementById('derivedImpactFactor').textContent = Number.isFinite(values.impactFactor) ?
+        values.impactFactor.toFixed(3) : '-';
+    document.getElementById('derivedSpanRatio').textContent = Number.isFinite(values.wheelbaseSpanRatio) ?
+        values.wheelbaseSpanRatio.toFixed(3) : '-';
+    document.getElementById('derivedCraneWeight').textContent = Number.isFinite(values.totalBeamWeight) ?
+        formatQuantity(values.totalBeamWeight, 'force') : '-';
+    document.getElementById('derivedLateralLoad').textContent = Number.isFinite(values.lateralLoad) ?
+        formatQuantity(values.lateralLoad, 'force', 'integer') : '-';
+    document.getElementById('derivedLongitudinalLoad').textContent = Number.isFinite(values.longitudinalLoad) ?
+        formatQuantity(values.longitudinalLoad, 'force', 'integer') : '-';
+}
+
+/**
+ * Enable the analyze button only for a valid form, with the first problem as its tooltip
+ */
+function setFormValidity(isValid, summary) {
+    formIsValid = isValid;
+
+    const button = document.getElementById('analyzeBtn');
+    if (button) {
+        button.disabled = !isValid;
+        button.title = isValid ? '' : summary || 'Complete the configuration';
+    }
+
+    const summaryElement = document.getElementById('validationSummary');
+    if (summaryElement) {
+        summaryElement.textContent = isValid ? '' : summary || '';
+    }
+}
+
+/**
+ * Validate every field. Errors show inline next to touched fields (all fields when showAll is set).
+ * Resolves true when the form is valid and unchanged since validation started.
+ */
+async function validateForm(options = {}) {
+    if (options.showAll) {
+        getMessageFields().forEach(field => touchedFields.add(field));
+    }
+
+    if (validationController) {
+        validationController.abort();
+    }
+    validationController = new AbortController();
+    const signal = validationController.signal;
+
+    const config = getFormData();
+    const errors = getClientErrors(config);
+    const warnings = getRangeWarnings(config);
+    let calculatedValues = null;
+
+    if (Object.keys(errors).length === 0 && isEngineAvailable()) {
+        try {
+            const result = await requestValidation(config, signal);
+            if (signal.aborted) return false;
+
+            if (result.isValid) {
+                calculatedValues = result.calculatedValues;
+            } else {
+                const fields = getFieldsForParameter(result.parameter);
+                const message = cleanServerMessage(result.error || result.details) || 'Invalid configuration';
+                (fields.length > 0 ? fields : ['_form']).forEach(field => { errors[field] = message; });
+            }
+        } catch (error) {
+            if (isAbortError(error)) return false;
+            console.warn('Validation request failed:', error);
+        }
+    }
+
+    // Form-level errors have no field, so they only appear in the summary
+    getMessageFields().forEach(field => {
+        if (errors[field] && touchedFields.has(field)) {
+            setFieldMessage(field, 'error', errors[field]);
+        } else if (warnings[field]) {
+            setFieldMessage(field, 'warning', warnings[field]);
+        } else {
+            setFieldMessage(field, null, '');
+        }
+    });
+
+    displayDerivedValues(calculatedValues);
+
+    const firstError = Object.values(errors)[0];
+    setFormValidity(!firstError, firstError);
+
+    // A newer edit supersedes this result
+    const unchanged = JSON.stringify(getFormData()) === JSON.stringify(config);
+    return !firstError && unchanged;
+}
+
+/**
+ * True when the last validation passed
+ */
+function isFormValid() {
+    return formIsValid;
+}
+
+/**
+ * Add inline message elements and track which fields the user has edited
+ */
+function initializeFormValidation() {
+    getMessageFields().forEach(field => {
+        const input = document.getElementById(field);
+        if (!input) return;
+
+        const message = document.createElement('div');
+        message.id = `${field}-message`;
+        message.className = 'field-message';
+        input.insertAdjacentElement('afterend', message);
+
+        input.addEventListener('input', () => touchedFields.add(field));
+    });
+}
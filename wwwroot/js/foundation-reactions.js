@@ -0,0 +1,226 @@
+// Foundation Reactions - per-column reactions and ASD/LRFD combinations for footing design
+
+// Unfactored components of a column reaction (ColumnReaction): result key, load symbol and direction
+const REACTION_COMPONENTS = [
+    { key: 'dead', symbol: 'D', label: 'Dead (beam)', direction: 'vertical' },
+    { key: 'craneVertical', symbol: 'Cvs', label: 'Crane vertical', direction: 'vertical' },
+    { key: 'impact', symbol: 'Cvi', label: 'Impact', direction: 'vertical' },
+    { key: 'lateral', symbol: 'Css', label: 'Lateral', direction: 'lateral' },
+    { key: 'longitudinal', symbol: 'Cls', label: 'Longitudinal', direction: 'longitudinal' }
+];
+
+// Reaction values of a load or combination row, in export order
+const REACTION_VALUES = [
+    { key: 'vertical', label: 'Vertical', quantity: 'forceKips' },
+    { key: 'lateral', label: 'Lateral', quantity: 'forceKips' },
+    { key: 'longitudinal', label: 'Longitudinal', quantity: 'forceKips' },
+    { key: 'lateralMoment', label: 'Lateral Moment', quantity: 'moment' },
+    { key: 'longitudinalMoment', label: 'Longitudinal Moment', quantity: 'moment' }
+];
+
+const REACTION_POSITION = 'Crane at the column, trolley at the near end of the bridge';
+
+/**
+ * Load position of the reactions; with a second crane, the arrangement governing the columns
+ */
+function getReactionPosition() {
+    const columns = getGoverningArrangement(currentAnalysisResults, 'governsColumns');
+    if (getCraneArrangements(currentAnalysisResults).length < 2 || !columns) return REACTION_POSITION;
+
+    return columns.cranes.length > 1 ?
+        `${columns.name} placed for the largest column reaction, trolleys at the near end of the bridge` :
+        `${columns.name} at the column, trolley at the near end of the bridge`;
+}
+
+/**
+ * US value in the current system, rounded for export
+ */
+function exportReactionValue(value, quantity) {
+    return Number(toDisplayUnits(value, quantity).toFixed(4));
+}
+
+/**
+ * Column reactions of the current analysis, or an empty list for analyses saved before they existed
+ */
+function getColumnReactions() {
+    return currentAnalysisResults?.results?.columnReactions || [];
+}
+
+/**
+ * One unfactored load as a reaction row: the component in its direction, with its base moment
+ */
+function getComponentReaction(reaction, component) {
+    const values = { vertical: 0, lateral: 0, longitudinal: 0, lateralMoment: 0, longitudinalMoment: 0 };
+    values[component.direction] = reaction[component.key];
+    if (component.direction === 'lateral') values.lateralMoment = reaction.lateralMoment;
+    if (component.direction === 'longitudinal') values.longitudinalMoment = reaction.longitudinalMoment;
+    return values;
+}
+
+/**
+ * Column with the largest factored vertical reaction
+ */
+function getGoverningColumn(reactions) {
+    const maxVertical = reaction => Math.max(...reaction.combinations.map(combination => combination.vertical));
+    return reactions.reduce((governing, reaction) => maxVertical(reaction) > maxVertical(governing) ? reaction : governing);
+}
+
+/**
+ * Component table for every column, then the combinations of the chosen column
+ */
+function renderColumnReactions() {
+    const container = document.getElementById('columnReactions');
+    const select = document.getElementById('reactionColumn');
+    if (!container) return;
+
+    const reactions = getColumnReactions();
+    if (reactions.length === 0) {
+        container.innerHTML = '<p class="takeoff-note">No column reactions for this analysis. Run it again to calculate them.</p>';
+        select.innerHTML = '';
+        document.getElementById('reactionCombinations').innerHTML = '';
+        return;
+    }
+
+    const governing = getGoverningColumn(reactions);
+    const chosen = reactions.find(reaction => String(reaction.column) === select.value) || governing;
+    select.innerHTML = reactions.map(reaction =>
+        `<option value="${reaction.column}"${reaction === chosen ? ' selected' : ''}>Column ${reaction.column}${reaction === governing ? ' (governing)' : ''}</option>`
+    ).join('');
+
+    const force = value => formatQuantityValue(value, 'forceKips', 'decimal');
+    const moment = value => formatQuantityValue(value, 'moment', 'decimal');
+
+    container.innerHTML = `
+        <table class="beam-candidates-table reaction-table">
+            <thead>
+                <tr>
+                    <th>Column</th>
+                    <th>Position<br>(${unitLabel('length')})</th>
+                    ${REACTION_COMPONENTS.map(component => `<th>${component.label}<br>${component.symbol} (${unitLabel('forceKips')})</th>`).join('')}
+                    <th>Lateral Moment<br>(${unitLabel('moment')})</th>
+                    <th>Longitudinal Moment<br>(${unitLabel('moment')})</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${reactions.map(reaction => `
+                    <tr class="${reaction === governing ? 'reaction-governing' : ''}">
+                        <td>${reaction.column}${reaction.isEndColumn ? ' <span class="reaction-end">end</span>' : ''}</td>
+                        <td>${formatQuantityValue(reaction.position, 'length', 1)}</td>
+                        ${REACTION_COMPONENTS.map(component => `<td>${force(reaction[component.key])}</td>`).join('')}
+                        <td>${moment(reaction.lateralMoment)}</td>
+                        <td>${moment(reaction.longitudinalMoment)}</td>
+                    </tr>`).join('')}
+            </tbody>
+        </table>
+        <p class="takeoff-note">${getReactionPosition()}, one runway line. Horizontal forces act at rail height.</p>
+    `;
+
+    document.getElementById('reactionCombinations').innerHTML = `
+        <table class="beam-candidates-table reaction-table">
+            <thead>
+                <tr>
+                    <th>Method</th>
+                    <th>Combination</th>
+                    ${REACTION_VALUES.map(value => `<th>${value.label}<br>(${unitLabel(value.quantity)})</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${chosen.combinations.map(combination => `
+                    <tr>
+                        <td>${combination.method}</td>
+                        <td>${escapeHtml(combination.combination)}</td>
+                        ${REACTION_VALUES.map(value => `<td>${formatQuantityValue(combination[value.key], value.quantity, 'decimal')}</td>`).join('')}
+                    </tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Flat reaction table: for each column, its unfactored loads then every combination.
+ * Header cells carry the units of the current system; every row names the design criteria.
+ */
+function createReactionData(reactions) {
+    const data = [[
+        'Column', labelWithUnit('Position', 'length'), 'End Column', 'Method', 'Load',
+        ...REACTION_VALUES.map(value => labelWithUnit(value.label, value.quantity)), 'Design Criteria'
+    ]];
+    const criteria = formatDesignCriteria(getAnalysisDesignCriteria(currentAnalysisResults));
+    const valueCells = values => [...REACTION_VALUES.map(value => exportReactionValue(values[value.key], value.quantity)), criteria];
+
+    reactions.forEach(reaction => {
+        const lead = [reaction.column, exportReactionValue(reaction.position, 'length'), reaction.isEndColumn ? 'Yes' : 'No'];
+        REACTION_COMPONENTS.forEach(component => {
+            data.push([...lead, 'Unfactored', component.symbol, ...valueCells(getComponentReaction(reaction, component))]);
+        });
+        reaction.combinations.forEach(combination => {
+            data.push([...lead, combination.method, combination.combination, ...valueCells(combination)]);
+        });
+    });
+
+    return data;
+}
+
+/**
+ * Reactions as a self-describing JSON document in the current unit system
+ */
+function createReactionJson(reactions) {
+    const reactionValues = values => Object.fromEntries(REACTION_VALUES.map(value => [value.key, exportReactionValue(values[value.key], value.quantity)]));
+
+    return {
+        generated: new Date().toISOString(),
+        units: { force: unitLabel('forceKips'), moment: unitLabel('moment'), length: unitLabel('length') },
+        beam: currentAnalysisResults.results.selectedBeam?.designation || null,
+        railHeight: exportReactionValue(currentConfiguration.railHeight, 'length'),
+        supportCenters: exportReactionValue(currentConfiguration.supportCenters, 'length'),
+        loadPosition: getReactionPosition(),
+        designCriteria: getAnalysisDesignCriteria(currentAnalysisResults),
+        columns: reactions.map(reaction => ({
+            column: reaction.column,
+            position: exportReactionValue(reaction.position, 'length'),
+            isEndColumn: reaction.isEndColumn,
+            tributaryLength: exportReactionValue(reaction.tributaryLength, 'length'),
+            loads: Object.fromEntries(REACTION_COMPONENTS.map(component =>
+                [component.symbol, reactionValues(getComponentReaction(reaction, component))])),
+            combinations: reaction.combinations.map(combination => ({
+                method: combination.method,
+                combination: combination.combination,
+                ...reactionValues(combination)
+            }))
+        }))
+    };
+}
+
+/**
+ * Download the reaction table as CSV or JSON
+ */
+function exportColumnReactions(format) {
+    const reactions = getColumnReactions();
+    if (reactions.length === 0) {
+        showError('No column reactions to export. Please run an analysis first.');
+        return;
+    }
+
+    try {
+        const fileName = `beam-foundation-reactions-${getDateStamp()}`;
+        if (format === 'json') {
+            downloadFile(JSON.stringify(createReactionJson(reactions), null, 2), `${fileName}.json`, 'application/json');
+        } else {
+            downloadFile(convertToCSV(createReactionData(reactions)), `${fileName}.csv`, 'text/csv;charset=utf-8;');
+        }
+        showSuccess(`✅ Exported reactions for ${reactions.length} column(s)`);
+    } catch (error) {
+        showError(`❌ Export failed: ${error.message}`);
+        console.error('Export error:', error);
+    }
+}
+
+/**
+ * Redraw the combinations when another column is chosen
+ */
+function initializeFoundationReactions() {
+    const select = document.getElementById('reactionColumn');
+    if (!select) return;
+
+    select.addEventListener('change', renderColumnReactions);
+}
@@ -0,0 +1,262 @@
+// Parametric Sweep - lightest adequate beam across a range of support centers or rated capacity
+
+// Default ranges (US units) when the swept parameter changes
+const SWEEP_PARAMETERS = {
+    supportCenters: { label: 'Support Centers', quantity: 'length', digits: 1, min: 10, max: 60, step: 2.5 },
+    ratedCapacity: { label: 'Rated Capacity', quantity: 'force', digits: 0, min: 2000, max: 40000, step: 2000 }
+};
+
+// Chart geometry (SVG user units)
+const SWEEP_CHART = { width: 720, height: 320, left: 56, right: 56, top: 56, bottom: 44 };
+
+let currentSweep = null;
+
+/**
+ * Run a sweep against the API, or the local engine when offline
+ */
+async function requestSweep(body) {
+    body = withDesignCriteria(withSecondCrane(withCandidateFilter(withCustomSections(body))));
+
+    if (useLocalEngine) {
+        return BeamEngine.sweep(body);
+    }
+
+    const response = await fetch(`${API_BASE}/sweep`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        const errorBody = await response.json().catch(() => ({}));
+        throw new Error(errorBody.details || `Sweep failed: ${response.status}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Fill the range inputs with defaults for the selected parameter
+ */
+function applySweepDefaults() {
+    const parameter = SWEEP_PARAMETERS[document.getElementById('sweepParameter').value];
+    ['sweepMin', 'sweepMax', 'sweepStep'].forEach(field => {
+        document.getElementById(field).dataset.quantity = parameter.quantity;
+    });
+    writeQuantity('sweepMin', parameter.min);
+    writeQuantity('sweepMax', parameter.max);
+    writeQuantity('sweepStep', parameter.step);
+    document.querySelectorAll('.sweep-unit').forEach(element => { element.dataset.unit = parameter.quantity; });
+    updateUnitLabels();
+}
+
+/**
+ * Mark points whose lightest beam differs from the previous point that had one
+ */
+function markDesignationChanges(points) {
+    let previous = null;
+    return points.map(point => {
+        const changed = Boolean(point.designation) && previous !== null && point.designation !== previous;
+        if (point.designation) previous = point.designation;
+        return { ...point, changed: changed };
+    });
+}
+
+/**
+ * Run the sweep for the current form configuration
+ */
+async function runSweep() {
+    if (!isEngineAvailable()) {
+        showError('❌ No API connection available');
+        return;
+    }
+
+    const button = document.getElementById('sweepBtn');
+    button.disabled = true;
+
+    try {
+        const body = {
+            ...getFormData(),
+            parameter: document.getElementById('sweepParameter').value,
+            min: readQuantity('sweepMin', 0),
+            max: readQuantity('sweepMax', 0),
+            step: readQuantity('sweepStep', 0)
+        };
+
+        const data = await requestSweep(body);
+        currentSweep = { ...data, points: markDesignationChanges(data.points) };
+
+        renderSweepChart(currentSweep);
+        renderSweepTable(currentSweep);
+
+        const changes = currentSweep.points.filter(point => point.changed).length;
+        showSuccess(`✅ Sweep complete: ${currentSweep.points.length} points, ${changes} designation change(s)`);
+    } catch (error) {
+        showError(`❌ Sweep failed: ${cleanServerMessage(error.message)}`);
+        console.error('Sweep error:', error);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Draw utilization and beam weight against the swept value, with a marker at each designation change
+ */
+function renderSweepChart(sweep) {
+    const container = document.getElementById('sweepChart');
+    const parameter = SWEEP_PARAMETERS[sweep.parameter];
+    const { width, height, left, right, top, bottom } = SWEEP_CHART;
+    const plotWidth = width - left - right;
+    const plotHeight = height - top - bottom;
+
+    const sized = sweep.points.filter(point => point.designation);
+    if (sized.length === 0) {
+        container.innerHTML = '<p class="sweep-empty">No adequate beam at any point in this range.</p>';
+        return;
+    }
+
+    const span = sweep.max - sweep.min || 1;
+    const maxUtilization = Math.max(100, ...sized.map(point => point.utilization));
+    const maxWeight = Math.max(...sized.map(point => point.weight)) * 1.1;
+
+    const x = value => left + ((value - sweep.min) / span) * plotWidth;
+    const yUtilization = value => top + plotHeight - (value / maxUtilization) * plotHeight;
+    const yWeight = value => top + plotHeight - (value / maxWeight) * plotHeight;
+
+    // Break both lines wherever a point has no beam
+    const segments = [];
+    let segment = [];
+    sweep.points.forEach(point => {
+        if (point.designation) {
+            segment.push(point);
+        } else if (segment.length > 0) {
+            segments.push(segment);
+            segment = [];
+        }
+    });
+    if (segment.length > 0) segments.push(segment);
+
+    const utilizationPaths = segments.map(points =>
+        `<polyline class="sweep-utilization" points="${points.map(point => `${x(point.value)},${yUtilization(point.utilization)}`).join(' ')}" />`
+    ).join('');
+
+    // Weight is constant between designation changes, so draw it as steps
+    const weightPaths = segments.map(points => {
+        const path = points.map((point, index) => {
+            const px = x(point.value);
+            const py = yWeight(point.weight);
+            return index === 0 ? `M${px},${py}` : `H${px}V${py}`;
+        }).join('');
+        return `<path class="sweep-weight" d="${path}" />`;
+    }).join('');
+
+    const markers = sized.map(point => `
+        <circle class="sweep-point${point.utilization > 100 ? ' over' : ''}" cx="${x(point.value)}" cy="${yUtilization(point.utilization)}" r="3">
+            <title>${formatSweepValue(point.value, parameter)}: ${escapeHtml(point.designation)}, ${point.utilization.toFixed(1)}% utilized, ${formatQuantity(point.weight, 'linearWeight', 1)}</title>
+        </circle>`).join('');
+
+    const changes = sweep.points.filter(point => point.changed).map(point => `
+        <line class="sweep-change" x1="${x(point.value)}" y1="${top}" x2="${x(point.value)}" y2="${top + plotHeight}" />
+        <text class="sweep-change-label" transform="translate(${x(point.value) + 3},${top - 4}) rotate(-45)">${escapeHtml(point.designation)}</text>`).join('');
+
+    const ticks = [0, 0.25, 0.5, 0.75, 1];
+    const xTicks = ticks.map(t => {
+        const value = sweep.min + t * span;
+        return `<text class="sweep-axis-label" x="${x(value)}" y="${top + plotHeight + 16}" text-anchor="middle">${formatSweepValue(value, parameter)}</text>`;
+    }).join('');
+    const yTicks = ticks.map(t => `
+        <line class="sweep-grid" x1="${left}" y1="${top + plotHeight - t * plotHeight}" x2="${left + plotWidth}" y2="${top + plotHeight - t * plotHeight}" />
+        <text class="sweep-axis-label" x="${left - 6}" y="${top + plotHeight - t * plotHeight + 4}" text-anchor="end">${(t * maxUtilization).toFixed(0)}%</text>
+        <text class="sweep-axis-label" x="${left + plotWidth + 6}" y="${top + plotHeight - t * plotHeight + 4}">${toDisplayUnits(t * maxWeight, 'linearWeight').toFixed(0)}</text>`).join('');
+
+    const limitLine = `<line class="sweep-limit" x1="${left}" y1="${yUtilization(100)}" x2="${left + plotWidth}" y2="${yUtilization(100)}" />`;
+
+    container.innerHTML = `
+        <svg class="sweep-svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="Utilization and beam weight versus ${parameter.label.toLowerCase()}">
+            ${yTicks}
+            ${limitLine}
+            ${changes}
+            ${weightPaths}
+            ${utilizationPaths}
+            ${markers}
+            <line class="sweep-axis" x1="${left}" y1="${top + plotHeight}" x2="${left + plotWidth}" y2="${top + plotHeight}" />
+            ${xTicks}
+            <text class="sweep-axis-title" x="${left + plotWidth / 2}" y="${height - 6}" text-anchor="middle">${labelWithUnit(parameter.label, parameter.quantity)}</text>
+            <text class="sweep-axis-title" transform="translate(14,${top + plotHeight / 2}) rotate(-90)" text-anchor="middle">Utilization</text>
+            <text class="sweep-axis-title" transform="translate(${width - 8},${top + plotHeight / 2}) rotate(90)" text-anchor="middle">${labelWithUnit('Weight', 'linearWeight')}</text>
+        </svg>
+        <div class="sweep-legend">
+            <span class="legend-utilization">Utilization</span>
+            <span class="legend-weight">Beam weight</span>
+            <span class="legend-change">Designation change</span>
+        </div>
+    `;
+}
+
+/**
+ * Format a swept value in the current unit system
+ */
+function formatSweepValue(value, parameter) {
+    const display = toDisplayUnits(value, parameter.quantity);
+    return display.toLocaleString(undefined, { maximumFractionDigits: isMetricUnits() ? 0 : parameter.digits });
+}
+
+/**
+ * List every sweep point, highlighting rows where the designation changes
+ */
+function renderSweepTable(sweep) {
+    const container = document.getElementById('sweepTable');
+    const parameter = SWEEP_PARAMETERS[sweep.parameter];
+
+    let tableHTML = `
+        <table class="beam-candidates-table sweep-table">
+            <thead>
+                <tr>
+                    <th>${parameter.label}<br>(${unitLabel(parameter.quantity)})</th>
+                    <th>Designation</th>
+                    <th>Weight<br>(${unitLabel('linearWeight')})</th>
+                    <th>ECL<br>(${unitLabel('force')})</th>
+                    <th>Capacity<br>(${unitLabel('force')})</th>
+                    <th>Utilization</th>
+                </tr>
+            </thead>
+            <tbody>
+    `;
+
+    sweep.points.forEach(point => {
+        if (!point.designation) {
+            tableHTML += `
+                <tr class="sweep-row-error">
+                    <td>${formatSweepValue(point.value, parameter)}</td>
+                    <td colspan="5">${escapeHtml(cleanServerMessage(point.error))}</td>
+                </tr>
+            `;
+            return;
+        }
+
+        tableHTML += `
+            <tr class="${point.changed ? 'sweep-row-change' : ''}">
+                <td>${formatSweepValue(point.value, parameter)}</td>
+                <td><strong>${escapeHtml(point.designation)}</strong>${point.changed ? ' <span class="sweep-change-badge">changed</span>' : ''}</td>
+                <td>${formatQuantityValue(point.weight, 'linearWeight', 1)}</td>
+                <td>${formatQuantityValue(point.ecl, 'force', 'integer')}</td>
+                <td>${formatQuantityValue(point.capacity, 'force', 'integer')}</td>
+                <td><span class="${getUtilizationClass(point.utilization)}">${point.utilization.toFixed(1)}%</span></td>
+            </tr>
+        `;
+    });
+
+    tableHTML += '</tbody></table>';
+    container.innerHTML = tableHTML;
+}
+
+/**
+ * Set the initial sweep range and follow parameter changes
+ */
+function initializeParametricSweep() {
+    const select = document.getElementById('sweepParameter');
+    if (!select) return;
+
+    select.addEventListener('change', applySweepDefaults);
+    applySweepDefaults();
+}
@@ -0,0 +1,296 @@
+// Project Manager - named projects with saved runway analyses (stored by ProjectStore)
+
+let activeProjectId = null;
+
+/**
+ * Format an ISO timestamp for the project lists
+ */
+function formatSavedDate(isoDate) {
+    return isoDate ? new Date(isoDate).toLocaleString() : '-';
+}
+
+/**
+ * Redraw the project list, keeping the active project highlighted, or explain why storage failed
+ */
+async function refreshProjects() {
+    const container = document.getElementById('projectList');
+
+    let projects;
+    try {
+        projects = await ProjectStore.listProjects();
+    } catch (error) {
+        container.innerHTML = `<p class="project-empty">Project storage is unavailable: ${escapeHtml(error.message)}</p>`;
+        console.error('Project storage error:', error);
+        return;
+    }
+
+    if (projects.length === 0) {
+        container.innerHTML = '<p class="project-empty">No projects yet. Create one to save analyses.</p>';
+        return;
+    }
+
+    container.innerHTML = projects.map(project => `
+        <div class="project-item${project.id === activeProjectId ? ' active' : ''}" onclick="selectProject(${project.id})">
+            <div class="project-item-name">${escapeHtml(project.name)}</div>
+            <div class="project-item-meta">
+                ${[project.jobNumber && `Job ${project.jobNumber}`, project.customer].filter(Boolean).map(escapeHtml).join(' · ')}
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Show a project's details and saved analyses
+ */
+async function selectProject(id) {
+    try {
+        const project = await ProjectStore.getProject(id);
+        if (!project) {
+            showError('❌ Project not found');
+            return;
+        }
+
+        activeProjectId = id;
+        document.getElementById('projectName').value = project.name;
+        document.getElementById('projectJobNumber').value = project.jobNumber || '';
+        document.getElementById('projectCustomer').value = project.customer || '';
+        document.getElementById('projectNotes').value = project.notes || '';
+        setProjectActionsEnabled(true);
+
+        await refreshProjects();
+        await renderProjectAnalyses();
+    } catch (error) {
+        showError(`❌ Could not open project: ${error.message}`);
+    }
+}
+
+/**
+ * Clear the details form for a new project
+ */
+function newProject() {
+    activeProjectId = null;
+    ['projectName', 'projectJobNumber', 'projectCustomer', 'projectNotes'].forEach(field => {
+        document.getElementById(field).value = '';
+    });
+    setProjectActionsEnabled(false);
+    document.getElementById('projectAnalyses').innerHTML = '';
+    document.getElementById('projectName').focus();
+    refreshProjects();
+}
+
+/**
+ * Actions that need a saved project
+ */
+function setProjectActionsEnabled(enabled) {
+    document.querySelectorAll('.project-requires-saved').forEach(button => {
+        button.disabled = !enabled;
+    });
+}
+
+/**
+ * Create the project, or save edits (including a rename) to the active one
+ */
+async function saveProjectDetails() {
+    try {
+        const existing = activeProjectId ? await ProjectStore.getProject(activeProjectId) : {};
+        const id = await ProjectStore.saveProject({
+            ...existing,
+            name: document.getElementById('projectName').value,
+            jobNumber: document.getElementById('projectJobNumber').value.trim(),
+            customer: document.getElementById('projectCustomer').value.trim(),
+            notes: document.getElementById('projectNotes').value.trim()
+        });
+
+        await selectProject(id);
+        showSuccess(`💾 Saved project "${document.getElementById('projectName').value.trim()}"`);
+    } catch (error) {
+        showError(`❌ Could not save project: ${error.message}`);
+    }
+}
+
+async function duplicateActiveProject() {
+    if (!activeProjectId) return;
+
+    try {
+        const id = await ProjectStore.duplicateProject(activeProjectId);
+        await selectProject(id);
+        showSuccess(`📄 Duplicated project as "${document.getElementById('projectName').value}"`);
+    } catch (error) {
+        showError(`❌ Could not duplicate project: ${error.message}`);
+    }
+}
+
+async function deleteActiveProject() {
+    if (!activeProjectId) return;
+
+    const name = document.getElementById('projectName').value;
+    if (!confirm(`Delete project "${name}" and all of its saved analyses?`)) return;
+
+    try {
+        await ProjectStore.deleteProject(activeProjectId);
+        newProject();
+        showSuccess(`🗑️ Deleted project "${name}"`);
+    } catch (error) {
+        showError(`❌ Could not delete project: ${error.message}`);
+    }
+}
+
+/**
+ * List the analyses saved in the active project
+ */
+async function renderProjectAnalyses() {
+    const container = document.getElementById('projectAnalyses');
+    const analyses = await ProjectStore.listAnalyses(activeProjectId);
+
+    if (analyses.length === 0) {
+        container.innerHTML = '<p class="project-empty">No saved analyses in this project.</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <table class="beam-candidates-table">
+            <thead>
+                <tr>
+                    <th>Name</th>
+                    <th>Beam</th>
+                    <th class="hide-mobile">Saved</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${analyses.map(analysis => {
+                    const beam = analysis.analysis?.beamCandidates?.[analysis.selectedBeamIndex];
+                    return `
+                        <tr>
+                            <td>${escapeHtml(analysis.name)}</td>
+                            <td>${escapeHtml(beam?.designation || '-')}</td>
+                            <td class="hide-mobile">${formatSavedDate(analysis.savedAt)}</td>
+                            <td class="project-analysis-actions">
+                                <button class="beam-select-btn" onclick="openSavedAnalysis(${analysis.id})">Open</button>
+                                <button class="beam-select-btn" onclick="renameSavedAnalysis(${analysis.id})">Rename</button>
+                                <button class="beam-select-btn" onclick="duplicateSavedAnalysis(${analysis.id})">Duplicate</button>
+                                <button class="beam-select-btn danger" onclick="deleteSavedAnalysis(${analysis.id})">Delete</button>
+                            </td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Save the current inputs, candidates, selection and results into the active project
+ */
+async function saveCurrentAnalysis() {
+    if (!activeProjectId) {
+        showError('Select or create a project first.');
+        return;
+    }
+    if (!currentAnalysisResults?.results || currentBeamCandidates.length === 0) {
+        showError('No results to save. Please run an analysis first.');
+        return;
+    }
+
+    const nameInput = document.getElementById('analysisName');
+    const beam = currentBeamCandidates[selectedBeamIndex] || currentBeamCandidates[0];
+    const name = nameInput.value.trim() || `${beam.designation} @ ${formatQuantity(currentConfiguration.supportCenters, 'length')}`;
+
+    try {
+        // JSON round trip drops anything IndexedDB cannot clone
+        await ProjectStore.saveAnalysis({
+            projectId: activeProjectId,
+            name: name,
+            formData: { ...currentConfiguration },
+            selectedBeamIndex: selectedBeamIndex,
+            analysis: JSON.parse(JSON.stringify(currentAnalysisResults))
+        });
+
+        nameInput.value = '';
+        await refreshProjects();
+        await renderProjectAnalyses();
+        showSuccess(`💾 Saved analysis "${name}"`);
+    } catch (error) {
+        showError(`❌ Could not save analysis: ${error.message}`);
+    }
+}
+
+/**
+ * Restore a saved analysis into the form and results panel
+ */
+async function openSavedAnalysis(id) {
+    try {
+        const saved = await ProjectStore.getAnalysis(id);
+        if (!saved) {
+            showError('❌ Saved analysis not found');
+            return;
+        }
+
+        restoreAnalysis(saved.formData, saved.analysis, saved.selectedBeamIndex);
+        await validateForm();
+        showSuccess(`📂 Opened "${saved.name}"`);
+    } catch (error) {
+        showError(`❌ Could not open analysis: ${error.message}`);
+    }
+}
+
+async function renameSavedAnalysis(id) {
+    try {
+        const saved = await ProjectStore.getAnalysis(id);
+        if (!saved) {
+            showError('❌ Saved analysis not found');
+            return;
+        }
+
+        const name = prompt('Rename analysis', saved.name);
+        if (!name || !name.trim()) return;
+
+        await ProjectStore.renameAnalysis(id, name.trim());
+        await renderProjectAnalyses();
+    } catch (error) {
+        showError(`❌ Could not rename analysis: ${error.message}`);
+    }
+}
+
+async function duplicateSavedAnalysis(id) {
+    try {
+        await ProjectStore.duplicateAnalysis(id);
+        await renderProjectAnalyses();
+    } catch (error) {
+        showError(`❌ Could not duplicate analysis: ${error.message}`);
+    }
+}
+
+async function deleteSavedAnalysis(id) {
+    try {
+        const saved = await ProjectStore.getAnalysis(id);
+        if (!saved) {
+            showError('❌ Saved analysis not found');
+            return;
+        }
+        if (!confirm(`Delete saved analysis "${saved.name}"?`)) return;
+
+        await ProjectStore.deleteAnalysis(id);
+        await renderProjectAnalyses();
+    } catch (error) {
+        showError(`❌ Could not delete analysis: ${error.message}`);
+    }
+}
+
+/**
+ * Load the project list, or explain why projects are unavailable
+ */
+async function initializeProjectManager() {
+    const container = document.getElementById('projectList');
+    if (!container) return;
+
+    setProjectActionsEnabled(false);
+
+    if (!ProjectStore.isAvailable()) {
+        container.innerHTML = '<p class="project-empty">Projects need a browser with IndexedDB support.</p>';
+        document.querySelectorAll('.projects-card button').forEach(button => { button.disabled = true; });
+        return;
+    }
+
+    await refreshProjects();
+}
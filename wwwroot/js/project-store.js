@@ -0,0 +1,231 @@
+// Project Store - IndexedDB persistence for projects and their saved analyses
+// Projects: { id, name, jobNumber, customer, notes, createdAt, updatedAt }
+// Analyses: { id, projectId, name, savedAt, formData, selectedBeamIndex, analysis }
+
+(function (root, factory) {
+    const store = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = store;
+    } else {
+        root.ProjectStore = store;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DB_NAME = 'beamCalculator';
+    const DB_VERSION = 1;
+    const PROJECTS = 'projects';
+    const ANALYSES = 'analyses';
+
+    let dbPromise = null;
+
+    function isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and on first use create) the database
+     */
+    function openDatabase() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore(PROJECTS, { keyPath: 'id', autoIncrement: true });
+                    const analyses = db.createObjectStore(ANALYSES, { keyPath: 'id', autoIncrement: true });
+                    analyses.createIndex('projectId', 'projectId', { unique: false });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                dbPromise = null;
+                throw error;
+            });
+        }
+        return dbPromise;
+    }
+
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run work inside one transaction; resolves with work's result once the transaction commits
+     */
+    async function withTransaction(storeNames, mode, work) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            let result;
+            Promise.resolve(work(transaction))
+                .then(value => { result = value; })
+                .catch(error => {
+                    transaction.abort();
+                    reject(error);
+                });
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    function touchProject(transaction, projectId) {
+        const projects = transaction.objectStore(PROJECTS);
+        return promisify(projects.get(projectId)).then(project => {
+            if (!project) throw new Error(`Project ${projectId} not found`);
+            project.updatedAt = new Date().toISOString();
+            return promisify(projects.put(project));
+        });
+    }
+
+    /**
+     * All projects, most recently updated first
+     */
+    function listProjects() {
+        return withTransaction([PROJECTS], 'readonly', transaction =>
+            promisify(transaction.objectStore(PROJECTS).getAll())
+        ).then(projects => projects.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)));
+    }
+
+    function getProject(id) {
+        return withTransaction([PROJECTS], 'readonly', transaction =>
+            promisify(transaction.objectStore(PROJECTS).get(id)));
+    }
+
+    /**
+     * Create or update a project; resolves with its id
+     */
+    function saveProject(project) {
+        const now = new Date().toISOString();
+        const record = {
+            ...project,
+            name: String(project.name || '').trim(),
+            createdAt: project.createdAt || now,
+            updatedAt: now
+        };
+        if (!record.name) {
+            return Promise.reject(new Error('Project name is required'));
+        }
+        if (record.id === undefined || record.id === null) delete record.id;
+
+        return withTransaction([PROJECTS], 'readwrite', transaction =>
+            promisify(transaction.objectStore(PROJECTS).put(record)));
+    }
+
+    /**
+     * Delete a project and every analysis saved in it
+     */
+    function deleteProject(id) {
+        return withTransaction([PROJECTS, ANALYSES], 'readwrite', async transaction => {
+            const analyses = transaction.objectStore(ANALYSES);
+            const keys = await promisify(analyses.index('projectId').getAllKeys(id));
+            keys.forEach(key => analyses.delete(key));
+            transaction.objectStore(PROJECTS).delete(id);
+        });
+    }
+
+    /**
+     * Copy a project with all of its analyses; resolves with the new project id
+     */
+    function duplicateProject(id, name) {
+        return withTransaction([PROJECTS, ANALYSES], 'readwrite', async transaction => {
+            const projects = transaction.objectStore(PROJECTS);
+            const analyses = transaction.objectStore(ANALYSES);
+
+            const project = await promisify(projects.get(id));
+            if (!project) throw new Error(`Project ${id} not found`);
+
+            const now = new Date().toISOString();
+            const { id: _, ...copy } = project;
+            const newId = await promisify(projects.add({ ...copy, name: name || `${project.name} (copy)`, createdAt: now, updatedAt: now }));
+
+            const saved = await promisify(analyses.index('projectId').getAll(id));
+            saved.forEach(analysis => {
+                const { id: __, ...analysisCopy } = analysis;
+                analyses.add({ ...analysisCopy, projectId: newId });
+            });
+            return newId;
+        });
+    }
+
+    /**
+     * Analyses saved in a project, oldest first
+     */
+    function listAnalyses(projectId) {
+        return withTransaction([ANALYSES], 'readonly', transaction =>
+            promisify(transaction.objectStore(ANALYSES).index('projectId').getAll(projectId))
+        ).then(analyses => analyses.sort((a, b) => a.savedAt.localeCompare(b.savedAt)));
+    }
+
+    function getAnalysis(id) {
+        return withTransaction([ANALYSES], 'readonly', transaction =>
+            promisify(transaction.objectStore(ANALYSES).get(id)));
+    }
+
+    /**
+     * Create or update an analysis in its project; resolves with its id
+     */
+    function saveAnalysis(analysis) {
+        const record = { ...analysis, savedAt: analysis.savedAt || new Date().toISOString() };
+        if (record.id === undefined || record.id === null) delete record.id;
+
+        return withTransaction([PROJECTS, ANALYSES], 'readwrite', async transaction => {
+            await touchProject(transaction, record.projectId);
+            return promisify(transaction.objectStore(ANALYSES).put(record));
+        });
+    }
+
+    function renameAnalysis(id, name) {
+        return withTransaction([PROJECTS, ANALYSES], 'readwrite', async transaction => {
+            const analyses = transaction.objectStore(ANALYSES);
+            const analysis = await promisify(analyses.get(id));
+            if (!analysis) throw new Error(`Analysis ${id} not found`);
+            await touchProject(transaction, analysis.projectId);
+            return promisify(analyses.put({ ...analysis, name: name }));
+        });
+    }
+
+    /**
+     * Copy an analysis within its project; resolves with the new analysis id
+     */
+    function duplicateAnalysis(id, name) {
+        return withTransaction([PROJECTS, ANALYSES], 'readwrite', async transaction => {
+            const analyses = transaction.objectStore(ANALYSES);
+            const analysis = await promisify(analyses.get(id));
+            if (!analysis) throw new Error(`Analysis ${id} not found`);
+            await touchProject(transaction, analysis.projectId);
+
+            const { id: _, ...copy } = analysis;
+            return promisify(analyses.add({ ...copy, name: name || `${analysis.name} (copy)`, savedAt: new Date().toISOString() }));
+        });
+    }
+
+    function deleteAnalysis(id) {
+        return withTransaction([PROJECTS, ANALYSES], 'readwrite', async transaction => {
+            const analyses = transaction.objectStore(ANALYSES);
+            const analysis = await promisify(analyses.get(id));
+            if (!analysis) return;
+            await touchProject(transaction, analysis.projectId);
+            analyses.delete(id);
+        });
+    }
+
+    return {
+        isAvailable,
+        listProjects,
+        getProject,
+        saveProject,
+        deleteProject,
+        duplicateProject,
+        listAnalyses,
+        getAnalysis,
+        saveAnalysis,
+        renameAnalysis,
+        duplicateAnalysis,
+        deleteAnalysis
+    };
+});
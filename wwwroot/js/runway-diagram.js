@@ -0,0 +1,179 @@
+// Runway Diagram - plan and elevation of the analyzed configuration, drawn to scale
+
+// Drawing geometry (SVG user units): plan view band height, largest elevation height, margins
+const DIAGRAM = { width: 720, left: 70, right: 40, planHeight: 170, maxElevation: 220, elevationTop: 60, elevationBottom: 50 };
+
+// Two equal wheel loads give the largest simple-span moment with both on the span while A < (2 - √2) L
+const TWO_WHEEL_SPAN_RATIO = 2 - Math.SQRT2;
+
+/**
+ * Wheel positions (ft along the runway) for the largest moment in the middle span: the span center
+ * halfway between one wheel and the load resultant, or one wheel at midspan for long wheel bases
+ */
+function getMaxMomentWheels(config, runwayLength) {
+    const span = Math.floor((config.numCols - 1) / 2);
+    const start = span * config.supportCenters;
+
+    if (config.wheelBase < TWO_WHEEL_SPAN_RATIO * config.supportCenters) {
+        const first = start + config.supportCenters / 2 - config.wheelBase / 4;
+        return { span: span, wheels: [first, first + config.wheelBase] };
+    }
+
+    const first = start + config.supportCenters / 2;
+    const second = first + config.wheelBase <= runwayLength ? first + config.wheelBase : Math.max(first - config.wheelBase, 0);
+    return { span: span, wheels: [first, second].sort((a, b) => a - b) };
+}
+
+/**
+ * Wheel pairs (ft along the runway) of each crane drawn: the crane 1 maximum-moment position, or with a
+ * second crane the wheels of the arrangement governing the beam placed in the middle span
+ */
+function getDiagramCranes(config, data, runwayLength) {
+    const { span, wheels } = getMaxMomentWheels(config, runwayLength);
+    const governing = getGoverningArrangement(data, 'governsBeam');
+    if (getCraneArrangements(data).length < 2 || !governing || governing.cranes.join() === '1') {
+        return { span: span, cranes: [wheels], maxWheelLoads: [getCraneArrangements(data)[0]?.maxWheelLoad ?? data.results.maxWheelLoad] };
+    }
+
+    const start = span * config.supportCenters;
+    const positions = governing.wheelPositions.map(position => Math.min(Math.max(start + position, 0), runwayLength));
+    return {
+        span: span,
+        cranes: governing.cranes.map((_, index) => positions.slice(2 * index, 2 * index + 2)),
+        maxWheelLoads: governing.cranes.map((_, index) => governing.wheelLoads[2 * index]),
+        wheelBases: governing.cranes.map(crane => crane === 1 ? config.wheelBase : config.crane2WheelBase)
+    };
+}
+
+/**
+ * Line with an arrowhead at (x2, y2)
+ */
+function diagramArrow(x1, y1, x2, y2, className) {
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    const head = [angle + 2.7, angle - 2.7].map(a => `${x2 + 8 * Math.cos(a)},${y2 + 8 * Math.sin(a)}`).join(' ');
+    return `<g class="${className}"><line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" /><polygon points="${x2},${y2} ${head}" /></g>`;
+}
+
+/**
+ * Dimension line between two points with a centered label (horizontal or vertical)
+ */
+function diagramDimension(x1, y1, x2, y2, label) {
+    const vertical = x1 === x2;
+    const ticks = vertical ?
+        `<line x1="${x1 - 4}" y1="${y1}" x2="${x1 + 4}" y2="${y1}" /><line x1="${x2 - 4}" y1="${y2}" x2="${x2 + 4}" y2="${y2}" />` :
+        `<line x1="${x1}" y1="${y1 - 4}" x2="${x1}" y2="${y1 + 4}" /><line x1="${x2}" y1="${y2 - 4}" x2="${x2}" y2="${y2 + 4}" />`;
+    const text = vertical ?
+        `<text x="${x1 - 8}" y="${(y1 + y2) / 2}" text-anchor="end" dominant-baseline="middle">${escapeHtml(label)}</text>` :
+        `<text x="${(x1 + x2) / 2}" y="${y1 + 14}" text-anchor="middle">${escapeHtml(label)}</text>`;
+    return `<g class="diagram-dim"><line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" />${ticks}${text}</g>`;
+}
+
+/**
+ * SVG of the runway in plan (columns, bridge and wheels for maximum moment) and elevation
+ * (rail height, beam, cap channel, column bracing) with the design loads, or '' without results
+ */
+function renderRunwayDiagramSvg(config, data) {
+    const results = data?.results;
+    if (!results || !(config?.supportCenters > 0) || !(config.railHeight > 0) || !(config.numCols >= 2)) return '';
+
+    const { width, left, right, planHeight, maxElevation, elevationTop, elevationBottom } = DIAGRAM;
+    const columnExtent = (config.numCols - 1) * config.supportCenters;
+    const runwayLength = Math.max(columnExtent, config.runwayLength || 0);
+    const scale = Math.min((width - left - right) / runwayLength, maxElevation / config.railHeight);
+    const x = feet => left + feet * scale;
+
+    const columns = Array.from({ length: config.numCols }, (_, index) => index * config.supportCenters);
+    const { span, cranes, maxWheelLoads, wheelBases } = getDiagramCranes(config, data, runwayLength);
+    const wheels = cranes.flat();
+    const lastWheel = wheels[wheels.length - 1];
+    const bridges = cranes.map(pair => x((pair[0] + pair[1]) / 2));
+    const force = value => formatQuantity(value, 'force', 'integer');
+    const length = value => formatQuantity(value, 'length');
+
+    // Plan: near runway (trolley side) on top, far runway below
+    const nearY = 60;
+    const farY = planHeight - 40;
+    const runway = y => `<line class="diagram-runway" x1="${x(0)}" y1="${y}" x2="${x(runwayLength)}" y2="${y}" />`;
+    const planColumns = columns.map(position => [nearY, farY].map(y =>
+        `<rect class="diagram-column" x="${x(position) - 4}" y="${y - 4}" width="8" height="8" />`).join('')).join('');
+    const planWheels = [nearY, farY].map(y => cranes.map(pair => `
+        <line class="diagram-truck" x1="${x(pair[0])}" y1="${y}" x2="${x(pair[1])}" y2="${y}" />
+        ${pair.map(wheel => `<circle class="diagram-wheel" cx="${x(wheel)}" cy="${y}" r="4" />`).join('')}`).join('')).join('');
+    const planBridges = bridges.map(bridgeX => `
+        <rect class="diagram-bridge" x="${bridgeX - 4}" y="${nearY}" width="8" height="${farY - nearY}" />
+        <rect class="diagram-trolley" x="${bridgeX - 9}" y="${nearY + 6}" width="18" height="14" />`).join('');
+    const wheelBaseDimensions = cranes.length > 1 ?
+        cranes.map((pair, index) => diagramDimension(x(pair[0]), nearY - 22, x(pair[1]), nearY - 22, `A${index + 1} = ${length(wheelBases[index])}`)).join('') :
+        diagramDimension(x(wheels[0]), nearY - 22, x(wheels[1]), nearY - 22, `A = ${length(wheelBases?.[0] ?? config.wheelBase)}`);
+
+    const plan = `
+        <text class="diagram-title" x="10" y="18">PLAN</text>
+        ${runway(nearY)}
+        ${runway(farY)}
+        ${planColumns}
+        ${planBridges}
+        <text class="diagram-label" x="${bridges[bridges.length - 1] + 12}" y="${(nearY + farY) / 2 + 4}">${cranes.length > 1 ? 'Bridges (trolleys at near end)' : 'Bridge (trolley at near end)'}</text>
+        ${planWheels}
+        ${diagramArrow(x(lastWheel), nearY - 50, x(lastWheel), nearY - 6, 'diagram-load')}
+        <text class="diagram-load-label" x="${x(lastWheel) + 6}" y="${nearY - 40}">Lateral ${force(results.lateralLoad)}</text>
+        ${wheelBaseDimensions}
+        ${diagramDimension(x(columns[span]), farY + 14, x(columns[span + 1]), farY + 14, `L = ${length(config.supportCenters)}`)}
+        <text class="diagram-label" x="${x(0)}" y="18">Runway ${length(runwayLength)}, ${config.numCols} columns per side</text>
+    `;
+
+    // Elevation of the near runway line
+    const groundY = planHeight + elevationTop + config.railHeight * scale;
+    const railY = groundY - config.railHeight * scale;
+    const beamDepth = 6;
+    const designation = results.selectedBeam?.designation || '';
+
+    const elevationColumns = columns.map(position => `
+        <line class="diagram-column-line" x1="${x(position)}" y1="${groundY}" x2="${x(position)}" y2="${railY + beamDepth}" />
+        ${config.freestanding ?
+            `<rect class="diagram-footing" x="${x(position) - 8}" y="${groundY}" width="16" height="5" />` :
+            `<polyline class="diagram-pin" points="${x(position) - 6},${groundY + 6} ${x(position)},${groundY} ${x(position) + 6},${groundY + 6}" />`}
+    `).join('');
+    const bracing = config.freestanding ? '' : columns.slice(0, -1).filter((_, index) => index === span).map(position => `
+        <line class="diagram-brace" x1="${x(position)}" y1="${groundY}" x2="${x(position + config.supportCenters)}" y2="${railY + beamDepth}" />
+        <line class="diagram-brace" x1="${x(position + config.supportCenters)}" y1="${groundY}" x2="${x(position)}" y2="${railY + beamDepth}" />
+    `).join('');
+    const midspan = x(columns[span] + config.supportCenters / 2);
+
+    const elevation = `
+        <text class="diagram-title" x="10" y="${planHeight + 18}">ELEVATION</text>
+        <line class="diagram-ground" x1="${x(0) - 20}" y1="${groundY}" x2="${x(runwayLength) + 20}" y2="${groundY}" />
+        ${elevationColumns}
+        ${bracing}
+        <rect class="diagram-beam" x="${x(0)}" y="${railY}" width="${runwayLength * scale}" height="${beamDepth}" />
+        ${config.capped ? `<rect class="diagram-cap" x="${x(0)}" y="${railY - 3}" width="${runwayLength * scale}" height="3" />` : ''}
+        ${wheels.map(wheel => diagramArrow(x(wheel), railY - 40, x(wheel), railY - (config.capped ? 4 : 1), 'diagram-load')).join('')}
+        <text class="diagram-load-label" x="${x(lastWheel) + 6}" y="${railY - 30}">${cranes.length > 1 ?
+            `MWL ${maxWheelLoads.map(force).join(' / ')}` : `MWL ${force(maxWheelLoads[0])} each`}</text>
+        ${diagramArrow(midspan, railY - 58, midspan, railY - 42, 'diagram-load diagram-load-ecl')}
+        <text class="diagram-load-label" x="${midspan - 6}" y="${railY - 48}" text-anchor="end">ECL ${force(data.calculatedECL)}</text>
+        ${diagramArrow(x(lastWheel) + 14, railY + beamDepth / 2, x(lastWheel) + 54, railY + beamDepth / 2, 'diagram-load')}
+        <text class="diagram-load-label" x="${x(lastWheel) + 58}" y="${railY + beamDepth / 2 + 4}">Longitudinal ${force(results.longitudinalLoad)}</text>
+        ${diagramDimension(x(0) - 30, railY, x(0) - 30, groundY, length(config.railHeight))}
+        <text class="diagram-label" x="${x(0)}" y="${groundY + 22}">${escapeHtml(designation)}${config.capped ? ' (capped)' : ''}, ${config.freestanding ? 'freestanding columns' : 'braced columns'}</text>
+    `;
+
+    const height = Math.ceil(groundY + elevationBottom);
+    return `
+        <svg class="runway-diagram-svg" viewBox="0 0 ${width} ${height}" role="img"
+             aria-label="Runway plan and elevation: ${config.numCols} columns at ${escapeHtml(length(config.supportCenters))}, rail height ${escapeHtml(length(config.railHeight))}">
+            ${plan}
+            ${elevation}
+        </svg>
+    `;
+}
+
+/**
+ * Draw the diagram of the current analysis in the results panel
+ */
+function renderRunwayDiagram() {
+    const container = document.getElementById('runwayDiagram');
+    if (!container) return;
+
+    container.innerHTML = renderRunwayDiagramSvg(currentConfiguration, currentAnalysisResults) ||
+        '<p class="takeoff-note">Run an analysis to draw the runway.</p>';
+}
@@ -0,0 +1,377 @@
+// Runway Takeoff - beam segments, steel tonnage, columns and an estimated cost for the whole runway
+
+const PRICING_KEY = 'beamCalcPricing';
+const PRICING_FIELDS = ['pricingSteelRate', 'pricingChannelRate', 'pricingSectionRates', 'pricingColumnPrices', 'candidateRanking'];
+
+// Runway beams run along both sides of the crane
+const RUNWAY_LINES = 2;
+
+/**
+ * Parse "key: value" entries (one per line or comma separated) into { key: number }.
+ * numericKeys requires keys to be positive numbers (column heights).
+ */
+function parsePriceTable(text, numericKeys = false) {
+    const table = {};
+
+    String(text || '').split(/[\n,;]+/).map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const separator = entry.lastIndexOf(':');
+        const key = separator > 0 ? entry.slice(0, separator).trim() : '';
+        const value = Number(entry.slice(separator + 1).trim().replace(/^\$/, ''));
+
+        if (!key || !Number.isFinite(value) || value < 0 || (numericKeys && !(Number(key) > 0))) {
+            throw new Error(`"${entry}" is not a "${numericKeys ? 'height' : 'designation'}: price" pair`);
+        }
+        table[numericKeys ? Number(key) : key] = value;
+    });
+
+    return table;
+}
+
+/**
+ * Prices from the takeoff card in US units ($/lb, heights in ft). Throws with a message when a table entry is malformed.
+ */
+function getPricing() {
+    const steelRate = readQuantity('pricingSteelRate');
+    const channelRate = readQuantity('pricingChannelRate');
+    const sectionTable = getPriceTableText('pricingSectionRates');
+    const columnTable = getPriceTableText('pricingColumnPrices');
+    const sectionRates = parsePriceTable(sectionTable.text);
+    const columnPrices = {};
+
+    Object.keys(sectionRates).forEach(designation => {
+        if (!sectionTable.isUs) sectionRates[designation] = fromDisplayUnits(sectionRates[designation], 'pricePerMass');
+    });
+    Object.entries(parsePriceTable(columnTable.text, true)).forEach(([height, price]) => {
+        columnPrices[columnTable.isUs ? height : fromDisplayUnits(Number(height), 'length')] = price;
+    });
+
+    return {
+        steelRate: steelRate,
+        channelRate: channelRate ?? steelRate,
+        sectionRates: sectionRates,
+        columnPrices: columnPrices
+    };
+}
+
+/**
+ * Text of a price or capacity table and whether it is in US units: a table converted to SI
+ * and not edited since reads back as the US text it was converted from
+ */
+function getPriceTableText(id) {
+    const textarea = document.getElementById(id);
+    if (!isMetricUnits()) return { text: textarea.value, isUs: true };
+    if (textarea.dataset.usText !== undefined && textarea.dataset.shownText === textarea.value) {
+        return { text: textarea.dataset.usText, isUs: true };
+    }
+    return { text: textarea.value, isUs: false };
+}
+
+/**
+ * Rewrite the price tables for a new unit system (section rates per weight, column heights);
+ * entries that do not parse are left as typed
+ */
+function convertPriceTables(from, to) {
+    const rewrite = (id, convert) => {
+        const textarea = document.getElementById(id);
+        const { text, isUs } = getPriceTableText(id);
+
+        // Unedited since the last switch: restore the US text rather than converting back
+        if (to === 'us' && isUs) {
+            textarea.value = text;
+            delete textarea.dataset.usText;
+            return;
+        }
+
+        const usText = from === 'us' ? textarea.value : null;
+        textarea.value = textarea.value.replace(/[^\n,;]+/g, entry => {
+            const separator = entry.lastIndexOf(':');
+            const key = entry.slice(0, separator).trim();
+            const value = Number(entry.slice(separator + 1).trim().replace(/^\$/, ''));
+            if (separator <= 0 || !key || !Number.isFinite(value)) return entry;
+
+            const [newKey, newValue] = convert(key, value);
+            return `${entry.match(/^\s*/)[0]}${newKey}: ${newValue}`;
+        });
+
+        if (usText === null) {
+            delete textarea.dataset.usText;
+        } else {
+            textarea.dataset.usText = usText;
+            textarea.dataset.shownText = textarea.value;
+        }
+    };
+    const round = value => Number(value.toPrecision(6));
+
+    rewrite('pricingSectionRates', (designation, rate) =>
+        [designation, round(convertUnits(rate, 'pricePerMass', from, to))]);
+    rewrite('pricingColumnPrices', (height, price) =>
+        [Number(height) > 0 ? round(convertUnits(Number(height), 'length', from, to)) : height, price]);
+}
+
+/**
+ * Cap channel weight (lbs/ft) of a capped section, from "W+channel" designations or a custom section's channel
+ */
+function getChannelWeight(beam, capped) {
+    if (!capped) return 0;
+
+    const custom = beam.isCustom ? loadCustomSections().find(section => section.capped && section.designation === beam.designation) : null;
+    const channel = custom ? custom.channel : String(beam.designation).split('+')[1];
+    const match = /x\s*([\d.]+)\s*$/i.exec(channel || '');
+    return match ? Number(match[1]) : 0;
+}
+
+/**
+ * Price of one column from the height table: the first band at or above the rail height
+ */
+function getColumnPrice(columnPrices, railHeight) {
+    const band = Object.keys(columnPrices).map(Number).sort((a, b) => a - b).find(height => height >= railHeight);
+    return band === undefined ? null : columnPrices[band];
+}
+
+/**
+ * Runway length per side: the entered length, or the run covered by the analyzed columns
+ */
+function getRunwayLength(config) {
+    return config.runwayLength > 0 ? config.runwayLength : (config.numCols - 1) * config.supportCenters;
+}
+
+/**
+ * Beam segments per side: full support-center bays plus a shorter closing bay when the length is not a multiple
+ */
+function getRunwaySegments(runwayLength, supportCenters) {
+    const bays = Math.max(1, Math.ceil(runwayLength / supportCenters - 1e-9));
+    const closing = runwayLength - (bays - 1) * supportCenters;
+
+    if (Math.abs(closing - supportCenters) < 1e-6) {
+        return [{ length: supportCenters, count: bays }];
+    }
+    return [
+        { length: supportCenters, count: bays - 1 },
+        { length: closing, count: 1 }
+    ].filter(segment => segment.count > 0);
+}
+
+/**
+ * Material takeoff and estimated cost of one candidate for the analyzed configuration.
+ * Costs are null when the steel price is missing; column cost is null when no band covers the rail height.
+ */
+function calculateRunwayTakeoff(config, beam, pricing) {
+    const runwayLength = getRunwayLength(config);
+    const segments = getRunwaySegments(runwayLength, config.supportCenters);
+    const beamLength = runwayLength * RUNWAY_LINES;
+
+    const channelWeight = Math.min(getChannelWeight(beam, config.capped), beam.weight);
+    const shapeWeight = beam.weight - channelWeight;
+    const columnsPerSide = segments.reduce((sum, segment) => sum + segment.count, 0) + 1;
+    const columnCount = columnsPerSide * RUNWAY_LINES;
+
+    const takeoff = {
+        designation: beam.designation,
+        runwayLength: runwayLength,
+        runwayLengthEntered: config.runwayLength > 0,
+        segments: segments.map(segment => ({
+            ...segment,
+            count: segment.count * RUNWAY_LINES,
+            weight: segment.length * beam.weight
+        })),
+        shapeSteelWeight: shapeWeight * beamLength,
+        channelWeight: channelWeight * beamLength,
+        totalSteelWeight: beam.weight * beamLength,
+        columnsPerSide: columnsPerSide,
+        columnCount: columnCount,
+        columnPrice: null,
+        steelCost: null,
+        channelCost: null,
+        columnCost: null,
+        totalCost: null
+    };
+    takeoff.totalTons = takeoff.totalSteelWeight / 2000;
+
+    if (!pricing) return takeoff;
+
+    takeoff.columnPrice = getColumnPrice(pricing.columnPrices, config.railHeight);
+    takeoff.columnCost = takeoff.columnPrice === null ? null : takeoff.columnPrice * columnCount;
+
+    // A section price covers the whole section, cap included
+    const sectionRate = pricing.sectionRates[beam.designation];
+    if (sectionRate !== undefined) {
+        takeoff.steelCost = sectionRate * takeoff.totalSteelWeight;
+        takeoff.channelCost = 0;
+    } else if (pricing.steelRate !== null) {
+        takeoff.steelCost = pricing.steelRate * takeoff.shapeSteelWeight;
+        takeoff.channelCost = pricing.channelRate * takeoff.channelWeight;
+    }
+
+    if (takeoff.steelCost !== null) {
+        takeoff.totalCost = takeoff.steelCost + takeoff.channelCost + (takeoff.columnCost ?? 0);
+    }
+    return takeoff;
+}
+
+/**
+ * Takeoff for every candidate of the analysis on screen (empty before an analysis or with bad prices)
+ */
+function getCandidateTakeoffs() {
+    if (!currentAnalysisResults?.results || !(currentConfiguration.supportCenters > 0)) return [];
+
+    let pricing = null;
+    try {
+        pricing = getPricing();
+    } catch (error) {
+        // The takeoff card shows the pricing error; quantities still apply
+    }
+    return currentBeamCandidates.map(beam => calculateRunwayTakeoff(currentConfiguration, beam, pricing));
+}
+
+/**
+ * Candidate indexes in table order: by weight (as returned), or by estimated cost when ranking cheapest first
+ */
+function getRankedCandidateIndexes(candidates) {
+    const indexes = candidates.map((beam, index) => index);
+    if (document.getElementById('candidateRanking')?.value !== 'cheapest') return indexes;
+
+    const takeoffs = getCandidateTakeoffs();
+    if (takeoffs.length !== candidates.length || takeoffs.some(takeoff => takeoff.totalCost === null)) return indexes;
+
+    // Stable sort keeps the lighter beam first on equal cost
+    return indexes.sort((a, b) => takeoffs[a].totalCost - takeoffs[b].totalCost);
+}
+
+function formatCurrency(value) {
+    return Number.isFinite(value) ?
+        value.toLocaleString(undefined, { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }) : '-';
+}
+
+/**
+ * Draw the takeoff and cost of the selected candidate
+ */
+function renderRunwayTakeoff() {
+    const container = document.getElementById('runwayTakeoff');
+    if (!container) return;
+
+    const beam = currentBeamCandidates[selectedBeamIndex];
+    if (!currentAnalysisResults?.results || !beam) {
+        container.innerHTML = '<p class="project-empty">Run an analysis to see the takeoff.</p>';
+        return;
+    }
+
+    let pricing = null;
+    let pricingError = '';
+    try {
+        pricing = getPricing();
+    } catch (error) {
+        pricingError = error.message;
+    }
+
+    const config = currentConfiguration;
+    const takeoff = calculateRunwayTakeoff(config, beam, pricing);
+    const notes = [];
+
+    if (!takeoff.runwayLengthEntered) {
+        notes.push(`No runway length entered; using ${config.numCols} columns at ${formatQuantity(config.supportCenters, 'length')} (${formatQuantity(takeoff.runwayLength, 'length')}).`);
+    } else if (takeoff.columnsPerSide !== config.numCols) {
+        notes.push(`The runway needs ${takeoff.columnsPerSide} columns per side; the analysis used ${config.numCols}.`);
+    }
+    if (pricingError) {
+        notes.push(`Pricing: ${pricingError}`);
+    } else if (pricing.steelRate === null && pricing.sectionRates[beam.designation] === undefined) {
+        notes.push('Enter a steel price to estimate cost.');
+    }
+    if (pricing && takeoff.columnPrice === null) {
+        notes.push(`No column price covers a ${formatQuantity(config.railHeight, 'length')} rail height; columns are not priced.`);
+    }
+
+    container.innerHTML = `
+        <table class="beam-candidates-table takeoff-table">
+            <thead>
+                <tr>
+                    <th>Item</th>
+                    <th>Quantity</th>
+                    <th>Weight<br>(${unitLabel('mass')})</th>
+                    <th>Cost</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${takeoff.segments.map(segment => `
+                    <tr>
+                        <td>${escapeHtml(beam.designation)} segment, ${formatQuantity(segment.length, 'length')}</td>
+                        <td>${segment.count}</td>
+                        <td>${formatQuantityValue(segment.weight * segment.count, 'mass', 'integer')}</td>
+                        <td></td>
+                    </tr>`).join('')}
+                <tr class="takeoff-subtotal">
+                    <td>Beam steel${config.capped ? ' (W-shape)' : ''}, ${formatQuantity(takeoff.runwayLength * RUNWAY_LINES, 'length')}</td>
+                    <td></td>
+                    <td>${formatQuantityValue(takeoff.shapeSteelWeight, 'mass', 'integer')}</td>
+                    <td>${formatCurrency(takeoff.steelCost)}</td>
+                </tr>
+                ${config.capped ? `
+                    <tr class="takeoff-subtotal">
+                        <td>Cap channel</td>
+                        <td></td>
+                        <td>${formatQuantityValue(takeoff.channelWeight, 'mass', 'integer')}</td>
+                        <td>${formatCurrency(takeoff.channelCost)}</td>
+                    </tr>` : ''}
+                <tr class="takeoff-subtotal">
+                    <td>Columns (${takeoff.columnsPerSide} per side)</td>
+                    <td>${takeoff.columnCount}</td>
+                    <td></td>
+                    <td>${formatCurrency(takeoff.columnCost)}</td>
+                </tr>
+                <tr class="takeoff-total">
+                    <td>Total steel</td>
+                    <td>${formatQuantity(takeoff.totalTons, 'massTons', 'decimal')}</td>
+                    <td>${formatQuantityValue(takeoff.totalSteelWeight, 'mass', 'integer')}</td>
+                    <td>${formatCurrency(takeoff.totalCost)}</td>
+                </tr>
+            </tbody>
+        </table>
+        ${notes.map(note => `<p class="takeoff-note">${escapeHtml(note)}</p>`).join('')}
+    `;
+}
+
+function savePricing() {
+    const saved = {};
+    PRICING_FIELDS.forEach(field => {
+        saved[field] = document.getElementById(field).value;
+    });
+
+    try {
+        localStorage.setItem(PRICING_KEY, JSON.stringify(saved));
+    } catch (error) {
+        console.warn('Could not save pricing:', error);
+    }
+}
+
+function loadPricing() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(PRICING_KEY) || '{}');
+    } catch (error) {
+        console.warn('Could not read pricing:', error);
+    }
+
+    PRICING_FIELDS.forEach(field => {
+        if (saved[field] !== undefined) {
+            document.getElementById(field).value = saved[field];
+        }
+    });
+}
+
+/**
+ * Restore saved prices and redraw costs and ranking as they change
+ */
+function initializeRunwayTakeoff() {
+    if (!document.getElementById('runwayTakeoff')) return;
+
+    loadPricing();
+    PRICING_FIELDS.forEach(field => {
+        const input = document.getElementById(field);
+        input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => {
+            savePricing();
+            if (currentAnalysisResults?.results) {
+                displayBeamCandidates(currentBeamCandidates, currentCalculatedECL);
+            }
+        });
+    });
+}
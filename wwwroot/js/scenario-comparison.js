@@ -0,0 +1,240 @@
+// Scenario Comparison - pin analyses and compare them side by side
+
+let pinnedScenarios = [];
+let nextScenarioId = 1;
+
+/**
+ * Rows shown in the comparison grid and the CSV export.
+ * get() returns a raw US value; quantity converts it to the selected units, digits controls US number formatting.
+ */
+const COMPARISON_ROWS = [
+    { section: 'Configuration' },
+    { label: 'Rated Capacity', quantity: 'force', digits: 0, get: s => s.config.ratedCapacity },
+    { label: 'Support Centers', quantity: 'length', digits: 1, get: s => s.config.supportCenters },
+    { label: 'Wheel Base', quantity: 'length', digits: 1, get: s => s.config.wheelBase },
+    { label: 'Rail Height', quantity: 'length', digits: 1, get: s => s.config.railHeight },
+    { label: 'Number of Columns', unit: '', digits: 0, get: s => s.config.numCols },
+    { label: 'Beam System', unit: '', get: s => s.config.capped ? 'Capped' : 'Uncapped' },
+    { label: 'Column Type', unit: '', get: s => s.config.freestanding ? 'Freestanding' : 'Braced' },
+    { label: 'Cranes on Runway', unit: '', digits: 0, get: s => s.config.twoCranes ? 2 : 1 },
+    { section: 'Design Criteria' },
+    { label: 'Profile', unit: '', get: s => getAnalysisDesignCriteria(s).name },
+    { label: 'CMAA Service Class', unit: '', get: s => getAnalysisDesignCriteria(s).serviceClass || '-' },
+    { label: 'Lateral Load', unit: '% of P + H', digits: 1, get: s => getAnalysisDesignCriteria(s).lateralLoadPercent },
+    { label: 'Longitudinal Load', unit: '% of MWL', digits: 1, get: s => getAnalysisDesignCriteria(s).longitudinalLoadPercent },
+    { label: 'Impact', unit: '', get: s => formatImpactRule(getAnalysisDesignCriteria(s)) },
+    { label: 'Lateral Deflection Limit', unit: '', get: s => formatDeflectionLimit(getAnalysisDesignCriteria(s).lateralDeflectionLimit) },
+    { label: 'Longitudinal Deflection Limit', unit: '', get: s => formatDeflectionLimit(getAnalysisDesignCriteria(s).longitudinalDeflectionLimit) },
+    { label: 'Allowable Stress Fb', quantity: 'stress', digits: 0, get: s => getAnalysisDesignCriteria(s).allowableStress },
+    { section: 'Selected Beam' },
+    { label: 'Designation', unit: '', get: s => s.beam.designation },
+    { label: 'Weight', quantity: 'linearWeight', digits: 1, get: s => s.beam.weight },
+    { label: 'ECL', quantity: 'force', digits: 0, get: s => s.calculatedECL },
+    { label: 'Governing Arrangement', unit: '', get: s => s.results.craneArrangements?.find(a => a.governsBeam)?.name },
+    { label: 'Capacity', quantity: 'force', digits: 0, get: s => s.beam.capacity },
+    { label: 'Utilization', unit: '%', digits: 1, get: s => s.beam.utilization },
+    { section: 'Structural Checks' },
+    ...STRUCTURAL_CHECKS.flatMap(check => [
+        { label: check.label, unit: '', get: s => s.results[check.key] ? 'PASS' : 'FAIL' },
+        { label: `${check.label} Ratio`, unit: '', digits: 3, get: s => s.results[check.checkKey]?.ratio }
+    ]),
+    { label: 'Overall', unit: '', get: s => s.results.overallPass ? 'ACCEPTABLE' : 'INADEQUATE' },
+    { section: 'Foundation Loads' },
+    { label: 'Column Load', quantity: 'forceKips', digits: 2, get: s => s.results.columnLoadFoundation },
+    { label: 'Lateral OTM', quantity: 'moment', digits: 2, get: s => s.results.lateralOTM },
+    { label: 'Longitudinal OTM', quantity: 'moment', digits: 2, get: s => s.results.longitudinalOTM },
+    { label: 'Max Vertical Load', quantity: 'force', digits: 0, get: s => s.results.maxVerticalLoad }
+];
+
+/**
+ * Row label with its unit in the selected system
+ */
+function getComparisonLabel(row) {
+    const unit = row.quantity ? unitLabel(row.quantity) : row.unit;
+    return unit ? `${row.label} (${unit})` : row.label;
+}
+
+/**
+ * Row value in the selected units and its decimal places
+ */
+function getComparisonNumber(row, scenario) {
+    const value = row.get(scenario);
+    if (!row.quantity) return { value: value, digits: row.digits ?? 2 };
+
+    const style = getQuantityStyle(row.quantity, row.digits ?? 2);
+    return {
+        value: toDisplayUnits(value, row.quantity),
+        digits: typeof style === 'number' ? style : { integer: 0, decimal: 2, ratio: 3 }[style]
+    };
+}
+
+/**
+ * Plain value for CSV and difference detection
+ */
+function getComparisonValue(row, scenario) {
+    const { value, digits } = getComparisonNumber(row, scenario);
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value.toFixed(digits) : '';
+    }
+    return value ?? '';
+}
+
+/**
+ * Display value with thousands separators
+ */
+function formatComparisonValue(row, scenario) {
+    const { value, digits } = getComparisonNumber(row, scenario);
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ?
+            value.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits }) : '-';
+    }
+    return escapeHtml(value ?? '-');
+}
+
+/**
+ * Default scenario name from the system type and span
+ */
+function getDefaultScenarioName(config) {
+    return `${config.capped ? 'Capped' : 'Uncapped'} @ ${formatQuantity(config.supportCenters, 'length')}`;
+}
+
+/**
+ * Pin the current analysis as a named scenario
+ */
+function pinCurrentScenario() {
+    if (!currentAnalysisResults?.results || currentBeamCandidates.length === 0) {
+        showError('No results to pin. Please run an analysis first.');
+        return;
+    }
+
+    const nameInput = document.getElementById('scenarioName');
+    const name = nameInput.value.trim() || getDefaultScenarioName(currentConfiguration);
+    const beam = currentBeamCandidates[selectedBeamIndex] || currentBeamCandidates[0];
+
+    // Deep copies so later analyses cannot mutate a pinned scenario
+    pinnedScenarios.push({
+        id: nextScenarioId++,
+        name: name,
+        pinnedAt: new Date().toISOString(),
+        config: JSON.parse(JSON.stringify(currentConfiguration)),
+        beam: JSON.parse(JSON.stringify(beam)),
+        results: JSON.parse(JSON.stringify(currentAnalysisResults.results)),
+        calculatedECL: currentAnalysisResults.calculatedECL,
+        kFactors: { ...currentAnalysisResults.kFactors }
+    });
+
+    nameInput.value = '';
+    renderScenarioComparison();
+    showSuccess(`📌 Pinned scenario "${name}"`);
+}
+
+/**
+ * Remove one pinned scenario
+ */
+function removeScenario(id) {
+    pinnedScenarios = pinnedScenarios.filter(scenario => scenario.id !== id);
+    renderScenarioComparison();
+}
+
+/**
+ * Remove all pinned scenarios
+ */
+function clearScenarios() {
+    pinnedScenarios = [];
+    renderScenarioComparison();
+}
+
+/**
+ * Render the comparison grid, highlighting values that differ from the first pinned scenario
+ */
+function renderScenarioComparison() {
+    const container = document.getElementById('scenarioComparison');
+
+    if (pinnedScenarios.length === 0) {
+        container.innerHTML = '<p class="comparison-empty">No pinned scenarios. Run an analysis and pin it to compare.</p>';
+        return;
+    }
+
+    let tableHTML = `
+        <table class="comparison-table">
+            <thead>
+                <tr>
+                    <th></th>
+                    ${pinnedScenarios.map(scenario => `
+                        <th>
+                            ${escapeHtml(scenario.name)}
+                            <button class="scenario-remove-btn" onclick="removeScenario(${scenario.id})" title="Remove scenario">×</button>
+                        </th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+    `;
+
+    COMPARISON_ROWS.forEach(row => {
+        if (row.section) {
+            tableHTML += `<tr class="comparison-section"><td colspan="${pinnedScenarios.length + 1}">${row.section}</td></tr>`;
+            return;
+        }
+
+        const values = pinnedScenarios.map(scenario => getComparisonValue(row, scenario));
+        const differs = pinnedScenarios.length > 1 && new Set(values).size > 1;
+
+        tableHTML += `
+            <tr class="${differs ? 'comparison-changed' : ''}">
+                <td class="comparison-label">${getComparisonLabel(row)}</td>
+                ${pinnedScenarios.map((scenario, index) => {
+                    const value = formatComparisonValue(row, scenario);
+                    const statusClass = value === 'FAIL' || value === 'INADEQUATE' ? 'status-fail' :
+                        value === 'PASS' || value === 'ACCEPTABLE' ? 'status-pass' : '';
+                    const diffClass = values[index] !== values[0] ? ' class="comparison-diff"' : '';
+                    return `<td${diffClass}>${statusClass ? `<span class="${statusClass}">${value}</span>` : value}</td>`;
+                }).join('')}
+            </tr>
+        `;
+    });
+
+    tableHTML += '</tbody></table>';
+    container.innerHTML = tableHTML;
+}
+
+/**
+ * Build CSV rows for the whole comparison
+ */
+function createComparisonData() {
+    const data = [
+        ['SCENARIO COMPARISON'],
+        ['Generated:', new Date().toLocaleString()],
+        ['Units:', isMetricUnits() ? 'SI' : 'US customary'],
+        [''],
+        ['Metric', ...pinnedScenarios.map(scenario => scenario.name)]
+    ];
+
+    COMPARISON_ROWS.forEach(row => {
+        if (row.section) {
+            data.push([row.section.toUpperCase()]);
+            return;
+        }
+        data.push([getComparisonLabel(row), ...pinnedScenarios.map(scenario => getComparisonValue(row, scenario))]);
+    });
+
+    return data;
+}
+
+/**
+ * Export all pinned scenarios as one CSV
+ */
+function exportScenarioComparison() {
+    if (pinnedScenarios.length === 0) {
+        showError('No scenarios to export. Pin at least one analysis first.');
+        return;
+    }
+
+    try {
+        const csvContent = convertToCSV(createComparisonData());
+        downloadFile(csvContent, `beam-scenario-comparison-${getDateStamp()}.csv`, 'text/csv;charset=utf-8;');
+        showSuccess(`✅ Exported comparison of ${pinnedScenarios.length} scenario(s)`);
+    } catch (error) {
+        showError(`❌ Export failed: ${error.message}`);
+        console.error('Comparison export error:', error);
+    }
+}
@@ -0,0 +1,161 @@
+// Second Crane - a second bridge crane on the runway and the crane arrangements it produces
+
+// Form fields of the second crane and their keys in the request's secondCrane object
+const SECOND_CRANE_FIELDS = {
+    crane2RatedCapacity: 'ratedCapacity',
+    crane2WeightHoistTrolley: 'weightHoistTrolley',
+    crane2GirderWeight: 'girderWeight',
+    crane2PanelWeight: 'panelWeight',
+    crane2EndTruckWeight: 'endTruckWeight',
+    crane2WheelBase: 'wheelBase',
+    bumperDistance: 'bumperDistance'
+};
+
+// Crane 1 field each crane 2 field starts from when the mode is switched on
+const SECOND_CRANE_DEFAULTS = {
+    crane2RatedCapacity: 'ratedCapacity',
+    crane2WeightHoistTrolley: 'weightHoistTrolley',
+    crane2GirderWeight: 'girderWeight',
+    crane2PanelWeight: 'panelWeight',
+    crane2EndTruckWeight: 'endTruckWeight',
+    crane2WheelBase: 'wheelBase'
+};
+
+/**
+ * Second crane form values (US units); the crane 2 fields read as null while the mode is off
+ */
+function getSecondCraneFormData() {
+    const twoCranes = Boolean(document.getElementById('twoCranes')?.checked);
+    const data = { twoCranes: twoCranes };
+    Object.keys(SECOND_CRANE_FIELDS).forEach(field => {
+        data[field] = twoCranes ? readQuantity(field) : null;
+    });
+    return data;
+}
+
+/**
+ * Request body with the flat crane 2 form fields replaced by a secondCrane object (two-crane mode only)
+ */
+function withSecondCrane(body) {
+    const request = { ...body };
+    Object.keys(SECOND_CRANE_FIELDS).forEach(field => delete request[field]);
+
+    if (body.twoCranes) {
+        request.secondCrane = Object.fromEntries(
+            Object.entries(SECOND_CRANE_FIELDS).map(([field, key]) => [key, body[field]]));
+    }
+
+    return request;
+}
+
+/**
+ * Crane arrangements of an analysis, or an empty list for analyses saved before they existed
+ */
+function getCraneArrangements(data) {
+    return data?.results?.craneArrangements || [];
+}
+
+/**
+ * Arrangement flagged as governing the beam ('governsBeam') or the columns ('governsColumns')
+ */
+function getGoverningArrangement(data, flag) {
+    return getCraneArrangements(data).find(arrangement => arrangement[flag]) || null;
+}
+
+/**
+ * Show the crane 2 fields only in two-crane mode
+ */
+function updateSecondCraneFields() {
+    const fields = document.getElementById('secondCraneFields');
+    if (!fields) return;
+
+    fields.style.display = document.getElementById('twoCranes').checked ? '' : 'none';
+}
+
+/**
+ * Start empty crane 2 fields from crane 1, so switching the mode on gives two equal cranes
+ */
+function fillSecondCraneDefaults() {
+    Object.entries(SECOND_CRANE_DEFAULTS).forEach(([field, source]) => {
+        if (document.getElementById(field).value.trim() === '') {
+            writeQuantity(field, readQuantity(source));
+        }
+    });
+
+    if (document.getElementById('bumperDistance').value.trim() === '') {
+        writeQuantity('bumperDistance', 0);
+    }
+}
+
+/**
+ * Table of every crane arrangement with the ones governing the beam and the columns marked;
+ * hidden for a single crane
+ */
+function renderCraneArrangements() {
+    const card = document.getElementById('craneArrangementsCard');
+    const container = document.getElementById('craneArrangements');
+    if (!card || !container) return;
+
+    const arrangements = getCraneArrangements(currentAnalysisResults);
+    if (arrangements.length < 2) {
+        card.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    const beam = arrangements.find(arrangement => arrangement.governsBeam);
+    const columns = arrangements.find(arrangement => arrangement.governsColumns);
+    const force = value => formatQuantityValue(value, 'force', 'integer');
+    const badges = arrangement => [
+        arrangement.governsBeam ? '<span class="arrangement-badge">governs beam</span>' : '',
+        arrangement.governsColumns ? '<span class="arrangement-badge">governs columns</span>' : ''
+    ].join(' ');
+
+    card.style.display = '';
+    container.innerHTML = `
+        <table class="beam-candidates-table arrangement-table">
+            <thead>
+                <tr>
+                    <th>Arrangement</th>
+                    <th>ECL<br>(${unitLabel('force')})</th>
+                    <th>Max Wheel Load<br>(${unitLabel('force')})</th>
+                    <th>Column Cvs + Cvi<br>(${unitLabel('force')})</th>
+                    <th>Lateral<br>(${unitLabel('force')})</th>
+                    <th>Longitudinal<br>(${unitLabel('force')})</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${arrangements.map(arrangement => `
+                    <tr class="${arrangement.governsBeam || arrangement.governsColumns ? 'arrangement-governing' : ''}">
+                        <td>${escapeHtml(arrangement.name)}</td>
+                        <td>${force(arrangement.ecl)}</td>
+                        <td>${force(arrangement.maxWheelLoad)}</td>
+                        <td>${force(arrangement.columnVertical + arrangement.columnImpact)}</td>
+                        <td>${force(arrangement.lateralLoad)}</td>
+                        <td>${force(arrangement.longitudinalLoad)}</td>
+                        <td>${badges(arrangement)}</td>
+                    </tr>`).join('')}
+            </tbody>
+        </table>
+        <p class="takeoff-note">
+            The beam is sized for ${escapeHtml(beam.name)}; columns and foundations are loaded by ${escapeHtml(columns.name)}.
+            Cranes 1 + 2 have their bumpers ${escapeHtml(formatQuantity(currentConfiguration.bumperDistance || 0, 'length'))} apart,
+            placed for the largest span moment and, separately, the largest column reaction.
+        </p>
+    `;
+}
+
+/**
+ * Show or hide the crane 2 fields with the mode, starting them from crane 1
+ */
+function initializeSecondCrane() {
+    const toggle = document.getElementById('twoCranes');
+    if (!toggle) return;
+
+    toggle.addEventListener('change', () => {
+        if (toggle.checked) fillSecondCraneDefaults();
+        updateSecondCraneFields();
+    });
+    updateSecondCraneFields();
+}
@@ -0,0 +1,284 @@
+// Section Catalog - browse the beam database with its capacity tables, and manage custom sections
+
+// Table columns per beam system: [key, label, quantity (see units.js)]
+const CATALOG_COLUMNS = {
+    uncapped: [
+        ['designation', 'Designation', ''],
+        ['depth', 'Depth', 'smallLength'],
+        ['weight', 'Weight', 'linearWeight'],
+        ['area', 'Area', 'area'],
+        ['i', 'I', 'inertia'],
+        ['s', 'S', 'modulus'],
+        ['radiusOfGyration', 'r', 'smallLength'],
+        ['flangeWidth', 'bf', 'smallLength'],
+        ['flangeThickness', 'tf', 'smallLength'],
+        ['webThickness', 'tw', 'smallLength']
+    ],
+    capped: [
+        ['designation', 'Designation', ''],
+        ['channel', 'Channel', ''],
+        ['depth', 'Depth', 'smallLength'],
+        ['weight', 'Weight', 'linearWeight'],
+        ['area', 'Area', 'area'],
+        ['i', 'I', 'inertia'],
+        ['s', 'S', 'modulus'],
+        ['width', 'Width', 'smallLength'],
+        ['scUpper', 'Sc', 'modulus'],
+        ['slLower', 'Sl', 'modulus'],
+        ['torsionalConstant', 'J', 'inertia']
+    ]
+};
+
+// Every property shown in the detail panel: [key, label, quantity]
+const CATALOG_DETAIL_FIELDS = [
+    ['channel', 'Cap Channel', ''],
+    ['depth', 'Depth', 'smallLength'],
+    ['weight', 'Weight', 'linearWeight'],
+    ['area', 'Area', 'area'],
+    ['i', 'Moment of Inertia I', 'inertia'],
+    ['s', 'Section Modulus S', 'modulus'],
+    ['radiusOfGyration', 'Radius of Gyration r', 'smallLength'],
+    ['flangeWidth', 'Flange Width bf', 'smallLength'],
+    ['flangeThickness', 'Flange Thickness tf', 'smallLength'],
+    ['flangeArea', 'Flange Area', 'area'],
+    ['webThickness', 'Web Thickness tw', 'smallLength'],
+    ['flangeGage', 'Flange Gage', 'smallLength'],
+    ['width', 'Width', 'smallLength'],
+    ['scUpper', 'Sc Upper', 'modulus'],
+    ['slLower', 'Sl Lower', 'modulus'],
+    ['torsionalConstant', 'Torsional Constant J', 'inertia']
+];
+
+// Catalog responses by system ("capped" / "uncapped"), fetched once per page load
+const catalogCache = {};
+
+let catalogSystem = 'uncapped';
+let catalogSort = { key: 'weight', ascending: true };
+let catalogSelection = null;
+
+/**
+ * Catalog sections and tabulated spans from the API, or the local engine when offline
+ */
+async function requestSections(capped) {
+    if (useLocalEngine) {
+        return BeamEngine.getSections(capped);
+    }
+
+    const response = await fetch(`${API_BASE}/sections?capped=${capped}`);
+    if (!response.ok) {
+        const errorBody = await response.json().catch(() => ({}));
+        throw new Error(errorBody.details || `Section catalog failed: ${response.status}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Cached catalog for a beam system
+ */
+async function loadCatalog(capped) {
+    const key = capped ? 'capped' : 'uncapped';
+    if (!catalogCache[key]) {
+        catalogCache[key] = await requestSections(capped);
+    }
+    return catalogCache[key];
+}
+
+/**
+ * Catalog designations for a system, used to keep custom names distinct
+ */
+function getCatalogDesignations(capped) {
+    const catalog = catalogCache[capped ? 'capped' : 'uncapped'];
+    return new Set((catalog?.sections || []).map(section => section.designation));
+}
+
+/**
+ * Catalog plus custom sections of the current system, filtered by the search box and sorted
+ */
+function getVisibleSections() {
+    const capped = catalogSystem === 'capped';
+    const catalog = catalogCache[catalogSystem]?.sections || [];
+    const custom = loadCustomSections()
+        .filter(section => section.capped === capped)
+        .map(section => ({ ...section, isCustom: true }));
+
+    const search = document.getElementById('catalogSearch').value.trim().toLowerCase();
+    const { key, ascending } = catalogSort;
+
+    return [...catalog, ...custom]
+        .filter(section => !search ||
+            section.designation.toLowerCase().includes(search) ||
+            (section.channel || '').toLowerCase().includes(search))
+        .sort((a, b) => {
+            const order = typeof a[key] === 'number' ?
+                a[key] - b[key] :
+                String(a[key] ?? '').localeCompare(String(b[key] ?? ''), undefined, { numeric: true });
+            return ascending ? order : -order;
+        });
+}
+
+/**
+ * Draw the sortable section table for the current system and search
+ */
+function renderSectionCatalog() {
+    const container = document.getElementById('catalogTable');
+    if (!container || !catalogCache[catalogSystem]) return;
+
+    const columns = CATALOG_COLUMNS[catalogSystem];
+    const sections = getVisibleSections();
+    document.getElementById('catalogCount').textContent = `${sections.length} sections`;
+
+    if (sections.length === 0) {
+        container.innerHTML = '<p class="project-empty">No sections match the search.</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <table class="beam-candidates-table catalog-table">
+            <thead>
+                <tr>
+                    ${columns.map(([key, label, quantity]) => `
+                        <th class="catalog-sortable${catalogSort.key === key ? ' sorted' : ''}" onclick="sortSectionCatalog('${key}')">
+                            ${label}${quantity ? `<br>(${unitLabel(quantity)})` : ''}${catalogSort.key === key ? (catalogSort.ascending ? ' ▲' : ' ▼') : ''}
+                        </th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${sections.map(section => `
+                    <tr class="catalog-row${section.designation === catalogSelection ? ' selected' : ''}"
+                        onclick="selectCatalogSection(${escapeHtml(JSON.stringify(section.designation))})">
+                        ${columns.map(([key, , quantity]) => key === 'designation' ?
+                            `<td><strong>${escapeHtml(section.designation)}</strong>${section.isCustom ? ' <span class="custom-badge">custom</span>' : ''}</td>` :
+                            `<td>${typeof section[key] === 'number' ? formatQuantityValue(section[key], quantity) : escapeHtml(section[key] || '-')}</td>`).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+    renderCatalogDetail();
+}
+
+/**
+ * Sort by a column, toggling direction when it is already the sort column
+ */
+function sortSectionCatalog(key) {
+    catalogSort = catalogSort.key === key ?
+        { key: key, ascending: !catalogSort.ascending } :
+        { key: key, ascending: true };
+    renderSectionCatalog();
+}
+
+function selectCatalogSection(designation) {
+    catalogSelection = designation;
+    renderSectionCatalog();
+}
+
+/**
+ * Properties and capacity-vs-span table of the selected section
+ */
+function renderCatalogDetail() {
+    const container = document.getElementById('catalogDetail');
+    const section = getVisibleSections().find(candidate => candidate.designation === catalogSelection);
+
+    if (!section) {
+        container.innerHTML = '<p class="project-empty">Select a section to see its properties and capacity table.</p>';
+        return;
+    }
+
+    const capacities = Object.entries(section.capacities || {})
+        .map(([span, capacity]) => [Number(span), capacity])
+        .sort((a, b) => a[0] - b[0]);
+
+    container.innerHTML = `
+        <h3>${escapeHtml(section.designation)}${section.isCustom ? ' <span class="custom-badge">custom</span>' : ''}</h3>
+        <div class="catalog-properties">
+            ${CATALOG_DETAIL_FIELDS
+                .filter(([key]) => section[key])
+                .map(([key, label, quantity]) => `
+                    <div class="result-item">
+                        <span class="result-label">${label}:</span>
+                        <span class="result-value">${typeof section[key] === 'number' ? formatQuantity(section[key], quantity) : escapeHtml(section[key])}</span>
+                    </div>`).join('')}
+        </div>
+        <h3>Allowable ECL by Span</h3>
+        ${capacities.length === 0 ? '<p class="project-empty">No tabulated capacities.</p>' : `
+            <table class="beam-candidates-table catalog-capacity-table">
+                <thead><tr><th>${labelWithUnit('Span', 'length')}</th><th>${labelWithUnit('Capacity', 'force')}</th></tr></thead>
+                <tbody>
+                    ${capacities.map(([span, capacity]) => `<tr><td>${formatQuantityValue(span, 'length', 'integer')}</td><td>${formatQuantityValue(capacity, 'force', 'integer')}</td></tr>`).join('')}
+                </tbody>
+            </table>`}
+        ${section.isCustom ?
+            `<button class="btn btn-secondary" onclick="editCustomSection(${escapeHtml(JSON.stringify(section.designation))}, ${section.capped})">Edit Custom Section</button>` :
+            '<button class="btn btn-secondary" onclick="copyCatalogSection()">Copy to Custom Library</button>'}
+    `;
+}
+
+/**
+ * Start a custom section from the selected catalog section (e.g. a shop-stock variant)
+ */
+function copyCatalogSection() {
+    const section = (catalogCache[catalogSystem]?.sections || []).find(candidate => candidate.designation === catalogSelection);
+    if (!section) return;
+
+    fillCustomSectionForm({ ...section, designation: `${section.designation}-SHOP`, capped: catalogSystem === 'capped' });
+}
+
+/**
+ * Show the catalog for a beam system, fetching it on first use
+ */
+async function showCatalogSystem(system) {
+    catalogSystem = system;
+    catalogSelection = null;
+    document.getElementById('catalogTable').innerHTML = '<p class="project-empty">Loading sections...</p>';
+    document.getElementById('catalogDetail').innerHTML = '';
+
+    try {
+        await loadCatalog(system === 'capped');
+        renderSectionCatalog();
+    } catch (error) {
+        document.getElementById('catalogTable').innerHTML =
+            `<p class="project-empty">Could not load the section catalog: ${escapeHtml(error.message)}</p>`;
+        console.error('Section catalog error:', error);
+    }
+}
+
+/**
+ * Open the catalog view on the beam system selected in the form
+ */
+async function openSectionCatalog() {
+    if (!isEngineAvailable()) {
+        showError('The section catalog needs the API or the local engine.');
+        return;
+    }
+
+    const system = document.getElementById('capped').checked ? 'capped' : 'uncapped';
+    document.getElementById('catalogSystem').value = system;
+    document.getElementById('sectionCatalogView').classList.add('open');
+    document.body.classList.add('catalog-open');
+
+    renderCustomSectionList();
+    // Both systems are needed to check custom designations against the catalog
+    await Promise.all([showCatalogSystem(system), loadCatalog(system !== 'capped').catch(() => null)]);
+}
+
+function closeSectionCatalog() {
+    document.getElementById('sectionCatalogView').classList.remove('open');
+    document.body.classList.remove('catalog-open');
+}
+
+/**
+ * Wire the system selector, search box and Escape key
+ */
+function initializeSectionCatalog() {
+    if (!document.getElementById('sectionCatalogView')) return;
+
+    document.getElementById('catalogSystem').addEventListener('change', (e) => showCatalogSystem(e.target.value));
+    document.getElementById('catalogSearch').addEventListener('input', renderSectionCatalog);
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && document.body.classList.contains('catalog-open')) {
+            closeSectionCatalog();
+        }
+    });
+}
@@ -0,0 +1,223 @@
+// Units - US customary / SI display and input conversion
+// Analyses, deep links and saved projects always use US customary values; only the page converts.
+
+const UNIT_SYSTEM_KEY = 'beamCalcUnitSystem';
+
+// Quantity: US and SI labels, factor from US to SI, and the number format of SI values
+const UNIT_QUANTITIES = {
+    force: { us: 'lbs', si: 'kN', factor: 0.0044482216152605, siStyle: 'decimal' },
+    forceKips: { us: 'kips', si: 'kN', factor: 4.4482216152605, siStyle: 'decimal' },
+    mass: { us: 'lbs', si: 'kg', factor: 0.45359237, siStyle: 'integer' },
+    massTons: { us: 'tons', si: 't', factor: 0.90718474, siStyle: 'decimal' },
+    linearWeight: { us: 'lbs/ft', si: 'kg/m', factor: 1.4881639435695, siStyle: 'decimal' },
+    length: { us: 'ft', si: 'mm', factor: 304.8, siStyle: 'integer' },
+    smallLength: { us: 'in', si: 'mm', factor: 25.4, siStyle: 'decimal' },
+    area: { us: 'in²', si: 'mm²', factor: 645.16, siStyle: 'integer' },
+    inertia: { us: 'in⁴', si: 'mm⁴', factor: 416231.4256, siStyle: 'integer' },
+    modulus: { us: 'in³', si: 'mm³', factor: 16387.064, siStyle: 'integer' },
+    moment: { us: 'kip-ft', si: 'kN·m', factor: 1.3558179483314, siStyle: 'decimal' },
+    momentLbIn: { us: 'lb-in', si: 'kN·m', factor: 0.00011298482933, siStyle: 'decimal' },
+    stress: { us: 'psi', si: 'MPa', factor: 0.0068947572932, siStyle: 'decimal' },
+    speed: { us: 'ft/min', si: 'm/min', factor: 0.3048, siStyle: 'decimal' },
+    pricePerMass: { us: '$/lb', si: '$/kg', factor: 2.2046226218488, siStyle: 'decimal' }
+};
+
+// Units reported by the structural checks and the quantity each one converts as
+const CHECK_UNIT_QUANTITIES = { in: 'smallLength', psi: 'stress' };
+
+let unitSystem = 'us';
+
+function getUnitSystem() {
+    return unitSystem;
+}
+
+function isMetricUnits() {
+    return unitSystem === 'si';
+}
+
+/**
+ * Unit label of a quantity in the current system
+ */
+function unitLabel(quantity) {
+    return UNIT_QUANTITIES[quantity][unitSystem];
+}
+
+/**
+ * Label with its unit in parentheses, e.g. "Rated Capacity (kN)"
+ */
+function labelWithUnit(label, quantity) {
+    return `${label} (${unitLabel(quantity)})`;
+}
+
+/**
+ * Convert a value between systems ('us' / 'si'); non-numbers pass through
+ */
+function convertUnits(value, quantity, from, to) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || from === to) return value;
+    const factor = UNIT_QUANTITIES[quantity].factor;
+    return to === 'si' ? value * factor : value / factor;
+}
+
+/**
+ * US value in the current system
+ */
+function toDisplayUnits(value, quantity) {
+    return convertUnits(value, quantity, 'us', unitSystem);
+}
+
+/**
+ * Current-system value in US units, without the float noise of the round trip
+ */
+function fromDisplayUnits(value, quantity) {
+    const converted = convertUnits(value, quantity, unitSystem, 'us');
+    return typeof converted === 'number' && Number.isFinite(converted) ? Number(converted.toPrecision(10)) : converted;
+}
+
+/**
+ * Number format for a quantity: the caller's US style, or the quantity's SI style
+ */
+function getQuantityStyle(quantity, usStyle = null) {
+    return isMetricUnits() ? UNIT_QUANTITIES[quantity].siStyle : usStyle;
+}
+
+/**
+ * Formatted number (no unit) of a US value in the current system
+ */
+function formatQuantityValue(value, quantity, usStyle = null) {
+    return formatNumber(toDisplayUnits(value, quantity), getQuantityStyle(quantity, usStyle));
+}
+
+/**
+ * Formatted value with its unit, e.g. "44.48 kN"
+ */
+function formatQuantity(value, quantity, usStyle = null) {
+    return `${formatQuantityValue(value, quantity, usStyle)} ${unitLabel(quantity)}`;
+}
+
+/**
+ * Export cell of a US value in the current system (see XlsxWriter)
+ */
+function quantityCell(value, quantity, usStyle = null) {
+    return { value: toDisplayUnits(value, quantity), style: getQuantityStyle(quantity, usStyle) };
+}
+
+/**
+ * Form value in US units. Inputs with data-quantity are entered in the current system;
+ * a value shown by writeQuantity and not edited since reads back exactly.
+ */
+function readQuantity(id, emptyValue = null) {
+    const input = document.getElementById(id);
+    const quantity = input.dataset.quantity;
+    const value = readNumber(id, emptyValue);
+
+    if (!quantity || value === null || value === emptyValue) return value;
+    if (input.dataset.usValue !== undefined && input.dataset.shownValue === input.value) {
+        return Number(input.dataset.usValue);
+    }
+    return fromDisplayUnits(value, quantity);
+}
+
+/**
+ * Show a US value (number or numeric text) in a data-quantity input, rounded to 6 significant
+ * digits in the current system; other text is shown as is
+ */
+function writeQuantity(id, value) {
+    const input = document.getElementById(id);
+    const quantity = input.dataset.quantity;
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+    if (!quantity || typeof number !== 'number' || !Number.isFinite(number)) {
+        input.value = value ?? '';
+        delete input.dataset.usValue;
+        return;
+    }
+
+    input.value = String(Number(toDisplayUnits(number, quantity).toPrecision(6)));
+    input.dataset.usValue = String(number);
+    input.dataset.shownValue = input.value;
+}
+
+/**
+ * Set every [data-unit] label to its unit in the current system
+ */
+function updateUnitLabels() {
+    document.querySelectorAll('[data-unit]').forEach(element => {
+        element.textContent = unitLabel(element.dataset.unit);
+    });
+}
+
+/**
+ * Switch systems: convert entered values in place, relabel, save the choice and redraw results
+ */
+function setUnitSystem(system) {
+    if (!UNIT_QUANTITIES.force[system] || system === unitSystem) return;
+
+    const inputs = [...document.querySelectorAll('input[data-quantity]')];
+    const values = inputs.map(input => readQuantity(input.id));
+    const previous = unitSystem;
+
+    convertPriceTables(previous, system);
+    convertCapacityTable(previous, system);
+    unitSystem = system;
+    inputs.forEach((input, index) => writeQuantity(input.id, values[index]));
+    document.getElementById('unitSystem').value = system;
+    updateUnitLabels();
+
+    try {
+        localStorage.setItem(UNIT_SYSTEM_KEY, system);
+    } catch (error) {
+        console.warn('Could not save unit system:', error);
+    }
+
+    // Converted filter and price inputs are saved in the new system
+    saveCandidateFilter();
+    updateCandidateFilterSummary();
+    savePricing();
+    refreshUnitDisplays();
+}
+
+/**
+ * Redraw everything showing converted values without re-running the analysis
+ */
+function refreshUnitDisplays() {
+    validateForm();
+    if (currentAnalysisResults?.results) {
+        displayBeamCandidates(currentBeamCandidates, currentCalculatedECL);
+        if (currentAnalysisResults.manuallySelectedBeam) {
+            displayResultsWithSelectedBeam(currentAnalysisResults, currentAnalysisResults.metadata,
+                currentAnalysisResults.clientTime, currentAnalysisResults.manuallySelectedBeam);
+        } else {
+            displayResultValues(currentAnalysisResults);
+        }
+    }
+    renderScenarioComparison();
+    renderAnalysisHistory();
+    renderCustomSectionList();
+    renderSectionCatalog();
+    if (currentSweep) {
+        renderSweepChart(currentSweep);
+        renderSweepTable(currentSweep);
+    }
+    if (currentBatch) {
+        renderBatchResults(currentBatch);
+    }
+}
+
+/**
+ * Restore the saved unit system before any saved values are loaded into the form
+ */
+function initializeUnits() {
+    const select = document.getElementById('unitSystem');
+    if (!select) return;
+
+    try {
+        const saved = localStorage.getItem(UNIT_SYSTEM_KEY);
+        if (UNIT_QUANTITIES.force[saved]) unitSystem = saved;
+    } catch (error) {
+        console.warn('Could not read unit system:', error);
+    }
+
+    select.value = unitSystem;
+    updateUnitLabels();
+    select.addEventListener('change', () => setUnitSystem(select.value));
+}
@@ -0,0 +1,291 @@
+// XLSX Writer - minimal Office Open XML workbook builder for browser exports
+// Writes numeric, text and formula cells with a few fixed styles into an
+// uncompressed ZIP package. No external dependencies.
+
+(function (root, factory) {
+    const writer = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = writer;
+    } else {
+        root.XlsxWriter = writer;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+    // Index into cellXfs in styles.xml
+    const STYLES = {
+        default: 0,
+        bold: 1,
+        header: 2,
+        integer: 3,
+        decimal: 4,
+        ratio: 5,
+        title: 6
+    };
+
+    const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+    const NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const NS_PKG_REL = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+    let crcTable = null;
+
+    /**
+     * Column letters for a zero-based column index (0 -> A, 26 -> AA)
+     */
+    function columnName(index) {
+        let name = '';
+        let n = index + 1;
+        while (n > 0) {
+            const remainder = (n - 1) % 26;
+            name = String.fromCharCode(65 + remainder) + name;
+            n = Math.floor((n - 1) / 26);
+        }
+        return name;
+    }
+
+    /**
+     * A1-style address for zero-based column and row indexes
+     */
+    function cellAddress(column, row) {
+        return `${columnName(column)}${row + 1}`;
+    }
+
+    function escapeXml(text) {
+        return String(text)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Excel sheet names: at most 31 characters, none of []:*?/\
+     */
+    function sanitizeSheetName(name) {
+        return String(name).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet';
+    }
+
+    /**
+     * Serialize one cell. Cells are numbers, strings, null, or { value, formula, style }.
+     */
+    function cellXml(cell, address) {
+        const spec = cell !== null && typeof cell === 'object' ? cell : { value: cell };
+        const value = spec.value;
+        const style = STYLES[spec.style] || 0;
+        const styleAttr = style ? ` s="${style}"` : '';
+
+        if (spec.formula) {
+            const formula = escapeXml(spec.formula.replace(/^=/, ''));
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                return `<c r="${address}"${styleAttr}><f>${formula}</f><v>${value}</v></c>`;
+            }
+            return `<c r="${address}"${styleAttr} t="str"><f>${formula}</f><v>${escapeXml(value ?? '')}</v></c>`;
+        }
+
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? `<c r="${address}"${styleAttr}><v>${value}</v></c>` : '';
+        }
+
+        if (value === null || value === undefined || value === '') {
+            return style ? `<c r="${address}"${styleAttr}/>` : '';
+        }
+
+        return `<c r="${address}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }
+
+    function sheetXml(sheet) {
+        const columns = (sheet.columns || []).map((width, index) =>
+            `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('');
+
+        const rows = (sheet.rows || []).map((row, rowIndex) => {
+            const cells = (row || []).map((cell, columnIndex) => cellXml(cell, cellAddress(columnIndex, rowIndex))).join('');
+            return cells ? `<row r="${rowIndex + 1}">${cells}</row>` : '';
+        }).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            `<worksheet xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">` +
+            (columns ? `<cols>${columns}</cols>` : '') +
+            `<sheetData>${rows}</sheetData>` +
+            '</worksheet>';
+    }
+
+    function stylesXml() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            `<styleSheet xmlns="${NS_MAIN}">` +
+            '<numFmts count="1"><numFmt numFmtId="164" formatCode="0.000"/></numFmts>' +
+            '<fonts count="3">' +
+            '<font><sz val="11"/><name val="Calibri"/></font>' +
+            '<font><b/><sz val="11"/><name val="Calibri"/></font>' +
+            '<font><b/><sz val="14"/><name val="Calibri"/></font>' +
+            '</fonts>' +
+            '<fills count="3">' +
+            '<fill><patternFill patternType="none"/></fill>' +
+            '<fill><patternFill patternType="gray125"/></fill>' +
+            '<fill><patternFill patternType="solid"><fgColor rgb="FFE2E8F0"/><bgColor indexed="64"/></patternFill></fill>' +
+            '</fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="7">' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>' +
+            '<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+            '</cellXfs>' +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>';
+    }
+
+    /**
+     * Package parts for the workbook, keyed by path inside the ZIP
+     */
+    function workbookParts(sheets) {
+        const names = sheets.map(sheet => escapeXml(sanitizeSheetName(sheet.name)));
+        const parts = {};
+
+        parts['[Content_Types].xml'] = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            sheets.map((sheet, index) =>
+                `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            '</Types>';
+
+        parts['_rels/.rels'] = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            `<Relationships xmlns="${NS_PKG_REL}">` +
+            `<Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/>` +
+            '</Relationships>';
+
+        // fullCalcOnLoad makes Excel recompute the formulas instead of trusting cached values
+        parts['xl/workbook.xml'] = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            `<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}"><sheets>` +
+            names.map((name, index) => `<sheet name="${name}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+            '</sheets><calcPr calcId="0" fullCalcOnLoad="1"/></workbook>';
+
+        parts['xl/_rels/workbook.xml.rels'] = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            `<Relationships xmlns="${NS_PKG_REL}">` +
+            sheets.map((sheet, index) =>
+                `<Relationship Id="rId${index + 1}" Type="${NS_REL}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+            `<Relationship Id="rId${sheets.length + 1}" Type="${NS_REL}/styles" Target="styles.xml"/>` +
+            '</Relationships>';
+
+        parts['xl/styles.xml'] = stylesXml();
+
+        sheets.forEach((sheet, index) => {
+            parts[`xl/worksheets/sheet${index + 1}.xml`] = sheetXml(sheet);
+        });
+
+        return parts;
+    }
+
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Store files in a ZIP archive without compression
+     */
+    function createZip(files, date = new Date()) {
+        const encoder = new TextEncoder();
+        const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+        const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        Object.entries(files).forEach(([path, content]) => {
+            const name = encoder.encode(path);
+            const data = typeof content === 'string' ? encoder.encode(content) : content;
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);     // UTF-8 file names
+            local.setUint16(8, 0, true);          // stored
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), name, data);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, Object.keys(files).length, true);
+        end.setUint16(10, Object.keys(files).length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+        return output;
+    }
+
+    /**
+     * Build an .xlsx file from sheets of the form { name, columns: [widths], rows: [[cell]] }
+     */
+    function createWorkbook(sheets) {
+        if (!sheets || sheets.length === 0) {
+            throw new Error('A workbook needs at least one sheet');
+        }
+        return createZip(workbookParts(sheets));
+    }
+
+    return {
+        MIME_TYPE,
+        STYLES,
+        columnName,
+        cellAddress,
+        createWorkbook
+    };
+});